@@ -0,0 +1,170 @@
+/**
+ * Fetch TeX Engine
+ * Installs the SwiftLaTeX PdfTeX engine files used by the in-browser LaTeX
+ * compiler into public/
+ *
+ * By default the files are unpacked from the latest SwiftLaTeX GitHub
+ * release. Set TEX_ENGINE_SOURCE (or pass an argument) to copy them from a
+ * directory or base URL that serves the three files instead.
+ *
+ * Usage: npm run fetch:tex-engine [-- <directory or URL>]
+ */
+
+import { mkdir, readFile, writeFile } from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { inflateRawSync } from "zlib";
+
+const ENGINE_FILES = [
+  "PdfTeXEngine.js",
+  "swiftlatexpdftex.js",
+  "swiftlatexpdftex.wasm",
+];
+
+const RELEASES_URL =
+  "https://api.github.com/repos/SwiftLaTeX/SwiftLaTeX/releases/latest";
+
+const PUBLIC_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../public",
+);
+
+async function main() {
+  const source = process.argv[2] || process.env.TEX_ENGINE_SOURCE;
+  const files = source
+    ? await readFromSource(source)
+    : await readFromLatestRelease();
+
+  await mkdir(PUBLIC_DIR, { recursive: true });
+  for (const [name, data] of files) {
+    await writeFile(path.join(PUBLIC_DIR, name), data);
+    console.log(`public/${name} (${Math.round(data.length / 1024)} KB)`);
+  }
+}
+
+/**
+ * Reads the engine files from a directory or base URL
+ * @param {string} source - Directory or URL the three files sit in
+ * @returns {Promise<Map>} - File name to contents
+ */
+async function readFromSource(source) {
+  const files = new Map();
+
+  for (const name of ENGINE_FILES) {
+    const data = /^https?:\/\//.test(source)
+      ? await download(new URL(name, source.replace(/\/?$/, "/")))
+      : await readFile(path.join(source, name));
+    files.set(name, data);
+  }
+
+  return files;
+}
+
+/**
+ * Unpacks the engine files from the latest SwiftLaTeX release archive
+ * @returns {Promise<Map>} - File name to contents
+ */
+async function readFromLatestRelease() {
+  const release = JSON.parse(
+    (await download(RELEASES_URL, "application/vnd.github+json")).toString(),
+  );
+  const archives = release.assets.filter((asset) =>
+    asset.name.endsWith(".zip"),
+  );
+
+  for (const asset of archives) {
+    console.log(`Downloading ${asset.name} (SwiftLaTeX ${release.tag_name})`);
+    const files = extractZip(
+      await download(asset.browser_download_url),
+      ENGINE_FILES,
+    );
+    if (files.size === ENGINE_FILES.length) {
+      return files;
+    }
+  }
+
+  throw new Error(
+    `SwiftLaTeX ${release.tag_name} has no archive with ${ENGINE_FILES.join(", ")}; set TEX_ENGINE_SOURCE to where they can be found`,
+  );
+}
+
+/**
+ * Downloads a URL into a buffer
+ * @param {string|URL} url - URL to download
+ * @param {string} accept - Accept header
+ * @returns {Promise<Buffer>} - Response body
+ */
+async function download(url, accept = "*/*") {
+  const response = await fetch(url, {
+    headers: { Accept: accept, "User-Agent": "GitHub-To-CV" },
+  });
+
+  if (!response.ok) {
+    throw new Error(
+      `Download failed: ${url} (${response.status} ${response.statusText})`,
+    );
+  }
+
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Extracts named files from a zip archive, wherever they sit in it
+ * Only stored and deflated entries are supported, which covers release
+ * archives.
+ * @param {Buffer} zip - Archive contents
+ * @param {Array<string>} names - File names to extract
+ * @returns {Map} - File name to contents, for the names found
+ */
+function extractZip(zip, names) {
+  // The end of central directory record closes the archive, before an
+  // optional comment of up to 64 KB
+  let end = zip.length - 22;
+  while (end >= 0 && zip.readUInt32LE(end) !== 0x06054b50) end--;
+  if (end < 0) {
+    throw new Error("The release asset is not a zip archive");
+  }
+
+  const files = new Map();
+  let offset = zip.readUInt32LE(end + 16);
+
+  for (let i = 0; i < zip.readUInt16LE(end + 10); i++) {
+    const method = zip.readUInt16LE(offset + 10);
+    const compressedSize = zip.readUInt32LE(offset + 20);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const headerLength =
+      46 +
+      nameLength +
+      zip.readUInt16LE(offset + 30) +
+      zip.readUInt16LE(offset + 32);
+    const localHeader = zip.readUInt32LE(offset + 42);
+    const name = path.posix.basename(
+      zip.toString("utf8", offset + 46, offset + 46 + nameLength),
+    );
+    offset += headerLength;
+
+    if (!names.includes(name) || files.has(name)) continue;
+
+    const dataStart =
+      localHeader +
+      30 +
+      zip.readUInt16LE(localHeader + 26) +
+      zip.readUInt16LE(localHeader + 28);
+    const data = zip.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      files.set(name, Buffer.from(data));
+    } else if (method === 8) {
+      files.set(name, inflateRawSync(data));
+    } else {
+      throw new Error(`${name} uses an unsupported zip compression method`);
+    }
+  }
+
+  return files;
+}
+
+main().catch((error) => {
+  console.error(`Could not fetch the TeX engine: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,102 @@
+/**
+ * Response Cache
+ * Pluggable stores for caching GitHub API responses, keyed by URL
+ *
+ * A store is any object with async get(key), set(key, entry) and delete(key).
+ * Entries look like { etag, lastModified, data, storedAt }.
+ */
+
+import { createHash } from "crypto";
+import { mkdir, readFile, unlink, writeFile } from "fs/promises";
+import path from "path";
+
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_CACHE_DIR = ".cache/github";
+
+/**
+ * Creates an in-memory store that evicts the least recently used entry
+ * @param {Object} options - { maxEntries }
+ * @returns {Object} - Cache store
+ */
+export function createMemoryStore({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  // Map iteration follows insertion order, so the first key is the oldest
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      if (!entries.has(key)) return null;
+      const entry = entries.get(key);
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+/**
+ * Creates a store that persists entries as JSON files, surviving restarts
+ * @param {Object} options - { directory }
+ * @returns {Object} - Cache store
+ */
+export function createFileStore({ directory = DEFAULT_CACHE_DIR } = {}) {
+  const root = path.resolve(directory);
+  const fileFor = (key) =>
+    path.join(root, `${createHash("sha256").update(key).digest("hex")}.json`);
+
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await readFile(fileFor(key), "utf8"));
+      } catch {
+        return null;
+      }
+    },
+
+    async set(key, entry) {
+      try {
+        await mkdir(root, { recursive: true });
+        await writeFile(fileFor(key), JSON.stringify(entry));
+      } catch (error) {
+        console.warn(`Failed to write cache entry: ${error.message}`);
+      }
+    },
+
+    async delete(key) {
+      await unlink(fileFor(key)).catch(() => {});
+    },
+  };
+}
+
+/**
+ * Creates the store selected by GITHUB_CACHE_STORE (memory, file or none)
+ * @returns {Object|null} - Cache store, or null when caching is disabled
+ */
+export function createCacheStoreFromEnv() {
+  const type = (process.env.GITHUB_CACHE_STORE || "memory").toLowerCase();
+
+  switch (type) {
+    case "none":
+      return null;
+    case "file":
+      return createFileStore({ directory: process.env.GITHUB_CACHE_DIR });
+    case "memory":
+      return createMemoryStore({
+        maxEntries:
+          parseInt(process.env.GITHUB_CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES,
+      });
+    default:
+      throw new Error(`Unknown GITHUB_CACHE_STORE: ${type}`);
+  }
+}
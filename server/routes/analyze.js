@@ -0,0 +1,54 @@
+/**
+ * Analysis Routes
+ * Runs the profile analysis on the server and streams progress over SSE
+ */
+
+import express from "express";
+import { analyzeGitHubProfile } from "../services/analyzer.js";
+import { getRateLimitState } from "../services/github.js";
+
+const router = express.Router();
+
+// Stream analysis progress, then the complete analysis
+router.get("/:username", async (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  // Stop making GitHub requests once the client goes away
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const analysis = await analyzeGitHubProfile(
+      req.params.username,
+      (progress) =>
+        send("progress", { ...progress, rateLimit: getRateLimitState() }),
+      { signal: controller.signal },
+    );
+
+    send("complete", analysis);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      return;
+    }
+
+    console.error("Analysis failed:", error);
+    send("failure", { error: error.message || "Analysis failed" });
+  }
+
+  res.end();
+});
+
+export default router;
@@ -0,0 +1,43 @@
+/**
+ * Export Routes
+ * Produces downloadable CV files on the server
+ */
+
+import express from "express";
+import rateLimit from "express-rate-limit";
+import { compileLatexToPdf } from "../services/pdfExport.js";
+
+const router = express.Router();
+
+// Every export runs a TeX engine, so it gets a far stricter limit than the
+// rest of the API
+const exportLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // Limit each IP to 10 exports per windowMs
+  message: "Too many PDF exports from this IP, please try again later.",
+  legacyHeaders: false,
+});
+
+// Compile a CV's LaTeX, as rendered by the frontend templates, to PDF
+router.post("/pdf", exportLimiter, async (req, res, next) => {
+  try {
+    const { latex, name } = req.body;
+
+    if (typeof latex !== "string" || !latex.includes("\\begin{document}")) {
+      return res.status(400).json({ error: "A LaTeX document is required" });
+    }
+
+    const pdf = await compileLatexToPdf(latex);
+    const filename = `${(name || "cv").replace(/[^\w.-]+/g, "_")}_CV.pdf`;
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    });
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -4,72 +4,63 @@
  */
 
 import express from "express";
+import {
+  githubFetch,
+  getRateLimitState,
+  refreshRateLimit,
+  getUserProfile,
+  getProfileOverview,
+  getUserRepositories,
+  getRepoReadme,
+  getRepoTree,
+  getRepoFile,
+  getCommitActivity,
+  getContributorStats,
+} from "../services/github.js";
 
 const router = express.Router();
-const GITHUB_API_BASE = "https://api.github.com";
 
-/**
- * Makes an authenticated request to GitHub API
- */
-async function githubFetch(endpoint) {
-  const url = endpoint.startsWith("http")
-    ? endpoint
-    : `${GITHUB_API_BASE}${endpoint}`;
-
-  const headers = {
-    Accept: "application/vnd.github.v3+json",
-    "User-Agent": "GitHub-To-CV-Backend",
+// Forward the latest quota on every proxied response, including errors
+router.use((req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    const rateLimit = getRateLimitState();
+    if (rateLimit.remaining !== null) {
+      res.set({
+        "X-GitHub-RateLimit-Limit": rateLimit.limit,
+        "X-GitHub-RateLimit-Remaining": rateLimit.remaining,
+        "X-GitHub-RateLimit-Reset": rateLimit.reset,
+      });
+    }
+    return json(body);
   };
 
-  if (process.env.GITHUB_TOKEN) {
-    headers["Authorization"] = `Bearer ${process.env.GITHUB_TOKEN}`;
-  }
-
-  const response = await fetch(url, { headers });
-
-  const rateLimitRemaining = response.headers.get("X-RateLimit-Remaining");
-  const rateLimitReset = response.headers.get("X-RateLimit-Reset");
+  next();
+});
 
-  if (!response.ok) {
-    if (response.status === 403 && rateLimitRemaining === "0") {
-      const resetDate = new Date(parseInt(rateLimitReset) * 1000);
-      throw new Error(
-        `GitHub API rate limit exceeded. Resets at ${resetDate.toLocaleTimeString()}`,
-      );
-    }
-    if (response.status === 404) {
-      throw new Error("User or resource not found");
-    }
-    throw new Error(
-      `GitHub API error: ${response.status} ${response.statusText}`,
-    );
+// Get current rate limit status (does not count against the quota)
+router.get("/rate-limit", async (req, res, next) => {
+  try {
+    res.json(await refreshRateLimit());
+  } catch (error) {
+    next(error);
   }
-
-  return response.json();
-}
+});
 
 // Get user profile
 router.get("/user/:username", async (req, res, next) => {
   try {
-    const { username } = req.params;
-    const user = await githubFetch(`/users/${username}`);
-
-    res.json({
-      login: user.login,
-      name: user.name || user.login,
-      bio: user.bio,
-      company: user.company,
-      location: user.location,
-      email: user.email,
-      blog: user.blog,
-      avatarUrl: user.avatar_url,
-      profileUrl: user.html_url,
-      publicRepos: user.public_repos,
-      followers: user.followers,
-      following: user.following,
-      createdAt: user.created_at,
-      hireable: user.hireable,
-    });
+    res.json(await getUserProfile(req.params.username));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get pinned repositories and contribution calendar (GraphQL)
+router.get("/user/:username/overview", async (req, res, next) => {
+  try {
+    res.json(await getProfileOverview(req.params.username));
   } catch (error) {
     next(error);
   }
@@ -82,11 +73,7 @@ router.get("/user/:username/repos", async (req, res, next) => {
     const page = parseInt(req.query.page) || 1;
     const perPage = Math.min(parseInt(req.query.per_page) || 100, 100);
 
-    const repos = await githubFetch(
-      `/users/${username}/repos?sort=updated&direction=desc&per_page=${perPage}&page=${page}`,
-    );
-
-    res.json(repos);
+    res.json(await getUserRepositories(username, page, perPage));
   } catch (error) {
     next(error);
   }
@@ -120,28 +107,68 @@ router.get("/repo/:owner/:repo/languages", async (req, res, next) => {
 router.get("/repo/:owner/:repo/readme", async (req, res, next) => {
   try {
     const { owner, repo } = req.params;
+    res.json(await getRepoReadme(owner, repo));
+  } catch (error) {
+    next(error);
+  }
+});
 
+// Get repository file tree (recursive)
+router.get("/repo/:owner/:repo/tree", async (req, res, next) => {
+  try {
+    const { owner, repo } = req.params;
+    res.json(await getRepoTree(owner, repo, req.query.ref));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single file from a repository
+router.get("/repo/:owner/:repo/contents/*", async (req, res, next) => {
+  try {
+    const { owner, repo } = req.params;
+    const filePath = req.params[0];
+
+    if (!filePath) {
+      return res.status(400).json({ error: "File path is required" });
+    }
+
+    res.json(await getRepoFile(owner, repo, filePath, req.query.ref));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get weekly commit activity for the last year
+router.get(
+  "/repo/:owner/:repo/stats/commit_activity",
+  async (req, res, next) => {
     try {
-      const readme = await githubFetch(`/repos/${owner}/${repo}/readme`);
-
-      // Decode content if base64 encoded
-      if (readme.encoding === "base64" && readme.content) {
-        const decodedContent = Buffer.from(readme.content, "base64").toString(
-          "utf-8",
-        );
-        res.json({
-          content: decodedContent,
-          name: readme.name,
-          path: readme.path,
-          downloadUrl: readme.download_url,
-        });
-      } else {
-        res.json(readme);
+      const { owner, repo } = req.params;
+      const activity = await getCommitActivity(owner, repo);
+
+      if (activity === null) {
+        return res.status(202).json([]);
       }
+
+      res.json(activity);
     } catch (error) {
-      // README not found
-      res.json({ content: null });
+      next(error);
     }
+  },
+);
+
+// Get per-contributor commit statistics
+router.get("/repo/:owner/:repo/stats/contributors", async (req, res, next) => {
+  try {
+    const { owner, repo } = req.params;
+    const contributors = await getContributorStats(owner, repo);
+
+    if (contributors === null) {
+      return res.status(202).json([]);
+    }
+
+    res.json(contributors);
   } catch (error) {
     next(error);
   }
@@ -188,4 +215,29 @@ router.get("/search/repositories", async (req, res, next) => {
   }
 });
 
+// Search issues and pull requests
+router.get("/search/issues", async (req, res, next) => {
+  try {
+    const { q, sort, order, per_page, page } = req.query;
+
+    if (!q) {
+      return res.status(400).json({ error: 'Query parameter "q" is required' });
+    }
+
+    const params = new URLSearchParams({
+      q,
+      sort: sort || "created",
+      order: order || "desc",
+      per_page: Math.min(parseInt(per_page) || 30, 100),
+      page: parseInt(page) || 1,
+    });
+
+    const data = await githubFetch(`/search/issues?${params}`);
+
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
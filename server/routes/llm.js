@@ -1,22 +1,86 @@
 /**
  * LLM API Routes
- * Proxies requests to OpenRouter API with authentication
+ * Proxies requests to the configured LLM provider (see LLM_PROVIDER)
  */
 
 import express from "express";
+import { getLLMProvider } from "../services/llmProviders.js";
+import { generateStructured } from "../services/structuredOutput.js";
 
 const router = express.Router();
-const OPENROUTER_API_URL = "https://openrouter.ai/api/v1/chat/completions";
+
+const DEFAULT_SYSTEM_PROMPT = "You are a professional CV writer assistant.";
+const MAX_GENERATE_TOKENS = 4000;
+const MAX_RETRIES = 3;
+
+/**
+ * Starts a server-sent event stream
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object} - { send(event, data), signal } where signal aborts when the client goes away
+ */
+function openEventStream(req, res) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  // Stop generating once the client goes away
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  return {
+    send: (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    signal: controller.signal,
+  };
+}
+
+/**
+ * Reads and checks the body of a JSON generation request
+ * @param {Object} body - Request body
+ * @returns {Object|null} - Structured request, null if the body is invalid
+ */
+function toStructuredRequest({
+  prompt,
+  systemPrompt,
+  schema,
+  maxTokens = 1000,
+  retries,
+}) {
+  if (!prompt || typeof schema !== "object" || schema === null) return null;
+
+  return {
+    prompt,
+    systemPrompt: systemPrompt || DEFAULT_SYSTEM_PROMPT,
+    schema,
+    maxTokens: Math.min(maxTokens, MAX_GENERATE_TOKENS),
+    // Defaults to the structured output layer's retry count
+    retries:
+      retries === undefined
+        ? undefined
+        : Math.min(Math.max(Number(retries) || 0, 0), MAX_RETRIES),
+  };
+}
 
 /**
  * Check if LLM service is configured
  */
 router.get("/status", (req, res) => {
-  const isConfigured = !!process.env.OPENROUTER_API_KEY;
+  const provider = getLLMProvider();
   res.json({
-    enabled: isConfigured,
-    model: process.env.LLM_MODEL || "google/gemma-3-27b-it:free",
-    configured: isConfigured,
+    enabled: provider.configured,
+    model: provider.model,
+    configured: provider.configured,
+    provider: provider.id,
+    providerName: provider.label,
   });
 });
 
@@ -31,57 +95,87 @@ router.post("/generate", async (req, res, next) => {
       return res.status(400).json({ error: "Prompt is required" });
     }
 
-    if (!process.env.OPENROUTER_API_KEY) {
-      return res.status(503).json({
-        error:
-          "LLM service not configured. Please add OPENROUTER_API_KEY to server environment.",
-      });
-    }
-
-    const response = await fetch(OPENROUTER_API_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${process.env.OPENROUTER_API_KEY}`,
-        "HTTP-Referer": req.headers.referer || "http://localhost:5173",
-        "X-Title": "GitHub to CV Generator",
-      },
-      body: JSON.stringify({
-        model: process.env.LLM_MODEL || "google/gemma-3-27b-it:free",
-        messages: [
-          {
-            role: "system",
-            content:
-              systemPrompt || "You are a professional CV writer assistant.",
-          },
-          { role: "user", content: prompt },
-        ],
-        max_tokens: Math.min(maxTokens, 4000),
-        temperature: 0.5,
-      }),
+    const { content, model, usage } = await getLLMProvider().complete({
+      messages: [
+        { role: "system", content: systemPrompt || DEFAULT_SYSTEM_PROMPT },
+        { role: "user", content: prompt },
+      ],
+      maxTokens: Math.min(maxTokens, MAX_GENERATE_TOKENS),
+      temperature: 0.5,
+      referer: req.headers.referer,
     });
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(
-        errorData.error?.message || `OpenRouter API error: ${response.status}`,
-      );
-    }
+    res.json({ content, model, usage });
+  } catch (error) {
+    console.error("LLM Generation Error:", error);
+    next(error);
+  }
+});
 
-    const data = await response.json();
-    const content = data.choices?.[0]?.message?.content?.trim() || "";
+/**
+ * Generate JSON matching a schema, retrying with the validation errors until
+ * the model's reply conforms (422 with validationErrors when retries run out)
+ */
+router.post("/generate-json", async (req, res, next) => {
+  try {
+    const request = toStructuredRequest(req.body);
 
-    res.json({
-      content,
-      model: data.model,
-      usage: data.usage,
+    if (!request) {
+      return res.status(400).json({ error: "Prompt and schema are required" });
+    }
+
+    const { data, attempts } = await generateStructured(getLLMProvider(), {
+      ...request,
+      referer: req.headers.referer,
     });
+
+    res.json({ data, attempts });
   } catch (error) {
-    console.error("LLM Generation Error:", error);
     next(error);
   }
 });
 
+/**
+ * Generate JSON matching a schema, streamed over SSE: "token" events carry
+ * { text, attempt } deltas of the raw reply, "retry" carries { errors } when
+ * a reply is rejected, then "complete" carries { data, attempts } or
+ * "failure" carries { error, validationErrors }
+ */
+router.post("/generate-json/stream", async (req, res) => {
+  const request = toStructuredRequest(req.body);
+
+  if (!request) {
+    return res.status(400).json({ error: "Prompt and schema are required" });
+  }
+
+  const { send, signal } = openEventStream(req, res);
+
+  try {
+    const { data, attempts } = await generateStructured(
+      getLLMProvider(),
+      { ...request, referer: req.headers.referer, signal },
+      {
+        onText: (text, attempt) => send("token", { text, attempt }),
+        onRetry: (errors, attempt) => send("retry", { errors, attempt }),
+      },
+    );
+
+    send("complete", { data, attempts });
+  } catch (error) {
+    if (signal.aborted) {
+      return;
+    }
+
+    console.error("LLM Streaming Error:", error);
+    send("failure", {
+      error: error.message || "Generation failed",
+      validationErrors: error.validationErrors,
+    });
+  }
+
+  res.end();
+});
+
 /**
  * Generate professional summary
  */
@@ -114,35 +208,29 @@ ${repositories
 
 Style: ${style || "professional"}
 
-Generate a professional summary (3-4 sentences) that showcases this developer's expertise and experience.`;
+Generate a professional summary (3-4 sentences) that showcases this developer's expertise and experience.
 
-    const response = await fetch(OPENROUTER_API_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${process.env.OPENROUTER_API_KEY}`,
-        "HTTP-Referer": req.headers.referer || "http://localhost:5173",
-        "X-Title": "GitHub to CV Generator",
+Return {"summary": "..."}.`;
+
+    const schema = {
+      type: "object",
+      properties: {
+        summary: { type: "string", minLength: 40, maxLength: 1000 },
       },
-      body: JSON.stringify({
-        model: process.env.LLM_MODEL || "google/gemma-3-27b-it:free",
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: prompt },
-        ],
-        max_tokens: 500,
-        temperature: 0.7,
-      }),
+      required: ["summary"],
+      additionalProperties: false,
+    };
+
+    const { data } = await generateStructured(getLLMProvider(), {
+      prompt,
+      systemPrompt,
+      schema,
+      maxTokens: 500,
+      temperature: 0.7,
+      referer: req.headers.referer,
     });
 
-    if (!response.ok) {
-      throw new Error(`OpenRouter API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    const content = data.choices?.[0]?.message?.content?.trim() || "";
-
-    res.json({ content });
+    res.json({ content: data.summary.trim() });
   } catch (error) {
     next(error);
   }
@@ -174,35 +262,42 @@ ${projects
   )
   .join("\n")}
 
-Return the enhanced descriptions in the same order, one per line, without numbering.`;
-
-    const response = await fetch(OPENROUTER_API_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${process.env.OPENROUTER_API_KEY}`,
-        "HTTP-Referer": req.headers.referer || "http://localhost:5173",
-        "X-Title": "GitHub to CV Generator",
+Return {"descriptions": [...]} with one enhanced description per project, in the same order.`;
+
+    const schema = {
+      type: "object",
+      properties: {
+        descriptions: {
+          type: "array",
+          items: { type: "string", minLength: 1, maxLength: 800 },
+          minItems: projects.length,
+          maxItems: projects.length,
+        },
       },
-      body: JSON.stringify({
-        model: process.env.LLM_MODEL || "google/gemma-3-27b-it:free",
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: prompt },
-        ],
-        max_tokens: 1500,
+      required: ["descriptions"],
+      additionalProperties: false,
+    };
+
+    try {
+      const { data } = await generateStructured(getLLMProvider(), {
+        prompt,
+        systemPrompt,
+        schema,
+        maxTokens: 1500,
         temperature: 0.7,
-      }),
-    });
-
-    if (!response.ok) {
-      throw new Error(`OpenRouter API error: ${response.status}`);
-    }
+        referer: req.headers.referer,
+      });
 
-    const data = await response.json();
-    const content = data.choices?.[0]?.message?.content?.trim() || "";
+      res.json({ descriptions: data.descriptions.map((d) => d.trim()) });
+    } catch (error) {
+      if (error.status !== 422) throw error;
 
-    res.json({ content });
+      // Keep the original descriptions rather than failing the request
+      res.json({
+        descriptions: projects.map((p) => p.description || ""),
+        fallback: true,
+      });
+    }
   } catch (error) {
     next(error);
   }
@@ -1,6 +1,6 @@
 /**
  * Backend Server for GitHub to CV
- * Securely handles API keys and proxies requests to GitHub and OpenRouter APIs
+ * Securely handles API keys and proxies requests to GitHub and the LLM provider
  */
 
 import express from "express";
@@ -10,6 +10,9 @@ import rateLimit from "express-rate-limit";
 import dotenv from "dotenv";
 import githubRouter from "./routes/github.js";
 import llmRouter from "./routes/llm.js";
+import analyzeRouter from "./routes/analyze.js";
+import exportRouter from "./routes/export.js";
+import { getLLMProvider } from "./services/llmProviders.js";
 
 dotenv.config();
 
@@ -22,8 +25,16 @@ app.use(
   cors({
     origin: process.env.CORS_ORIGIN || "http://localhost:3000",
     credentials: true,
+    exposedHeaders: [
+      "X-GitHub-RateLimit-Limit",
+      "X-GitHub-RateLimit-Remaining",
+      "X-GitHub-RateLimit-Reset",
+    ],
   }),
 );
+// PDF export compiles the LaTeX it is sent, so its bodies are kept to the
+// size of a rendered CV; the parser that runs first wins
+app.use("/api/export", express.json({ limit: "256kb" }));
 app.use(express.json({ limit: "10mb" }));
 
 // Rate limiting
@@ -31,6 +42,7 @@ const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per windowMs
   message: "Too many requests from this IP, please try again later.",
+  legacyHeaders: false,
 });
 
 app.use("/api/", limiter);
@@ -42,7 +54,7 @@ app.get("/api/health", (req, res) => {
     timestamp: new Date().toISOString(),
     services: {
       github: !!process.env.GITHUB_TOKEN,
-      llm: !!process.env.OPENROUTER_API_KEY,
+      llm: getLLMProvider().configured,
     },
   });
 });
@@ -50,12 +62,15 @@ app.get("/api/health", (req, res) => {
 // API Routes
 app.use("/api/github", githubRouter);
 app.use("/api/llm", llmRouter);
+app.use("/api/analyze", analyzeRouter);
+app.use("/api/export", exportRouter);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error("Error:", err);
   res.status(err.status || 500).json({
     error: err.message || "Internal server error",
+    ...(err.validationErrors && { validationErrors: err.validationErrors }),
     ...(process.env.NODE_ENV === "development" && { stack: err.stack }),
   });
 });
@@ -66,12 +81,13 @@ app.use((req, res) => {
 });
 
 // Start server
+const llmProvider = getLLMProvider();
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(
     `📊 GitHub API: ${process.env.GITHUB_TOKEN ? "✅ Authenticated" : "⚠️  Public (rate limited)"}`,
   );
   console.log(
-    `🤖 LLM Service: ${process.env.OPENROUTER_API_KEY ? "✅ Configured" : "❌ Not configured"}`,
+    `🤖 LLM Service: ${llmProvider.configured ? `✅ ${llmProvider.label} (${llmProvider.model})` : `❌ ${llmProvider.label} not configured`}`,
   );
 });
@@ -0,0 +1,545 @@
+/**
+ * Profile Analyzer Service
+ * Runs the complete GitHub analysis pipeline on the server
+ */
+
+import {
+  getUserProfile,
+  getProfileOverview,
+  getAllUserRepositories,
+  githubFetch,
+  getRepoReadme,
+  getRepoFile,
+  getRepoTree,
+  getCommitActivity,
+  getContributorStats,
+  getMergedPullRequests,
+  getRateLimitState,
+  refreshRateLimit,
+} from "./github.js";
+
+import {
+  analyzePackageJson,
+  analyzeRequirementsTxt,
+  analyzePyprojectToml,
+  analyzeCargoToml,
+  analyzeGoMod,
+  analyzePomXml,
+  analyzeGradleBuild,
+  analyzeGemfile,
+  analyzeComposerJson,
+  inferFromFileList,
+  categorizeTechnologies,
+} from "../utils/techStackDetector.js";
+
+import {
+  rankRepositories,
+  categorizeProjects,
+} from "../utils/projectRanker.js";
+
+import {
+  aggregateLanguageStats,
+  generateSkillsFromLanguages,
+} from "../utils/languageWeights.js";
+
+/**
+ * Analysis status for progress tracking
+ * Mirrored by AnalysisStatus in src/services/repoAnalyzer.js
+ */
+export const AnalysisStatus = {
+  FETCHING_PROFILE: "fetching_profile",
+  FETCHING_REPOS: "fetching_repos",
+  ANALYZING_LANGUAGES: "analyzing_languages",
+  FETCHING_READMES: "fetching_readmes",
+  DETECTING_TECH_STACK: "detecting_tech_stack",
+  ANALYZING_COMMITS: "analyzing_commits",
+  FETCHING_CONTRIBUTIONS: "fetching_contributions",
+  RANKING_PROJECTS: "ranking_projects",
+  COMPLETE: "complete",
+};
+
+/**
+ * Overall progress (percent) at which each step starts
+ */
+const STEP_PROGRESS = {
+  [AnalysisStatus.FETCHING_PROFILE]: 0,
+  [AnalysisStatus.FETCHING_REPOS]: 5,
+  [AnalysisStatus.ANALYZING_LANGUAGES]: 10,
+  [AnalysisStatus.FETCHING_READMES]: 25,
+  [AnalysisStatus.DETECTING_TECH_STACK]: 45,
+  [AnalysisStatus.ANALYZING_COMMITS]: 65,
+  [AnalysisStatus.FETCHING_CONTRIBUTIONS]: 85,
+  [AnalysisStatus.RANKING_PROJECTS]: 95,
+  [AnalysisStatus.COMPLETE]: 100,
+};
+
+const LANGUAGE_BATCH_SIZE = 5;
+const COMMIT_STATS_BATCH_SIZE = 5;
+
+// Longest the commit statistics step keeps retrying while GitHub computes
+// them; repositories still computing after that are ranked without
+const COMMIT_STATS_RETRY_BUDGET_MS = 10 * 1000;
+
+// Requests left untouched so the user can still browse after an analysis
+const RATE_LIMIT_RESERVE = 10;
+
+// Longest pause for a quota reset before optional steps are skipped instead
+const MAX_RATE_LIMIT_WAIT_MS = 60 * 1000;
+
+/**
+ * Dependency manifests read from the repository root
+ * `languages` decides which ones to try when no file tree is available
+ */
+const MANIFEST_ANALYZERS = [
+  {
+    file: "package.json",
+    analyze: analyzePackageJson,
+    languages: ["JavaScript", "TypeScript", "Vue", "Svelte"],
+  },
+  {
+    file: "requirements.txt",
+    analyze: analyzeRequirementsTxt,
+    languages: ["Python", "Jupyter Notebook"],
+  },
+  {
+    file: "pyproject.toml",
+    analyze: analyzePyprojectToml,
+    languages: ["Python", "Jupyter Notebook"],
+  },
+  { file: "Cargo.toml", analyze: analyzeCargoToml, languages: ["Rust"] },
+  { file: "go.mod", analyze: analyzeGoMod, languages: ["Go"] },
+  {
+    file: "pom.xml",
+    analyze: analyzePomXml,
+    languages: ["Java", "Kotlin", "Scala"],
+  },
+  {
+    file: "build.gradle",
+    analyze: analyzeGradleBuild,
+    languages: ["Java", "Kotlin", "Groovy"],
+  },
+  {
+    file: "build.gradle.kts",
+    analyze: analyzeGradleBuild,
+    languages: ["Kotlin", "Java"],
+  },
+  { file: "Gemfile", analyze: analyzeGemfile, languages: ["Ruby"] },
+  { file: "composer.json", analyze: analyzeComposerJson, languages: ["PHP"] },
+];
+
+/**
+ * Analyzes a GitHub profile completely
+ * @param {string} username - GitHub username
+ * @param {Function} onProgress - Called with { status, message, percent, ... }
+ * @param {Object} options - { signal } to stop when the client disconnects
+ * @returns {Promise<Object>} - Complete analysis
+ */
+export async function analyzeGitHubProfile(
+  username,
+  onProgress = () => {},
+  { signal } = {},
+) {
+  const analysis = {
+    username,
+    profile: null,
+    pinnedRepositories: [],
+    contributionCalendar: null,
+    contributionTotals: null,
+    repositories: [],
+    rankedProjects: [],
+    languages: null,
+    techStack: null,
+    contributions: [],
+    skills: [],
+    statistics: {},
+    errors: [],
+    timestamp: new Date().toISOString(),
+  };
+
+  const steps = Object.keys(STEP_PROGRESS);
+
+  // Reports progress within a step; done/total interpolate the percentage
+  const report = (
+    status,
+    message,
+    { done = 0, total = 1, ...details } = {},
+  ) => {
+    signal?.throwIfAborted();
+
+    const start = STEP_PROGRESS[status];
+    const end = STEP_PROGRESS[steps[steps.indexOf(status) + 1]] ?? 100;
+    const fraction = total > 0 ? Math.min(done / total, 1) : 1;
+
+    onProgress({
+      status,
+      message,
+      percent: Math.round(start + (end - start) * fraction),
+      ...details,
+    });
+  };
+
+  // Step 1: Fetch user profile
+  report(AnalysisStatus.FETCHING_PROFILE, "Fetching profile...");
+  analysis.profile = await getUserProfile(username);
+
+  // Pinned repositories and contribution calendar (needs a server token)
+  try {
+    const overview = await getProfileOverview(username);
+    analysis.pinnedRepositories = overview.pinnedRepositories;
+    analysis.contributionCalendar = overview.contributionCalendar;
+    analysis.contributionTotals = overview.contributionTotals;
+  } catch (error) {
+    console.warn(
+      `Could not fetch profile overview for ${username}:`,
+      error.message,
+    );
+  }
+
+  // Step 2: Fetch repositories
+  report(AnalysisStatus.FETCHING_REPOS, "Fetching repositories...");
+  const allRepos = await getAllUserRepositories(username);
+  analysis.repositories = allRepos;
+
+  // Step 3: Fetch languages for top repositories
+  const nonForkedRepos = allRepos.filter((r) => !r.isFork);
+  const languageRepos = nonForkedRepos.slice(0, 25);
+  const languageMap = new Map();
+
+  for (let i = 0; i < languageRepos.length; i += LANGUAGE_BATCH_SIZE) {
+    report(
+      AnalysisStatus.ANALYZING_LANGUAGES,
+      `Analyzing languages across ${nonForkedRepos.length} of ${allRepos.length} repositories...`,
+      {
+        done: i,
+        total: languageRepos.length,
+        repoCount: allRepos.length,
+      },
+    );
+
+    const batch = languageRepos.slice(i, i + LANGUAGE_BATCH_SIZE);
+    const results = await Promise.all(
+      batch.map((repo) =>
+        githubFetch(`/repos/${repo.fullName}/languages`).catch(() => ({})),
+      ),
+    );
+    batch.forEach((repo, index) => languageMap.set(repo.name, results[index]));
+  }
+
+  analysis.languages = aggregateLanguageStats(languageMap);
+
+  // Step 4: Fetch READMEs for significant repositories
+  const significantRepos = nonForkedRepos
+    .filter((r) => r.size > 10)
+    .slice(0, 15);
+
+  const readmeMap = new Map();
+  for (const [index, repo] of significantRepos.entries()) {
+    // Check rate limits
+    const withinBudget = await hasRateLimitBudget(
+      1,
+      report,
+      AnalysisStatus.FETCHING_READMES,
+    );
+    if (!withinBudget) {
+      analysis.errors.push(`Rate limit low, some READMEs skipped`);
+      break;
+    }
+
+    report(
+      AnalysisStatus.FETCHING_READMES,
+      `Reading ${repo.name} README (${index + 1}/${significantRepos.length})...`,
+      { done: index, total: significantRepos.length, current: repo.name },
+    );
+
+    const readme = await getRepoReadme(username, repo.name);
+    if (readme.content) {
+      readmeMap.set(repo.name, readme.content);
+    }
+  }
+
+  // Step 5: Detect tech stack
+  const techDetections = [];
+  const stackRepos = significantRepos.slice(0, 10);
+
+  for (const [index, repo] of stackRepos.entries()) {
+    // A tree plus a couple of manifests per repository
+    const withinBudget = await hasRateLimitBudget(
+      3,
+      report,
+      AnalysisStatus.DETECTING_TECH_STACK,
+    );
+    if (!withinBudget) {
+      analysis.errors.push(`Rate limit low, tech stack detection incomplete`);
+      break;
+    }
+
+    report(
+      AnalysisStatus.DETECTING_TECH_STACK,
+      `Detecting tech stack in ${repo.name} (${index + 1}/${stackRepos.length})...`,
+      { done: index, total: stackRepos.length, current: repo.name },
+    );
+
+    // Infer tooling from the file tree (Dockerfile, go.mod, CI, ...)
+    const { paths } = await getRepoTree(
+      username,
+      repo.name,
+      repo.defaultBranch,
+    );
+    const fileTechs = inferFromFileList(paths);
+    techDetections.push(...fileTechs.map((t) => ({ ...t, repo: repo.name })));
+
+    // Only request manifests the tree says exist; without a tree, guess
+    // from the primary language
+    const manifests = MANIFEST_ANALYZERS.filter(({ file, languages }) =>
+      paths.length > 0
+        ? paths.includes(file)
+        : languages.includes(repo.language),
+    );
+
+    for (const { file, analyze } of manifests) {
+      const { content } = await getRepoFile(username, repo.name, file);
+      if (content) {
+        const techs = analyze(content);
+        techDetections.push(...techs.map((t) => ({ ...t, repo: repo.name })));
+      }
+    }
+  }
+
+  analysis.techStack = categorizeTechnologies(techDetections);
+
+  // Step 6: Fetch commit statistics to measure the user's own share
+  const commitStatsMap = new Map();
+  const statsOptions = { deadline: Date.now() + COMMIT_STATS_RETRY_BUDGET_MS };
+
+  for (let i = 0; i < stackRepos.length; i += COMMIT_STATS_BATCH_SIZE) {
+    const batch = stackRepos.slice(i, i + COMMIT_STATS_BATCH_SIZE);
+
+    const withinBudget = await hasRateLimitBudget(
+      2 * batch.length,
+      report,
+      AnalysisStatus.ANALYZING_COMMITS,
+    );
+    if (!withinBudget) {
+      analysis.errors.push(`Rate limit low, some commit statistics skipped`);
+      break;
+    }
+
+    report(
+      AnalysisStatus.ANALYZING_COMMITS,
+      `Analyzing commit history of ${batch.map((r) => r.name).join(", ")} (${i + batch.length}/${stackRepos.length})...`,
+      { done: i, total: stackRepos.length },
+    );
+
+    const results = await Promise.all(
+      batch.map((repo) =>
+        Promise.all([
+          getCommitActivity(username, repo.name, statsOptions).catch(
+            () => null,
+          ),
+          getContributorStats(username, repo.name, statsOptions).catch(
+            () => null,
+          ),
+        ]),
+      ),
+    );
+    batch.forEach((repo, index) => {
+      const [commitActivity, contributors] = results[index];
+      commitStatsMap.set(repo.name, {
+        commitActivity: commitActivity || [],
+        contributors: contributors || [],
+      });
+    });
+  }
+
+  // Step 7: Find merged pull requests to other people's repositories
+  report(
+    AnalysisStatus.FETCHING_CONTRIBUTIONS,
+    "Finding open source contributions...",
+  );
+  try {
+    const pullRequests = await getMergedPullRequests(username);
+    analysis.contributions = groupContributionsByRepository(pullRequests);
+  } catch (error) {
+    console.warn(
+      `Could not fetch pull requests for ${username}:`,
+      error.message,
+    );
+  }
+
+  // Step 8: Rank and select projects
+  report(AnalysisStatus.RANKING_PROJECTS, "Ranking projects...");
+  analysis.rankedProjects = rankRepositories(allRepos, readmeMap, {
+    maxResults: 8,
+    minScore: 15,
+    commitStatsMap,
+    username,
+    pinnedRepos: analysis.pinnedRepositories.map((r) => r.fullName),
+  });
+
+  analysis.categorizedProjects = categorizeProjects(analysis.rankedProjects);
+
+  // Step 9: Generate skills
+  const languageSkills = generateSkillsFromLanguages(
+    analysis.languages.languages,
+  );
+
+  // Merge tech stack into skills
+  const techSkills = [];
+  for (const [category, techs] of Object.entries(analysis.techStack || {})) {
+    for (const tech of techs) {
+      techSkills.push({
+        name: tech.name,
+        category,
+        source: "tech-detection",
+        level: "Proficient",
+      });
+    }
+  }
+
+  // Deduplicate skills
+  const seenSkills = new Set();
+  analysis.skills = [...languageSkills, ...techSkills].filter((skill) => {
+    const key = skill.name.toLowerCase();
+    if (seenSkills.has(key)) return false;
+    seenSkills.add(key);
+    return true;
+  });
+
+  // Step 10: Calculate statistics
+  analysis.statistics = calculateStatistics(analysis);
+
+  report(AnalysisStatus.COMPLETE, "Analysis complete!");
+
+  return analysis;
+}
+
+/**
+ * Groups merged pull requests by the repository they were merged into
+ * @param {Array} pullRequests - Merged pull requests
+ * @returns {Array} - One entry per repository, most contributed first
+ */
+export function groupContributionsByRepository(pullRequests) {
+  const byRepo = new Map();
+
+  for (const pr of pullRequests) {
+    if (!byRepo.has(pr.repository)) {
+      byRepo.set(pr.repository, {
+        repository: pr.repository,
+        url: `https://github.com/${pr.repository}`,
+        pullRequestCount: 0,
+        pullRequests: [],
+        lastMergedAt: null,
+      });
+    }
+
+    const entry = byRepo.get(pr.repository);
+    entry.pullRequestCount++;
+    entry.pullRequests.push({
+      title: pr.title,
+      url: pr.url,
+      mergedAt: pr.mergedAt,
+    });
+    if (!entry.lastMergedAt || pr.mergedAt > entry.lastMergedAt) {
+      entry.lastMergedAt = pr.mergedAt;
+    }
+  }
+
+  const contributions = [...byRepo.values()];
+  for (const entry of contributions) {
+    entry.pullRequests.sort((a, b) =>
+      (b.mergedAt || "").localeCompare(a.mergedAt || ""),
+    );
+  }
+
+  return contributions.sort(
+    (a, b) =>
+      b.pullRequestCount - a.pullRequestCount ||
+      (b.lastMergedAt || "").localeCompare(a.lastMergedAt || ""),
+  );
+}
+
+/**
+ * Checks whether the GitHub quota allows more optional requests
+ * Pauses when the quota resets soon, otherwise the caller should degrade
+ * @param {number} needed - Requests about to be made
+ * @param {Function} report - Progress reporter
+ * @param {string} status - Current analysis status
+ * @returns {Promise<boolean>} - True if the requests can go ahead
+ */
+async function hasRateLimitBudget(needed, report, status) {
+  const canAfford = ({ remaining }) =>
+    remaining === null || remaining - needed >= RATE_LIMIT_RESERVE;
+
+  const rateLimit = getRateLimitState();
+  if (canAfford(rateLimit)) {
+    return true;
+  }
+
+  const waitMs = rateLimit.reset
+    ? rateLimit.reset * 1000 - Date.now()
+    : Infinity;
+  if (waitMs > MAX_RATE_LIMIT_WAIT_MS) {
+    return false;
+  }
+
+  report(
+    status,
+    `GitHub rate limit low, resuming in ${Math.max(Math.ceil(waitMs / 1000), 1)}s...`,
+  );
+  await new Promise((resolve) =>
+    setTimeout(resolve, Math.max(waitMs, 0) + 1000),
+  );
+
+  try {
+    return canAfford(await refreshRateLimit());
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Calculates aggregate statistics
+ * @param {Object} analysis - Analysis data
+ * @returns {Object} - Statistics
+ */
+function calculateStatistics(analysis) {
+  const repos = analysis.repositories;
+  const profile = analysis.profile;
+
+  const totalStars = repos.reduce((sum, r) => sum + r.stars, 0);
+  const totalForks = repos.reduce((sum, r) => sum + r.forks, 0);
+  const originalRepos = repos.filter((r) => !r.isFork);
+
+  // Activity analysis
+  const now = new Date();
+  const activeInLastYear = repos.filter((r) => {
+    const updated = new Date(r.updatedAt);
+    return now - updated < 365 * 24 * 60 * 60 * 1000;
+  });
+
+  // Calculate years of activity
+  const accountCreated = new Date(profile.createdAt);
+  const yearsActive = Math.max(
+    1,
+    Math.floor((now - accountCreated) / (365 * 24 * 60 * 60 * 1000)),
+  );
+
+  return {
+    totalRepos: repos.length,
+    originalRepos: originalRepos.length,
+    forkedRepos: repos.length - originalRepos.length,
+    totalStars,
+    totalForks,
+    followers: profile.followers,
+    following: profile.following,
+    activeReposLastYear: activeInLastYear.length,
+    yearsActive,
+    averageStarsPerRepo:
+      originalRepos.length > 0
+        ? (totalStars / originalRepos.length).toFixed(1)
+        : 0,
+    topLanguage: analysis.languages?.primaryLanguage,
+    languageCount: analysis.languages?.languageCount || 0,
+    techCount: Object.values(analysis.techStack || {}).flat().length,
+  };
+}
@@ -0,0 +1,578 @@
+/**
+ * GitHub Service
+ * Authenticated, cached access to the GitHub REST and GraphQL APIs
+ */
+
+import { createCacheStoreFromEnv } from "../cache/responseCache.js";
+
+const GITHUB_API_BASE = "https://api.github.com";
+const GITHUB_GRAPHQL_URL = "https://api.github.com/graphql";
+const STATS_MAX_RETRIES = 3;
+const STATS_RETRY_DELAY_MS = 1000;
+
+// Created lazily so server/.env is loaded before the store is chosen
+let cacheStore;
+
+// Latest core REST quota reported by GitHub for this server's token
+const rateLimitState = { limit: null, remaining: null, reset: null };
+
+/**
+ * Returns the response cache store (null when caching is disabled)
+ */
+function getCacheStore() {
+  if (cacheStore === undefined) {
+    cacheStore = createCacheStoreFromEnv();
+  }
+  return cacheStore;
+}
+
+/**
+ * Replaces the response cache store, e.g. with a shared Redis-backed store
+ * @param {Object|null} store - Object with async get, set and delete
+ */
+export function setCacheStore(store) {
+  cacheStore = store;
+}
+
+/**
+ * Records the quota from GitHub response headers
+ * Search requests have their own, much smaller quota and are ignored
+ */
+function recordRateLimit(headers) {
+  const resource = headers.get("X-RateLimit-Resource");
+  const remaining = headers.get("X-RateLimit-Remaining");
+
+  if (remaining === null || (resource && resource !== "core")) {
+    return;
+  }
+
+  rateLimitState.limit = parseInt(headers.get("X-RateLimit-Limit")) || null;
+  rateLimitState.remaining = parseInt(remaining);
+  rateLimitState.reset = parseInt(headers.get("X-RateLimit-Reset")) || null;
+}
+
+/**
+ * Makes an authenticated request to GitHub API
+ * Cached responses are revalidated with If-None-Match; 304s are free
+ */
+export async function githubFetch(endpoint) {
+  const url = endpoint.startsWith("http")
+    ? endpoint
+    : `${GITHUB_API_BASE}${endpoint}`;
+
+  const headers = {
+    Accept: "application/vnd.github.v3+json",
+    "User-Agent": "GitHub-To-CV-Backend",
+  };
+
+  if (process.env.GITHUB_TOKEN) {
+    headers["Authorization"] = `Bearer ${process.env.GITHUB_TOKEN}`;
+  }
+
+  const store = getCacheStore();
+  const cached = store ? await store.get(url) : null;
+
+  if (cached?.etag) {
+    headers["If-None-Match"] = cached.etag;
+  } else if (cached?.lastModified) {
+    headers["If-Modified-Since"] = cached.lastModified;
+  }
+
+  const response = await fetch(url, { headers });
+  recordRateLimit(response.headers);
+
+  if (response.status === 304 && cached) {
+    return cached.data;
+  }
+
+  const rateLimitRemaining = response.headers.get("X-RateLimit-Remaining");
+  const rateLimitReset = response.headers.get("X-RateLimit-Reset");
+
+  if (!response.ok) {
+    if (response.status === 403 && rateLimitRemaining === "0") {
+      const resetDate = new Date(parseInt(rateLimitReset) * 1000);
+      throw new Error(
+        `GitHub API rate limit exceeded. Resets at ${resetDate.toLocaleTimeString()}`,
+      );
+    }
+    if (response.status === 404) {
+      throw new Error("User or resource not found");
+    }
+    throw new Error(
+      `GitHub API error: ${response.status} ${response.statusText}`,
+    );
+  }
+
+  // 202: GitHub is still computing repository statistics
+  if (response.status === 202) {
+    return null;
+  }
+
+  // 204: statistics endpoints answer this for empty repositories
+  if (response.status === 204) {
+    return [];
+  }
+
+  const data = await response.json();
+
+  const etag = response.headers.get("ETag");
+  const lastModified = response.headers.get("Last-Modified");
+  if (store && (etag || lastModified)) {
+    await store.set(url, { etag, lastModified, data, storedAt: Date.now() });
+  }
+
+  return data;
+}
+
+/**
+ * Runs a query against the GitHub GraphQL API (requires GITHUB_TOKEN)
+ */
+export async function githubGraphQL(query, variables = {}) {
+  if (!process.env.GITHUB_TOKEN) {
+    const error = new Error(
+      "GitHub GraphQL API requires GITHUB_TOKEN on the server",
+    );
+    error.status = 503;
+    throw error;
+  }
+
+  const response = await fetch(GITHUB_GRAPHQL_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "User-Agent": "GitHub-To-CV-Backend",
+      Authorization: `Bearer ${process.env.GITHUB_TOKEN}`,
+    },
+    body: JSON.stringify({ query, variables }),
+  });
+
+  if (!response.ok) {
+    throw new Error(
+      `GitHub GraphQL error: ${response.status} ${response.statusText}`,
+    );
+  }
+
+  const { data, errors } = await response.json();
+
+  if (errors?.length) {
+    const notFound = errors.some((e) => e.type === "NOT_FOUND");
+    throw new Error(
+      notFound ? "User or resource not found" : errors[0].message,
+    );
+  }
+
+  return data;
+}
+
+const PROFILE_OVERVIEW_QUERY = `
+  query ($login: String!) {
+    user(login: $login) {
+      pinnedItems(first: 6, types: REPOSITORY) {
+        nodes {
+          ... on Repository {
+            name
+            nameWithOwner
+            url
+            owner {
+              login
+            }
+          }
+        }
+      }
+      contributionsCollection {
+        totalCommitContributions
+        totalPullRequestContributions
+        totalPullRequestReviewContributions
+        totalIssueContributions
+        totalRepositoryContributions
+        restrictedContributionsCount
+        contributionCalendar {
+          totalContributions
+          weeks {
+            contributionDays {
+              date
+              contributionCount
+              contributionLevel
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Fetches a repository statistics endpoint, retrying while GitHub computes it
+ * @param {string} endpoint - API endpoint
+ * @param {Object} options - { retries, deadline } where no retry waits past deadline (epoch ms)
+ * @returns {Promise<Array|null>} - Statistics, or null if still computing
+ */
+export async function githubStatsFetch(
+  endpoint,
+  { retries = STATS_MAX_RETRIES, deadline = Infinity } = {},
+) {
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const data = await githubFetch(endpoint);
+    if (data !== null) {
+      return data;
+    }
+
+    const delay = STATS_RETRY_DELAY_MS * (attempt + 1);
+    if (attempt === retries || Date.now() + delay > deadline) {
+      break;
+    }
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+
+  return null;
+}
+
+/**
+ * Returns the latest core REST quota seen by this server
+ * @returns {Object} - { limit, remaining, reset } with reset in epoch seconds
+ */
+export function getRateLimitState() {
+  return { ...rateLimitState };
+}
+
+/**
+ * Fetches the current quota from GitHub (free, not counted against it)
+ * @returns {Promise<Object>} - Core and search quotas
+ */
+export async function refreshRateLimit() {
+  const response = await fetch(`${GITHUB_API_BASE}/rate_limit`, {
+    headers: {
+      Accept: "application/vnd.github.v3+json",
+      "User-Agent": "GitHub-To-CV-Backend",
+      ...(process.env.GITHUB_TOKEN && {
+        Authorization: `Bearer ${process.env.GITHUB_TOKEN}`,
+      }),
+    },
+  });
+
+  if (!response.ok) {
+    throw new Error(
+      `GitHub API error: ${response.status} ${response.statusText}`,
+    );
+  }
+
+  const { resources } = await response.json();
+  rateLimitState.limit = resources.core.limit;
+  rateLimitState.remaining = resources.core.remaining;
+  rateLimitState.reset = resources.core.reset;
+
+  return {
+    authenticated: !!process.env.GITHUB_TOKEN,
+    limit: resources.core.limit,
+    remaining: resources.core.remaining,
+    used: resources.core.used,
+    reset: resources.core.reset,
+    search: {
+      limit: resources.search.limit,
+      remaining: resources.search.remaining,
+      reset: resources.search.reset,
+    },
+  };
+}
+
+/**
+ * Fetches a user profile
+ * @param {string} username - GitHub username
+ * @returns {Promise<Object>} - Profile
+ */
+export async function getUserProfile(username) {
+  const user = await githubFetch(`/users/${username}`);
+
+  return {
+    login: user.login,
+    name: user.name || user.login,
+    bio: user.bio,
+    company: user.company,
+    location: user.location,
+    email: user.email,
+    blog: user.blog,
+    avatarUrl: user.avatar_url,
+    profileUrl: user.html_url,
+    publicRepos: user.public_repos,
+    followers: user.followers,
+    following: user.following,
+    createdAt: user.created_at,
+    hireable: user.hireable,
+  };
+}
+
+/**
+ * Fetches pinned repositories, contribution calendar and totals (GraphQL)
+ * @param {string} username - GitHub username
+ * @returns {Promise<Object>} - Profile overview
+ */
+export async function getProfileOverview(username) {
+  const data = await githubGraphQL(PROFILE_OVERVIEW_QUERY, {
+    login: username,
+  });
+
+  if (!data.user) {
+    const error = new Error("User or resource not found");
+    error.status = 404;
+    throw error;
+  }
+
+  const { pinnedItems, contributionsCollection: contributions } = data.user;
+  const calendar = contributions.contributionCalendar;
+
+  return {
+    pinnedRepositories: pinnedItems.nodes.map((repo) => ({
+      name: repo.name,
+      fullName: repo.nameWithOwner,
+      owner: repo.owner.login,
+      url: repo.url,
+    })),
+    contributionCalendar: {
+      totalContributions: calendar.totalContributions,
+      weeks: calendar.weeks.map((week) =>
+        week.contributionDays.map((day) => ({
+          date: day.date,
+          count: day.contributionCount,
+          level: day.contributionLevel,
+        })),
+      ),
+    },
+    contributionTotals: {
+      commits: contributions.totalCommitContributions,
+      pullRequests: contributions.totalPullRequestContributions,
+      reviews: contributions.totalPullRequestReviewContributions,
+      issues: contributions.totalIssueContributions,
+      repositories: contributions.totalRepositoryContributions,
+      private: contributions.restrictedContributionsCount,
+    },
+  };
+}
+
+/**
+ * Fetches one page of a user's repositories, most recently updated first
+ * @param {string} username - GitHub username
+ * @param {number} page - Page number
+ * @param {number} perPage - Results per page (max 100)
+ * @returns {Promise<Array>} - Raw GitHub repository objects
+ */
+export async function getUserRepositories(username, page = 1, perPage = 100) {
+  return githubFetch(
+    `/users/${username}/repos?sort=updated&direction=desc&per_page=${perPage}&page=${page}`,
+  );
+}
+
+/**
+ * Fetches all public repositories for a user in the analysis format
+ * @param {string} username - GitHub username
+ * @param {number} maxPages - Maximum pages to fetch (100 repos per page)
+ * @returns {Promise<Array>} - Repositories
+ */
+export async function getAllUserRepositories(username, maxPages = 4) {
+  const allRepos = [];
+
+  for (let page = 1; page <= maxPages; page++) {
+    const repos = await getUserRepositories(username, page);
+    allRepos.push(...repos);
+
+    if (repos.length < 100) break;
+  }
+
+  return allRepos.map((repo) => ({
+    id: repo.id,
+    name: repo.name,
+    fullName: repo.full_name,
+    description: repo.description,
+    url: repo.html_url,
+    homepage: repo.homepage,
+    language: repo.language,
+    stars: repo.stargazers_count,
+    watchers: repo.watchers_count,
+    forks: repo.forks_count,
+    openIssues: repo.open_issues_count,
+    size: repo.size,
+    createdAt: repo.created_at,
+    updatedAt: repo.updated_at,
+    pushedAt: repo.pushed_at,
+    isFork: repo.fork,
+    isArchived: repo.archived,
+    topics: repo.topics || [],
+    defaultBranch: repo.default_branch,
+    hasPages: repo.has_pages,
+    license: repo.license?.spdx_id,
+  }));
+}
+
+/**
+ * Fetches the decoded README of a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<Object>} - README ({ content: null } if missing)
+ */
+export async function getRepoReadme(owner, repo) {
+  try {
+    const readme = await githubFetch(`/repos/${owner}/${repo}/readme`);
+
+    // Decode content if base64 encoded
+    if (readme.encoding === "base64" && readme.content) {
+      return {
+        content: Buffer.from(readme.content, "base64").toString("utf-8"),
+        name: readme.name,
+        path: readme.path,
+        downloadUrl: readme.download_url,
+      };
+    }
+    return readme;
+  } catch (error) {
+    // README not found
+    return { content: null };
+  }
+}
+
+/**
+ * Fetches the recursive file tree of a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} ref - Branch, tag or commit SHA
+ * @returns {Promise<Object>} - { sha, truncated, paths }
+ */
+export async function getRepoTree(owner, repo, ref = "HEAD") {
+  try {
+    const tree = await githubFetch(
+      `/repos/${owner}/${repo}/git/trees/${encodeURIComponent(ref)}?recursive=1`,
+    );
+
+    return {
+      sha: tree.sha,
+      truncated: !!tree.truncated,
+      paths: (tree.tree || []).map((entry) => entry.path),
+    };
+  } catch (error) {
+    // Empty repository or unknown ref
+    return { sha: null, truncated: false, paths: [] };
+  }
+}
+
+/**
+ * Fetches a single decoded file from a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} filePath - Path inside the repository
+ * @param {string} ref - Optional branch, tag or commit SHA
+ * @returns {Promise<Object>} - File ({ content: null } if missing)
+ */
+export async function getRepoFile(owner, repo, filePath, ref) {
+  const encodedPath = filePath
+    .split("/")
+    .map((segment) => encodeURIComponent(segment))
+    .join("/");
+  const query = ref ? `?ref=${encodeURIComponent(ref)}` : "";
+
+  try {
+    const file = await githubFetch(
+      `/repos/${owner}/${repo}/contents/${encodedPath}${query}`,
+    );
+
+    // Directories come back as arrays, only files carry content
+    if (Array.isArray(file) || file.type !== "file") {
+      return { content: null, path: filePath };
+    }
+
+    const content =
+      file.encoding === "base64" && file.content
+        ? Buffer.from(file.content, "base64").toString("utf-8")
+        : file.content || null;
+
+    return {
+      content,
+      name: file.name,
+      path: file.path,
+      size: file.size,
+      sha: file.sha,
+      downloadUrl: file.download_url,
+    };
+  } catch (error) {
+    // File not found
+    return { content: null, path: filePath };
+  }
+}
+
+/**
+ * Fetches weekly commit activity for the last year
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} options - Retry options for githubStatsFetch (optional)
+ * @returns {Promise<Array|null>} - Weekly activity, or null if still computing
+ */
+export async function getCommitActivity(owner, repo, options) {
+  return githubStatsFetch(
+    `/repos/${owner}/${repo}/stats/commit_activity`,
+    options,
+  );
+}
+
+/**
+ * Fetches per-contributor commit statistics
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} options - Retry options for githubStatsFetch (optional)
+ * @returns {Promise<Array|null>} - Contributor stats, or null if still computing
+ */
+export async function getContributorStats(owner, repo, options) {
+  const contributors = await githubStatsFetch(
+    `/repos/${owner}/${repo}/stats/contributors`,
+    options,
+  );
+
+  if (contributors === null) {
+    return null;
+  }
+
+  return contributors
+    .filter((c) => c.author)
+    .map((c) => ({
+      login: c.author.login,
+      total: c.total,
+      weeks: (c.weeks || []).map((w) => ({
+        week: w.w,
+        commits: w.c,
+        additions: w.a,
+        deletions: w.d,
+      })),
+    }));
+}
+
+/**
+ * Fetches merged pull requests the user authored in repositories they don't own
+ * @param {string} username - GitHub username
+ * @param {number} maxPages - Maximum search pages to fetch (100 results each)
+ * @returns {Promise<Array>} - Merged pull requests
+ */
+export async function getMergedPullRequests(username, maxPages = 2) {
+  const pullRequests = [];
+
+  for (let page = 1; page <= maxPages; page++) {
+    const params = new URLSearchParams({
+      q: `type:pr author:${username} is:merged -user:${username}`,
+      sort: "created",
+      order: "desc",
+      per_page: 100,
+      page,
+    });
+    const data = await githubFetch(`/search/issues?${params}`);
+    const items = data.items || [];
+
+    pullRequests.push(
+      ...items.map((item) => ({
+        title: item.title,
+        url: item.html_url,
+        number: item.number,
+        repository: item.repository_url.replace(/^.*\/repos\//, ""),
+        mergedAt: item.pull_request?.merged_at || item.closed_at,
+      })),
+    );
+
+    if (items.length < 100) break;
+  }
+
+  return pullRequests;
+}
@@ -0,0 +1,352 @@
+/**
+ * LLM Providers
+ * Pluggable chat-completion backends selected with LLM_PROVIDER
+ *
+ * A provider is { id, label, model, configured, complete(request),
+ * stream(request) } where complete({ messages, maxTokens, temperature,
+ * referer, schema }) resolves to { content, model, usage } and
+ * stream(request), which also accepts an abort signal, is an async iterable
+ * of text deltas. `schema` is set when the reply must be JSON matching it.
+ */
+
+const OPENROUTER_BASE_URL = "https://openrouter.ai/api/v1";
+const DEFAULT_OPENROUTER_MODEL = "google/gemma-3-27b-it:free";
+const DEFAULT_LOCAL_MODEL = "local-model";
+const DEFAULT_REFERER = "http://localhost:5173";
+
+// Created lazily so server/.env is loaded before the provider is chosen
+let provider;
+
+/**
+ * Creates a provider for any server implementing the OpenAI chat completions
+ * API (OpenRouter, llama.cpp, Ollama, vLLM, ...)
+ * @param {Object} options - { id, label, baseUrl, apiKey, requiresApiKey, model, headers }
+ * @returns {Object} - LLM provider
+ */
+export function createOpenAICompatibleProvider({
+  id = "openai-compatible",
+  label = "OpenAI-compatible",
+  baseUrl,
+  apiKey,
+  requiresApiKey = false,
+  model = DEFAULT_LOCAL_MODEL,
+  headers = () => ({}),
+  missingConfigMessage = "LLM service not configured. Please add LLM_BASE_URL to server environment.",
+}) {
+  const configured = Boolean(baseUrl) && (!requiresApiKey || Boolean(apiKey));
+
+  /**
+   * Posts a chat completion request, throwing on configuration, network or
+   * upstream errors
+   */
+  const request = async (
+    { messages, maxTokens, temperature, referer, signal },
+    stream,
+  ) => {
+    if (!configured) {
+      const error = new Error(missingConfigMessage);
+      error.status = 503;
+      throw error;
+    }
+
+    const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+    let response;
+    try {
+      response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+          ...headers({ referer }),
+        },
+        body: JSON.stringify({
+          model,
+          messages,
+          max_tokens: maxTokens,
+          temperature,
+          ...(stream && { stream: true }),
+        }),
+        signal,
+      });
+    } catch (cause) {
+      if (signal?.aborted) throw cause;
+
+      const error = new Error(`${label} is unreachable at ${baseUrl}`);
+      error.status = 502;
+      error.cause = cause;
+      throw error;
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(
+        errorData.error?.message || `${label} API error: ${response.status}`,
+      );
+      error.status = 502;
+      throw error;
+    }
+
+    return response;
+  };
+
+  return {
+    id,
+    label,
+    model,
+    configured,
+
+    async complete(options) {
+      const response = await request(options, false);
+      const data = await response.json();
+      return {
+        content: data.choices?.[0]?.message?.content?.trim() || "",
+        model: data.model || model,
+        usage: data.usage,
+      };
+    },
+
+    async *stream(options) {
+      const response = await request(options, true);
+
+      for await (const data of readEventData(response.body)) {
+        if (data === "[DONE]") return;
+
+        let chunk;
+        try {
+          chunk = JSON.parse(data);
+        } catch {
+          continue;
+        }
+        // Errors after the response has started arrive as a chunk
+        if (chunk.error) {
+          const error = new Error(
+            chunk.error.message || `${label} stream error`,
+          );
+          error.status = 502;
+          throw error;
+        }
+
+        const text = chunk.choices?.[0]?.delta?.content;
+        if (text) yield text;
+      }
+    },
+  };
+}
+
+/**
+ * Reads the data of each server-sent event in a response body
+ * Comment lines (keep-alives) and events without data are skipped.
+ * @param {ReadableStream} body - Response body
+ * @returns {AsyncGenerator<string>} - Event data
+ */
+async function* readEventData(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+
+    for (const event of events) {
+      const data = event
+        .split(/\r?\n/)
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).trimStart())
+        .join("\n");
+      if (data) yield data;
+    }
+  }
+}
+
+/**
+ * Creates the hosted OpenRouter provider
+ * @param {Object} options - { apiKey, model }
+ * @returns {Object} - LLM provider
+ */
+export function createOpenRouterProvider({
+  apiKey,
+  model = DEFAULT_OPENROUTER_MODEL,
+}) {
+  return createOpenAICompatibleProvider({
+    id: "openrouter",
+    label: "OpenRouter",
+    baseUrl: OPENROUTER_BASE_URL,
+    apiKey,
+    requiresApiKey: true,
+    model,
+    // OpenRouter attributes requests to the calling app
+    headers: ({ referer }) => ({
+      "HTTP-Referer": referer || DEFAULT_REFERER,
+      "X-Title": "GitHub to CV Generator",
+    }),
+    missingConfigMessage:
+      "LLM service not configured. Please add OPENROUTER_API_KEY to server environment.",
+  });
+}
+
+/**
+ * Creates a provider that answers without any network access, for tests
+ * and offline development. Responses depend only on the request: requests
+ * with a schema get the smallest JSON value matching it.
+ * @param {Object} options - { model, response: fixed content for every text request }
+ * @returns {Object} - LLM provider
+ */
+export function createMockProvider({ model = "mock", response } = {}) {
+  const respond = (messages, schema) => {
+    if (schema) return JSON.stringify(sampleFromSchema(schema));
+
+    const prompt = messages[messages.length - 1]?.content || "";
+    return (
+      response ??
+      `Mock response to: ${prompt.replace(/\s+/g, " ").trim().slice(0, 80)}`
+    );
+  };
+
+  return {
+    id: "mock",
+    label: "Mock",
+    model,
+    configured: true,
+
+    async complete({ messages, schema }) {
+      const content = respond(messages, schema);
+      const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+      const promptTokens = messages.reduce(
+        (total, message) => total + countWords(message.content || ""),
+        0,
+      );
+      const completionTokens = countWords(content);
+
+      return {
+        content,
+        model,
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens,
+        },
+      };
+    },
+
+    // One word (with its trailing whitespace) per delta
+    async *stream({ messages, schema }) {
+      yield* respond(messages, schema).match(/\S+\s*/g) || [];
+    },
+  };
+}
+
+/**
+ * Builds a small value matching a schema (see structuredOutput.js for the
+ * supported subset), with placeholder text named after each field
+ * @param {Object} schema - JSON schema
+ * @param {string} name - Field name, for placeholder text
+ * @returns {*} - Matching value
+ */
+function sampleFromSchema(schema, name = "value") {
+  if (schema.enum) return schema.enum[0];
+
+  switch (schema.type) {
+    case "string": {
+      const placeholder = `Mock ${name}`;
+      let text = placeholder;
+      while (text.length < (schema.minLength || 0)) text += ` ${placeholder}`;
+      return schema.maxLength ? text.slice(0, schema.maxLength) : text;
+    }
+    case "number":
+    case "integer":
+      return 0;
+    case "boolean":
+      return false;
+    case "null":
+      return null;
+    case "array":
+      // One item (where allowed) so list-driven flows have something to use
+      return Array.from(
+        {
+          length: Math.max(
+            schema.minItems || 0,
+            Math.min(1, schema.maxItems ?? 1),
+          ),
+        },
+        () => sampleFromSchema(schema.items || {}, name),
+      );
+    case "object": {
+      const value = {};
+      for (const key of schema.required || []) {
+        value[key] = sampleFromSchema(schema.properties?.[key] || {}, key);
+      }
+
+      // Schemas like skill categories only name the allowed keys
+      const names = schema.propertyNames?.enum || [];
+      const extra = isObject(schema.additionalProperties)
+        ? schema.additionalProperties
+        : {};
+      for (
+        let i = 0;
+        Object.keys(value).length < (schema.minProperties || 0);
+        i++
+      ) {
+        const key = names[i] ?? `${name}${i + 1}`;
+        value[key] = sampleFromSchema(extra, key);
+      }
+      return value;
+    }
+    default:
+      return null;
+  }
+}
+
+function isObject(value) {
+  return typeof value === "object" && value !== null;
+}
+
+/**
+ * Creates the provider selected by LLM_PROVIDER (openrouter, openai-compatible
+ * or mock)
+ * @returns {Object} - LLM provider
+ */
+export function createLLMProviderFromEnv() {
+  const type = (process.env.LLM_PROVIDER || "openrouter").toLowerCase();
+  const model = process.env.LLM_MODEL || undefined;
+
+  switch (type) {
+    case "openrouter":
+      return createOpenRouterProvider({
+        apiKey: process.env.OPENROUTER_API_KEY,
+        model,
+      });
+    case "openai-compatible":
+      return createOpenAICompatibleProvider({
+        baseUrl: process.env.LLM_BASE_URL,
+        apiKey: process.env.LLM_API_KEY,
+        model,
+      });
+    case "mock":
+      return createMockProvider({
+        model,
+        response: process.env.LLM_MOCK_RESPONSE || undefined,
+      });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${type}`);
+  }
+}
+
+/**
+ * Returns the configured LLM provider
+ * @returns {Object} - LLM provider
+ */
+export function getLLMProvider() {
+  if (provider === undefined) {
+    provider = createLLMProviderFromEnv();
+  }
+  return provider;
+}
+
+/**
+ * Replaces the LLM provider, e.g. with a mock in tests
+ * @param {Object} nextProvider - LLM provider
+ */
+export function setLLMProvider(nextProvider) {
+  provider = nextProvider;
+}
@@ -0,0 +1,122 @@
+/**
+ * PDF Export Service
+ * Compiles CV LaTeX (rendered by the frontend templates) with a locally
+ * installed TeX engine
+ */
+
+import { spawn } from "child_process";
+import { mkdtemp, readFile, rm, writeFile } from "fs/promises";
+import os from "os";
+import path from "path";
+
+// A rendered CV compiles in a few seconds
+const COMPILE_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Command-line arguments per supported engine (the .tex file is appended)
+ */
+const ENGINE_ARGS = {
+  pdflatex: ["-interaction=nonstopmode", "-halt-on-error", "-no-shell-escape"],
+  xelatex: ["-interaction=nonstopmode", "-halt-on-error", "-no-shell-escape"],
+  lualatex: ["-interaction=nonstopmode", "-halt-on-error", "-no-shell-escape"],
+  tectonic: ["--untrusted", "--chatter", "minimal"],
+};
+
+/**
+ * Compiles a LaTeX document to PDF in a throwaway directory
+ * @param {string} latex - LaTeX source
+ * @returns {Promise<Buffer>} - PDF file
+ */
+export async function compileLatexToPdf(latex) {
+  const engine = process.env.LATEX_ENGINE || "pdflatex";
+  const args = ENGINE_ARGS[engine];
+
+  if (!args) {
+    throw new Error(`Unsupported LATEX_ENGINE: ${engine}`);
+  }
+
+  const workDir = await mkdtemp(path.join(os.tmpdir(), "cv-export-"));
+
+  try {
+    await writeFile(path.join(workDir, "cv.tex"), latex);
+    const { code, output } = await runEngine(
+      engine,
+      [...args, "cv.tex"],
+      workDir,
+    );
+
+    if (code !== 0) {
+      const error = new Error(
+        `LaTeX compilation failed: ${extractLatexError(output)}`,
+      );
+      error.status = 422;
+      throw error;
+    }
+
+    return await readFile(path.join(workDir, "cv.pdf"));
+  } finally {
+    await rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Runs the TeX engine and collects its console output
+ * @returns {Promise<Object>} - { code, output }
+ */
+function runEngine(engine, args, cwd) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(engine, args, {
+      cwd,
+      timeout: COMPILE_TIMEOUT_MS,
+      // Paranoid mode: the document may only read and write files in cwd
+      env: { ...process.env, openin_any: "p", openout_any: "p" },
+    });
+
+    let output = "";
+    child.stdout.on("data", (chunk) => (output += chunk));
+    child.stderr.on("data", (chunk) => (output += chunk));
+
+    child.on("error", (err) => {
+      const error =
+        err.code === "ENOENT"
+          ? new Error(
+              `TeX engine "${engine}" is not installed on the server (set LATEX_ENGINE)`,
+            )
+          : err;
+      error.status = 503;
+      reject(error);
+    });
+
+    child.on("close", (code, signal) => {
+      if (signal) {
+        const error = new Error("LaTeX compilation timed out");
+        error.status = 504;
+        reject(error);
+        return;
+      }
+      resolve({ code, output });
+    });
+  });
+}
+
+/**
+ * Picks the first error out of a TeX log
+ * @param {string} output - Engine output
+ * @returns {string} - Error summary
+ */
+function extractLatexError(output) {
+  const lines = output.split("\n");
+  const index = lines.findIndex(
+    (line) => line.startsWith("!") || line.startsWith("error:"),
+  );
+
+  if (index === -1) {
+    return "see server logs";
+  }
+
+  return lines
+    .slice(index, index + 3)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join(" ");
+}
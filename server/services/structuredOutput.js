@@ -0,0 +1,232 @@
+/**
+ * Structured Output
+ * Asks the LLM for JSON matching a schema, validates the reply and retries
+ * with the validation errors until it conforms
+ *
+ * Schemas are a JSON Schema subset: type, enum, properties, required,
+ * additionalProperties, propertyNames, minProperties, items, minItems,
+ * maxItems, minLength and maxLength.
+ */
+
+const DEFAULT_RETRIES = 2;
+
+// Errors listed back to the model per retry
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * Validates a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema subset
+ * @param {string} path - Location of the value, for error messages
+ * @returns {Array<string>} - Validation errors, empty when valid
+ */
+export function validateSchema(value, schema, path = "$") {
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(
+      `${path} must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`,
+    );
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${path} must be ${withArticle(schema.type)}`);
+    return errors;
+  }
+
+  if (typeof value === "string") {
+    if (
+      schema.minLength !== undefined &&
+      value.trim().length < schema.minLength
+    ) {
+      errors.push(
+        schema.minLength === 1
+          ? `${path} must not be empty`
+          : `${path} must be at least ${schema.minLength} characters`,
+      );
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)),
+      );
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+    const keys = Object.keys(value);
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    }
+    if (
+      schema.minProperties !== undefined &&
+      keys.length < schema.minProperties
+    ) {
+      errors.push(
+        `${path} must have at least ${schema.minProperties} properties`,
+      );
+    }
+
+    for (const key of keys) {
+      const keyPath = `${path}.${key}`;
+      if (schema.propertyNames) {
+        errors.push(
+          ...validateSchema(key, schema.propertyNames, `${keyPath} (name)`),
+        );
+      }
+
+      if (properties[key]) {
+        errors.push(...validateSchema(value[key], properties[key], keyPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${keyPath} is not allowed`);
+      } else if (isPlainObject(schema.additionalProperties)) {
+        errors.push(
+          ...validateSchema(value[key], schema.additionalProperties, keyPath),
+        );
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parses a JSON reply, tolerating a markdown code fence around it
+ * @param {string} content - Model reply
+ * @returns {*} - Parsed value
+ */
+export function parseJSONReply(content) {
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const text = (fenced ? fenced[1] : content).trim();
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new SyntaxError(`The reply is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Generates JSON matching a schema, retrying with the validation errors
+ * Throws a 422 error carrying `validationErrors` when retries run out.
+ * @param {Object} provider - LLM provider
+ * @param {Object} request - { prompt, systemPrompt, schema, maxTokens, temperature, referer, signal, retries }
+ * @param {Object} handlers - { onText(delta, attempt), onRetry(errors, attempt) } to stream the replies (optional)
+ * @returns {Promise<Object>} - { data, attempts }
+ */
+export async function generateStructured(
+  provider,
+  {
+    prompt,
+    systemPrompt,
+    schema,
+    maxTokens,
+    temperature = 0.5,
+    referer,
+    signal,
+    retries = DEFAULT_RETRIES,
+  },
+  { onText, onRetry } = {},
+) {
+  const messages = [
+    {
+      role: "system",
+      content: `${systemPrompt}
+
+Respond with ONLY a JSON value matching this JSON Schema. No markdown, no explanation.
+${JSON.stringify(schema)}`,
+    },
+    { role: "user", content: prompt },
+  ];
+
+  let errors = [];
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    const request = {
+      messages,
+      maxTokens,
+      temperature,
+      referer,
+      signal,
+      schema,
+    };
+    let content = "";
+    if (onText) {
+      for await (const text of provider.stream(request)) {
+        content += text;
+        onText(text, attempt);
+      }
+    } else {
+      ({ content } = await provider.complete(request));
+    }
+
+    try {
+      const data = parseJSONReply(content);
+      errors = validateSchema(data, schema);
+      if (errors.length === 0) return { data, attempts: attempt };
+    } catch (error) {
+      errors = [error.message];
+    }
+
+    if (attempt <= retries) {
+      onRetry?.(errors, attempt);
+      messages.push(
+        { role: "assistant", content },
+        {
+          role: "user",
+          content: `That reply does not match the schema:
+${errors
+  .slice(0, MAX_REPORTED_ERRORS)
+  .map((error) => `- ${error}`)
+  .join("\n")}
+
+Respond again with ONLY the corrected JSON.`,
+        },
+      );
+    }
+  }
+
+  const error = new Error(
+    `The model did not return valid JSON after ${retries + 1} attempts`,
+  );
+  error.status = 422;
+  error.validationErrors = errors;
+  throw error;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "object":
+      return isPlainObject(value);
+    case "array":
+      return Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "null":
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function withArticle(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
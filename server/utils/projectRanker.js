@@ -25,6 +25,13 @@ const SCORING_WEIGHTS = {
 
   // Ownership indicators
   isOriginal: 0.1, // Not a fork
+
+  // Authorship indicators (only applied when commit stats are available)
+  commitShare: 0.2, // User's share of all commits
+  commitCadence: 0.1, // Weeks the user committed in the last year
+
+  // Curation indicator (only applied when the user has pinned repositories)
+  isPinned: 0.25, // Pinned on the user's profile
 };
 
 /**
@@ -81,6 +88,71 @@ function scoreCodeSize(sizeKB) {
   return 90; // Huge (might be data/assets)
 }
 
+/**
+ * Calculates authorship score from the user's share of commits
+ * Square-root scaling so a solid share of a team project still scores well
+ * @param {number} share - User commits / total commits (0-1)
+ * @returns {number} - Score 0-100
+ */
+function scoreCommitShare(share) {
+  return Math.min(100, Math.sqrt(share) * 100);
+}
+
+/**
+ * Calculates cadence score from weeks with commits in the last year
+ * @param {number} activeWeeks - Weeks with at least one commit (0-52)
+ * @returns {number} - Score 0-100
+ */
+function scoreCommitCadence(activeWeeks) {
+  // 20+ active weeks a year counts as sustained work
+  return Math.min(100, activeWeeks * 5);
+}
+
+/**
+ * Summarizes how much of a repository the user actually wrote
+ * @param {string} username - GitHub username
+ * @param {Array} contributors - Contributor stats ({ login, total, weeks })
+ * @param {Array} commitActivity - Weekly commit activity ({ week, total })
+ * @returns {Object|null} - Commit summary, or null without usable stats
+ */
+export function summarizeCommitStats(
+  username,
+  contributors = [],
+  commitActivity = [],
+) {
+  const oneYearAgo = Date.now() / 1000 - 365 * 24 * 60 * 60;
+
+  if (contributors.length > 0) {
+    const totalCommits = contributors.reduce((sum, c) => sum + c.total, 0);
+    const user = contributors.find(
+      (c) => c.login?.toLowerCase() === username?.toLowerCase(),
+    );
+    const userCommits = user?.total || 0;
+    const activeWeeks = (user?.weeks || []).filter(
+      (w) => w.week >= oneYearAgo && w.commits > 0,
+    ).length;
+
+    return {
+      userCommits,
+      totalCommits,
+      commitShare: totalCommits > 0 ? userCommits / totalCommits : 0,
+      activeWeeks,
+    };
+  }
+
+  // Without per-author data, fall back to the repository's overall cadence
+  if (commitActivity.length > 0) {
+    return {
+      userCommits: null,
+      totalCommits: commitActivity.reduce((sum, w) => sum + w.total, 0),
+      commitShare: null,
+      activeWeeks: commitActivity.filter((w) => w.total > 0).length,
+    };
+  }
+
+  return null;
+}
+
 /**
  * Analyzes README content quality
  * @param {string|null} readmeContent - README content
@@ -238,9 +310,15 @@ export function shouldFilterRepository(repo) {
  * @returns {Object} - Score breakdown and total
  */
 export function calculateRepositoryScore(repo, options = {}) {
-  const { readmeContent, commitActivity } = options;
+  const { readmeContent, commitActivity, contributors, username, isPinned } =
+    options;
 
   const readmeAnalysis = analyzeReadmeQuality(readmeContent);
+  const commitStats = summarizeCommitStats(
+    username,
+    contributors,
+    commitActivity,
+  );
 
   const scores = {
     stars: scoreStars(repo.stars),
@@ -254,16 +332,30 @@ export function calculateRepositoryScore(repo, options = {}) {
     isOriginal: repo.isFork ? 0 : 100,
   };
 
-  // Calculate weighted total
+  if (isPinned !== undefined) {
+    scores.isPinned = isPinned ? 100 : 0;
+  }
+  if (commitStats?.commitShare != null) {
+    scores.commitShare = scoreCommitShare(commitStats.commitShare);
+  }
+  if (commitStats) {
+    scores.commitCadence = scoreCommitCadence(commitStats.activeWeeks);
+  }
+
+  // Calculate weighted total, normalized over the factors we have data for
   let totalScore = 0;
+  let appliedWeight = 0;
   for (const [key, weight] of Object.entries(SCORING_WEIGHTS)) {
-    totalScore += (scores[key] || 0) * weight;
+    if (scores[key] === undefined) continue;
+    totalScore += scores[key] * weight;
+    appliedWeight += weight;
   }
 
   return {
-    totalScore: Math.round(totalScore),
+    totalScore: Math.round(appliedWeight > 0 ? totalScore / appliedWeight : 0),
     breakdown: scores,
     readmeAnalysis,
+    commitStats,
   };
 }
 
@@ -272,31 +364,62 @@ export function calculateRepositoryScore(repo, options = {}) {
  * @param {Array} repos - Array of repositories
  * @param {Map} readmeMap - Map of repo name to README content
  * @param {Object} options - Ranking options
+ * @param {Map} options.commitStatsMap - Map of repo name to
+ *   { commitActivity, contributors }
+ * @param {string} options.username - Login used to find the user's commits
+ * @param {Array<string>} options.pinnedRepos - Full names of pinned
+ *   repositories; these are never filtered out and are returned on top of
+ *   maxResults
  * @returns {Array} - Ranked repositories
  */
 export function rankRepositories(repos, readmeMap = new Map(), options = {}) {
-  const { maxResults = 10, includeFiltered = false, minScore = 20 } = options;
+  const {
+    maxResults = 10,
+    includeFiltered = false,
+    minScore = 20,
+    commitStatsMap = new Map(),
+    username,
+    pinnedRepos = [],
+  } = options;
+
+  const pinned = new Set(pinnedRepos.map((name) => name.toLowerCase()));
+  const isPinned = (repo) => pinned.has(repo.fullName?.toLowerCase());
 
   // Filter and score repositories
   const scoredRepos = repos
-    .filter((repo) => includeFiltered || !shouldFilterRepository(repo))
+    .filter(
+      (repo) =>
+        includeFiltered || isPinned(repo) || !shouldFilterRepository(repo),
+    )
     .map((repo) => {
       const readmeContent = readmeMap.get(repo.name);
-      const scoring = calculateRepositoryScore(repo, { readmeContent });
+      const stats = commitStatsMap.get(repo.name);
+      const scoring = calculateRepositoryScore(repo, {
+        readmeContent,
+        commitActivity: stats?.commitActivity,
+        contributors: stats?.contributors,
+        username,
+        isPinned: pinned.size > 0 ? isPinned(repo) : undefined,
+      });
 
       return {
         ...repo,
+        isPinned: isPinned(repo),
         scoring,
         extractedDescription:
           extractDescriptionFromReadme(readmeContent) || repo.description,
       };
     })
-    .filter((repo) => repo.scoring.totalScore >= minScore);
+    .filter((repo) => repo.isPinned || repo.scoring.totalScore >= minScore);
 
   // Sort by score descending
   scoredRepos.sort((a, b) => b.scoring.totalScore - a.scoring.totalScore);
 
-  return scoredRepos.slice(0, maxResults);
+  // Pinned repositories are offered however they rank
+  return [
+    ...scoredRepos.slice(0, maxResults),
+    ...scoredRepos.slice(maxResults).filter((repo) => repo.isPinned),
+  ];
 }
 
 /**
@@ -0,0 +1,933 @@
+/**
+ * Tech Stack Detector
+ * Analyzes repository files to infer technologies and frameworks used
+ */
+
+/**
+ * Map of config files to their associated technologies
+ */
+const CONFIG_FILE_PATTERNS = {
+  // JavaScript/Node ecosystem
+  "package.json": { type: "npm", category: "JavaScript/Node.js" },
+  "yarn.lock": { type: "yarn", category: "JavaScript/Node.js" },
+  "pnpm-lock.yaml": { type: "pnpm", category: "JavaScript/Node.js" },
+  "tsconfig.json": { type: "typescript", category: "TypeScript" },
+  "webpack.config.js": { type: "webpack", category: "Build Tools" },
+  "vite.config.js": { type: "vite", category: "Build Tools" },
+  "vite.config.ts": { type: "vite", category: "Build Tools" },
+  "rollup.config.js": { type: "rollup", category: "Build Tools" },
+  "next.config.js": { type: "nextjs", category: "Frameworks" },
+  "next.config.mjs": { type: "nextjs", category: "Frameworks" },
+  "nuxt.config.js": { type: "nuxt", category: "Frameworks" },
+  "angular.json": { type: "angular", category: "Frameworks" },
+  "svelte.config.js": { type: "svelte", category: "Frameworks" },
+  ".babelrc": { type: "babel", category: "Build Tools" },
+  "babel.config.js": { type: "babel", category: "Build Tools" },
+  "jest.config.js": { type: "jest", category: "Testing" },
+  "vitest.config.js": { type: "vitest", category: "Testing" },
+  ".eslintrc": { type: "eslint", category: "Code Quality" },
+  ".eslintrc.js": { type: "eslint", category: "Code Quality" },
+  ".prettierrc": { type: "prettier", category: "Code Quality" },
+  "tailwind.config.js": { type: "tailwindcss", category: "CSS Frameworks" },
+
+  // Python ecosystem
+  "requirements.txt": { type: "pip", category: "Python" },
+  "setup.py": { type: "setuptools", category: "Python" },
+  "pyproject.toml": { type: "python-project", category: "Python" },
+  Pipfile: { type: "pipenv", category: "Python" },
+  "poetry.lock": { type: "poetry", category: "Python" },
+  "conda.yaml": { type: "conda", category: "Python" },
+  "environment.yml": { type: "conda", category: "Python" },
+  "tox.ini": { type: "tox", category: "Testing" },
+  "pytest.ini": { type: "pytest", category: "Testing" },
+  ".flake8": { type: "flake8", category: "Code Quality" },
+  "mypy.ini": { type: "mypy", category: "Code Quality" },
+
+  // Ruby ecosystem
+  Gemfile: { type: "bundler", category: "Ruby" },
+  Rakefile: { type: "rake", category: "Ruby" },
+  ".rubocop.yml": { type: "rubocop", category: "Code Quality" },
+
+  // PHP ecosystem
+  "composer.json": { type: "composer", category: "PHP" },
+
+  // Java/JVM ecosystem
+  "pom.xml": { type: "maven", category: "Java" },
+  "build.gradle": { type: "gradle", category: "Java" },
+  "build.gradle.kts": { type: "gradle-kotlin", category: "Kotlin" },
+
+  // Go ecosystem
+  "go.mod": { type: "go-modules", category: "Go" },
+  "go.sum": { type: "go-modules", category: "Go" },
+
+  // Rust ecosystem
+  "Cargo.toml": { type: "cargo", category: "Rust" },
+
+  // Docker/DevOps
+  Dockerfile: { type: "docker", category: "DevOps" },
+  "docker-compose.yml": { type: "docker-compose", category: "DevOps" },
+  "docker-compose.yaml": { type: "docker-compose", category: "DevOps" },
+  ".dockerignore": { type: "docker", category: "DevOps" },
+  Jenkinsfile: { type: "jenkins", category: "CI/CD" },
+  ".travis.yml": { type: "travis", category: "CI/CD" },
+  ".github/workflows": { type: "github-actions", category: "CI/CD" },
+  ".circleci": { type: "circleci", category: "CI/CD" },
+  terraform: { type: "terraform", category: "Infrastructure" },
+  kubernetes: { type: "kubernetes", category: "Infrastructure" },
+  k8s: { type: "kubernetes", category: "Infrastructure" },
+
+  // C/C++
+  "CMakeLists.txt": { type: "cmake", category: "C/C++" },
+  Makefile: { type: "make", category: "Build Tools" },
+
+  // .NET
+  ".csproj": { type: "dotnet", category: ".NET" },
+  ".fsproj": { type: "fsharp", category: ".NET" },
+  "nuget.config": { type: "nuget", category: ".NET" },
+};
+
+/**
+ * Display names for config file types, used when they surface as skills
+ */
+const FILE_TYPE_NAMES = {
+  npm: "npm",
+  yarn: "Yarn",
+  pnpm: "pnpm",
+  typescript: "TypeScript",
+  webpack: "Webpack",
+  vite: "Vite",
+  rollup: "Rollup",
+  nextjs: "Next.js",
+  nuxt: "Nuxt.js",
+  angular: "Angular",
+  svelte: "Svelte",
+  babel: "Babel",
+  jest: "Jest",
+  vitest: "Vitest",
+  eslint: "ESLint",
+  prettier: "Prettier",
+  tailwindcss: "Tailwind CSS",
+  pip: "pip",
+  setuptools: "setuptools",
+  "python-project": "pyproject.toml",
+  pipenv: "Pipenv",
+  poetry: "Poetry",
+  conda: "Conda",
+  tox: "tox",
+  pytest: "Pytest",
+  flake8: "Flake8",
+  mypy: "mypy",
+  bundler: "Bundler",
+  rake: "Rake",
+  rubocop: "RuboCop",
+  composer: "Composer",
+  maven: "Maven",
+  gradle: "Gradle",
+  "gradle-kotlin": "Gradle (Kotlin DSL)",
+  "go-modules": "Go Modules",
+  cargo: "Cargo",
+  docker: "Docker",
+  "docker-compose": "Docker Compose",
+  jenkins: "Jenkins",
+  travis: "Travis CI",
+  "github-actions": "GitHub Actions",
+  circleci: "CircleCI",
+  terraform: "Terraform",
+  kubernetes: "Kubernetes",
+  cmake: "CMake",
+  make: "Make",
+  dotnet: ".NET",
+  fsharp: "F#",
+  nuget: "NuGet",
+};
+
+/**
+ * Paths that hold third-party code and should not count towards detection
+ */
+const VENDORED_PATH_PATTERN = /(^|\/)(node_modules|vendor|third_party)\//;
+
+/**
+ * Dependency patterns to detect frameworks from package.json
+ */
+const NPM_DEPENDENCY_PATTERNS = {
+  // Frontend Frameworks
+  react: { name: "React", category: "Frontend Frameworks" },
+  "react-dom": { name: "React", category: "Frontend Frameworks" },
+  vue: { name: "Vue.js", category: "Frontend Frameworks" },
+  "@angular/core": { name: "Angular", category: "Frontend Frameworks" },
+  svelte: { name: "Svelte", category: "Frontend Frameworks" },
+  "solid-js": { name: "Solid.js", category: "Frontend Frameworks" },
+  preact: { name: "Preact", category: "Frontend Frameworks" },
+
+  // Meta Frameworks
+  next: { name: "Next.js", category: "Meta Frameworks" },
+  nuxt: { name: "Nuxt.js", category: "Meta Frameworks" },
+  gatsby: { name: "Gatsby", category: "Meta Frameworks" },
+  remix: { name: "Remix", category: "Meta Frameworks" },
+  astro: { name: "Astro", category: "Meta Frameworks" },
+
+  // Backend Frameworks
+  express: { name: "Express.js", category: "Backend Frameworks" },
+  fastify: { name: "Fastify", category: "Backend Frameworks" },
+  koa: { name: "Koa", category: "Backend Frameworks" },
+  hapi: { name: "Hapi", category: "Backend Frameworks" },
+  nestjs: { name: "NestJS", category: "Backend Frameworks" },
+  "@nestjs/core": { name: "NestJS", category: "Backend Frameworks" },
+
+  // State Management
+  redux: { name: "Redux", category: "State Management" },
+  "@reduxjs/toolkit": { name: "Redux Toolkit", category: "State Management" },
+  mobx: { name: "MobX", category: "State Management" },
+  zustand: { name: "Zustand", category: "State Management" },
+  recoil: { name: "Recoil", category: "State Management" },
+  jotai: { name: "Jotai", category: "State Management" },
+  pinia: { name: "Pinia", category: "State Management" },
+  vuex: { name: "Vuex", category: "State Management" },
+
+  // Styling
+  tailwindcss: { name: "Tailwind CSS", category: "CSS Frameworks" },
+  "styled-components": { name: "Styled Components", category: "CSS-in-JS" },
+  "@emotion/react": { name: "Emotion", category: "CSS-in-JS" },
+  sass: { name: "Sass", category: "CSS Preprocessors" },
+  less: { name: "Less", category: "CSS Preprocessors" },
+  bootstrap: { name: "Bootstrap", category: "CSS Frameworks" },
+  "@mui/material": { name: "Material UI", category: "UI Libraries" },
+  antd: { name: "Ant Design", category: "UI Libraries" },
+  "chakra-ui": { name: "Chakra UI", category: "UI Libraries" },
+  "@chakra-ui/react": { name: "Chakra UI", category: "UI Libraries" },
+
+  // Testing
+  jest: { name: "Jest", category: "Testing" },
+  mocha: { name: "Mocha", category: "Testing" },
+  vitest: { name: "Vitest", category: "Testing" },
+  cypress: { name: "Cypress", category: "E2E Testing" },
+  playwright: { name: "Playwright", category: "E2E Testing" },
+  "@testing-library/react": {
+    name: "React Testing Library",
+    category: "Testing",
+  },
+
+  // Database
+  mongoose: { name: "MongoDB/Mongoose", category: "Databases" },
+  prisma: { name: "Prisma", category: "ORMs" },
+  "@prisma/client": { name: "Prisma", category: "ORMs" },
+  typeorm: { name: "TypeORM", category: "ORMs" },
+  sequelize: { name: "Sequelize", category: "ORMs" },
+  "drizzle-orm": { name: "Drizzle", category: "ORMs" },
+  pg: { name: "PostgreSQL", category: "Databases" },
+  mysql2: { name: "MySQL", category: "Databases" },
+  redis: { name: "Redis", category: "Databases" },
+  ioredis: { name: "Redis", category: "Databases" },
+
+  // GraphQL
+  graphql: { name: "GraphQL", category: "API" },
+  "apollo-server": { name: "Apollo Server", category: "API" },
+  "@apollo/client": { name: "Apollo Client", category: "API" },
+  urql: { name: "URQL", category: "API" },
+
+  // Auth
+  passport: { name: "Passport.js", category: "Authentication" },
+  jsonwebtoken: { name: "JWT", category: "Authentication" },
+  "next-auth": { name: "NextAuth.js", category: "Authentication" },
+  "@auth/core": { name: "Auth.js", category: "Authentication" },
+
+  // Utilities
+  axios: { name: "Axios", category: "HTTP Clients" },
+  lodash: { name: "Lodash", category: "Utilities" },
+  "date-fns": { name: "date-fns", category: "Utilities" },
+  dayjs: { name: "Day.js", category: "Utilities" },
+  moment: { name: "Moment.js", category: "Utilities" },
+  zod: { name: "Zod", category: "Validation" },
+  yup: { name: "Yup", category: "Validation" },
+
+  // Build Tools
+  webpack: { name: "Webpack", category: "Build Tools" },
+  vite: { name: "Vite", category: "Build Tools" },
+  esbuild: { name: "esbuild", category: "Build Tools" },
+  rollup: { name: "Rollup", category: "Build Tools" },
+  parcel: { name: "Parcel", category: "Build Tools" },
+  turbo: { name: "Turborepo", category: "Build Tools" },
+
+  // Mobile
+  "react-native": { name: "React Native", category: "Mobile Development" },
+  expo: { name: "Expo", category: "Mobile Development" },
+  "@capacitor/core": { name: "Capacitor", category: "Mobile Development" },
+  cordova: { name: "Cordova", category: "Mobile Development" },
+
+  // AI/ML
+  openai: { name: "OpenAI", category: "AI/ML" },
+  langchain: { name: "LangChain", category: "AI/ML" },
+  "@tensorflow/tfjs": { name: "TensorFlow.js", category: "AI/ML" },
+};
+
+/**
+ * Python package patterns
+ */
+const PYTHON_PACKAGE_PATTERNS = {
+  django: { name: "Django", category: "Web Frameworks" },
+  flask: { name: "Flask", category: "Web Frameworks" },
+  fastapi: { name: "FastAPI", category: "Web Frameworks" },
+  tornado: { name: "Tornado", category: "Web Frameworks" },
+  pyramid: { name: "Pyramid", category: "Web Frameworks" },
+  aiohttp: { name: "aiohttp", category: "Web Frameworks" },
+
+  numpy: { name: "NumPy", category: "Data Science" },
+  pandas: { name: "Pandas", category: "Data Science" },
+  scipy: { name: "SciPy", category: "Data Science" },
+  matplotlib: { name: "Matplotlib", category: "Data Visualization" },
+  seaborn: { name: "Seaborn", category: "Data Visualization" },
+  plotly: { name: "Plotly", category: "Data Visualization" },
+
+  tensorflow: { name: "TensorFlow", category: "Machine Learning" },
+  keras: { name: "Keras", category: "Machine Learning" },
+  pytorch: { name: "PyTorch", category: "Machine Learning" },
+  torch: { name: "PyTorch", category: "Machine Learning" },
+  "scikit-learn": { name: "Scikit-learn", category: "Machine Learning" },
+  sklearn: { name: "Scikit-learn", category: "Machine Learning" },
+  xgboost: { name: "XGBoost", category: "Machine Learning" },
+  lightgbm: { name: "LightGBM", category: "Machine Learning" },
+  transformers: { name: "Hugging Face Transformers", category: "NLP/AI" },
+  langchain: { name: "LangChain", category: "AI/ML" },
+  openai: { name: "OpenAI", category: "AI/ML" },
+
+  sqlalchemy: { name: "SQLAlchemy", category: "ORMs" },
+  peewee: { name: "Peewee", category: "ORMs" },
+  "tortoise-orm": { name: "Tortoise ORM", category: "ORMs" },
+
+  celery: { name: "Celery", category: "Task Queues" },
+  redis: { name: "Redis", category: "Databases" },
+  psycopg2: { name: "PostgreSQL", category: "Databases" },
+  pymongo: { name: "MongoDB", category: "Databases" },
+
+  pytest: { name: "Pytest", category: "Testing" },
+  unittest: { name: "unittest", category: "Testing" },
+
+  requests: { name: "Requests", category: "HTTP Clients" },
+  httpx: { name: "HTTPX", category: "HTTP Clients" },
+  beautifulsoup4: { name: "BeautifulSoup", category: "Web Scraping" },
+  scrapy: { name: "Scrapy", category: "Web Scraping" },
+  selenium: { name: "Selenium", category: "Automation" },
+
+  pydantic: { name: "Pydantic", category: "Validation" },
+  marshmallow: { name: "Marshmallow", category: "Serialization" },
+};
+
+/**
+ * Rust crate patterns (Cargo.toml)
+ */
+const CARGO_CRATE_PATTERNS = {
+  "actix-web": { name: "Actix Web", category: "Web Frameworks" },
+  axum: { name: "Axum", category: "Web Frameworks" },
+  rocket: { name: "Rocket", category: "Web Frameworks" },
+  warp: { name: "Warp", category: "Web Frameworks" },
+  tide: { name: "Tide", category: "Web Frameworks" },
+  yew: { name: "Yew", category: "Frontend Frameworks" },
+  leptos: { name: "Leptos", category: "Frontend Frameworks" },
+
+  tokio: { name: "Tokio", category: "Async Runtimes" },
+  "async-std": { name: "async-std", category: "Async Runtimes" },
+
+  diesel: { name: "Diesel", category: "ORMs" },
+  "sea-orm": { name: "SeaORM", category: "ORMs" },
+  sqlx: { name: "SQLx", category: "Databases" },
+  redis: { name: "Redis", category: "Databases" },
+  mongodb: { name: "MongoDB", category: "Databases" },
+
+  serde: { name: "Serde", category: "Serialization" },
+  reqwest: { name: "Reqwest", category: "HTTP Clients" },
+  tonic: { name: "gRPC (Tonic)", category: "API" },
+  "async-graphql": { name: "GraphQL", category: "API" },
+  clap: { name: "Clap", category: "CLI Tools" },
+  tracing: { name: "Tracing", category: "Observability" },
+
+  tauri: { name: "Tauri", category: "Desktop Development" },
+  bevy: { name: "Bevy", category: "Game Development" },
+  "wasm-bindgen": { name: "WebAssembly", category: "WebAssembly" },
+  criterion: { name: "Criterion", category: "Testing" },
+};
+
+/**
+ * Go module patterns (go.mod), matched on the module path prefix
+ */
+const GO_MODULE_PATTERNS = {
+  "github.com/gin-gonic/gin": { name: "Gin", category: "Web Frameworks" },
+  "github.com/labstack/echo": { name: "Echo", category: "Web Frameworks" },
+  "github.com/gofiber/fiber": { name: "Fiber", category: "Web Frameworks" },
+  "github.com/go-chi/chi": { name: "Chi", category: "Web Frameworks" },
+  "github.com/gorilla/mux": { name: "Gorilla Mux", category: "Web Frameworks" },
+
+  "gorm.io/gorm": { name: "GORM", category: "ORMs" },
+  "entgo.io/ent": { name: "Ent", category: "ORMs" },
+  "github.com/jmoiron/sqlx": { name: "sqlx", category: "Databases" },
+  "github.com/jackc/pgx": { name: "PostgreSQL", category: "Databases" },
+  "github.com/lib/pq": { name: "PostgreSQL", category: "Databases" },
+  "go.mongodb.org/mongo-driver": { name: "MongoDB", category: "Databases" },
+  "github.com/redis/go-redis": { name: "Redis", category: "Databases" },
+  "github.com/go-redis/redis": { name: "Redis", category: "Databases" },
+
+  "google.golang.org/grpc": { name: "gRPC", category: "API" },
+  "github.com/99designs/gqlgen": { name: "GraphQL", category: "API" },
+  "github.com/spf13/cobra": { name: "Cobra", category: "CLI Tools" },
+  "github.com/spf13/viper": { name: "Viper", category: "Configuration" },
+  "github.com/stretchr/testify": { name: "Testify", category: "Testing" },
+  "github.com/onsi/ginkgo": { name: "Ginkgo", category: "Testing" },
+
+  "k8s.io/client-go": { name: "Kubernetes", category: "Infrastructure" },
+  "github.com/aws/aws-sdk-go": { name: "AWS SDK", category: "Cloud" },
+  "github.com/prometheus/client_golang": {
+    name: "Prometheus",
+    category: "Observability",
+  },
+  "go.uber.org/zap": { name: "Zap", category: "Logging" },
+  "github.com/sirupsen/logrus": { name: "Logrus", category: "Logging" },
+};
+
+/**
+ * JVM dependency patterns (pom.xml, build.gradle)
+ * Keys are either "groupId:artifactId" or a groupId prefix
+ */
+const JVM_DEPENDENCY_PATTERNS = {
+  "org.springframework.boot": {
+    name: "Spring Boot",
+    category: "Backend Frameworks",
+  },
+  "org.springframework": { name: "Spring", category: "Backend Frameworks" },
+  "io.quarkus": { name: "Quarkus", category: "Backend Frameworks" },
+  "io.micronaut": { name: "Micronaut", category: "Backend Frameworks" },
+  "io.ktor": { name: "Ktor", category: "Backend Frameworks" },
+  "io.vertx": { name: "Vert.x", category: "Backend Frameworks" },
+  "io.dropwizard": { name: "Dropwizard", category: "Backend Frameworks" },
+
+  "org.hibernate": { name: "Hibernate", category: "ORMs" },
+  "org.jooq": { name: "jOOQ", category: "ORMs" },
+  "org.postgresql": { name: "PostgreSQL", category: "Databases" },
+  "com.mysql": { name: "MySQL", category: "Databases" },
+  "mysql:mysql-connector-java": { name: "MySQL", category: "Databases" },
+  "org.mongodb": { name: "MongoDB", category: "Databases" },
+  "redis.clients": { name: "Redis", category: "Databases" },
+
+  "org.apache.kafka": { name: "Apache Kafka", category: "Messaging" },
+  "org.apache.spark": { name: "Apache Spark", category: "Data Engineering" },
+  "io.grpc": { name: "gRPC", category: "API" },
+  "com.graphql-java": { name: "GraphQL", category: "API" },
+  "com.fasterxml.jackson": { name: "Jackson", category: "Serialization" },
+  "com.squareup.retrofit2": { name: "Retrofit", category: "HTTP Clients" },
+  "com.squareup.okhttp3": { name: "OkHttp", category: "HTTP Clients" },
+  "io.reactivex": { name: "RxJava", category: "Reactive Programming" },
+  "io.projectreactor": { name: "Reactor", category: "Reactive Programming" },
+  "org.jetbrains.kotlinx:kotlinx-coroutines-core": {
+    name: "Kotlin Coroutines",
+    category: "Async Runtimes",
+  },
+  "org.projectlombok": { name: "Lombok", category: "Utilities" },
+
+  "org.junit": { name: "JUnit", category: "Testing" },
+  "junit:junit": { name: "JUnit", category: "Testing" },
+  "org.mockito": { name: "Mockito", category: "Testing" },
+  "org.testcontainers": { name: "Testcontainers", category: "Testing" },
+
+  androidx: { name: "Android Jetpack", category: "Mobile Development" },
+  "com.android.application": {
+    name: "Android",
+    category: "Mobile Development",
+  },
+};
+
+/**
+ * Ruby gem patterns (Gemfile)
+ */
+const RUBY_GEM_PATTERNS = {
+  rails: { name: "Ruby on Rails", category: "Web Frameworks" },
+  sinatra: { name: "Sinatra", category: "Web Frameworks" },
+  hanami: { name: "Hanami", category: "Web Frameworks" },
+  grape: { name: "Grape", category: "API" },
+  graphql: { name: "GraphQL", category: "API" },
+  "turbo-rails": { name: "Hotwire", category: "Frontend Frameworks" },
+  "stimulus-rails": { name: "Stimulus", category: "Frontend Frameworks" },
+
+  activerecord: { name: "ActiveRecord", category: "ORMs" },
+  sequel: { name: "Sequel", category: "ORMs" },
+  pg: { name: "PostgreSQL", category: "Databases" },
+  mysql2: { name: "MySQL", category: "Databases" },
+  redis: { name: "Redis", category: "Databases" },
+  mongoid: { name: "MongoDB", category: "Databases" },
+
+  sidekiq: { name: "Sidekiq", category: "Task Queues" },
+  resque: { name: "Resque", category: "Task Queues" },
+  devise: { name: "Devise", category: "Authentication" },
+  puma: { name: "Puma", category: "Web Servers" },
+  jekyll: { name: "Jekyll", category: "Static Site Generators" },
+
+  rspec: { name: "RSpec", category: "Testing" },
+  "rspec-rails": { name: "RSpec", category: "Testing" },
+  minitest: { name: "Minitest", category: "Testing" },
+  capybara: { name: "Capybara", category: "E2E Testing" },
+  rubocop: { name: "RuboCop", category: "Code Quality" },
+};
+
+/**
+ * PHP package patterns (composer.json)
+ */
+const COMPOSER_PACKAGE_PATTERNS = {
+  "laravel/framework": { name: "Laravel", category: "Web Frameworks" },
+  "laravel/lumen-framework": { name: "Lumen", category: "Web Frameworks" },
+  "symfony/framework-bundle": { name: "Symfony", category: "Web Frameworks" },
+  "slim/slim": { name: "Slim", category: "Web Frameworks" },
+  "cakephp/cakephp": { name: "CakePHP", category: "Web Frameworks" },
+  "yiisoft/yii2": { name: "Yii", category: "Web Frameworks" },
+  "codeigniter4/framework": { name: "CodeIgniter", category: "Web Frameworks" },
+  "livewire/livewire": { name: "Livewire", category: "Frontend Frameworks" },
+  "inertiajs/inertia-laravel": {
+    name: "Inertia.js",
+    category: "Frontend Frameworks",
+  },
+
+  "doctrine/orm": { name: "Doctrine", category: "ORMs" },
+  "illuminate/database": { name: "Eloquent", category: "ORMs" },
+  "predis/predis": { name: "Redis", category: "Databases" },
+  "mongodb/mongodb": { name: "MongoDB", category: "Databases" },
+
+  "guzzlehttp/guzzle": { name: "Guzzle", category: "HTTP Clients" },
+  "twig/twig": { name: "Twig", category: "Templating" },
+  "laravel/sanctum": { name: "Laravel Sanctum", category: "Authentication" },
+  "laravel/passport": { name: "Laravel Passport", category: "Authentication" },
+
+  "phpunit/phpunit": { name: "PHPUnit", category: "Testing" },
+  "pestphp/pest": { name: "Pest", category: "Testing" },
+  "phpstan/phpstan": { name: "PHPStan", category: "Code Quality" },
+};
+
+/**
+ * Analyzes package.json content to detect tech stack
+ * @param {string} content - package.json content
+ * @returns {Array} - Detected technologies
+ */
+export function analyzePackageJson(content) {
+  const technologies = [];
+
+  try {
+    const pkg = JSON.parse(content);
+    const allDeps = {
+      ...pkg.dependencies,
+      ...pkg.devDependencies,
+      ...pkg.peerDependencies,
+    };
+
+    const seenTech = new Set();
+
+    for (const [dep, version] of Object.entries(allDeps || {})) {
+      const match = NPM_DEPENDENCY_PATTERNS[dep];
+      if (match && !seenTech.has(match.name)) {
+        seenTech.add(match.name);
+        technologies.push({
+          name: match.name,
+          category: match.category,
+          version: version.replace(/[\^~]/, ""),
+          source: "package.json",
+        });
+      }
+    }
+
+    // Detect TypeScript
+    if (allDeps.typescript) {
+      technologies.push({
+        name: "TypeScript",
+        category: "Languages",
+        version: allDeps.typescript.replace(/[\^~]/, ""),
+        source: "package.json",
+      });
+    }
+  } catch (error) {
+    console.warn("Failed to parse package.json:", error);
+  }
+
+  return technologies;
+}
+
+/**
+ * Analyzes requirements.txt content to detect Python tech stack
+ * @param {string} content - requirements.txt content
+ * @returns {Array} - Detected technologies
+ */
+export function analyzeRequirementsTxt(content) {
+  const technologies = [];
+  const seenTech = new Set();
+
+  const lines = content.split("\n");
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) continue;
+
+    // Parse package name (handles ==, >=, <=, ~=, etc.)
+    const match = trimmed.match(/^([a-zA-Z0-9_-]+)/);
+    if (!match) continue;
+
+    const packageName = match[1].toLowerCase();
+    const techMatch = PYTHON_PACKAGE_PATTERNS[packageName];
+
+    if (techMatch && !seenTech.has(techMatch.name)) {
+      seenTech.add(techMatch.name);
+
+      // Extract version if present
+      const versionMatch = trimmed.match(/[=<>~]=?(.+)$/);
+
+      technologies.push({
+        name: techMatch.name,
+        category: techMatch.category,
+        version: versionMatch ? versionMatch[1] : null,
+        source: "requirements.txt",
+      });
+    }
+  }
+
+  return technologies;
+}
+
+/**
+ * Analyzes pyproject.toml for Python projects
+ * @param {string} content - pyproject.toml content
+ * @returns {Array} - Detected technologies
+ */
+export function analyzePyprojectToml(content) {
+  const technologies = [];
+  const seenTech = new Set();
+
+  // Simple parsing - look for dependencies
+  const depMatch = content.match(/dependencies\s*=\s*\[([\s\S]*?)\]/);
+  if (depMatch) {
+    const deps = depMatch[1];
+
+    for (const [pkg, tech] of Object.entries(PYTHON_PACKAGE_PATTERNS)) {
+      if (deps.toLowerCase().includes(pkg) && !seenTech.has(tech.name)) {
+        seenTech.add(tech.name);
+        technologies.push({
+          name: tech.name,
+          category: tech.category,
+          source: "pyproject.toml",
+        });
+      }
+    }
+  }
+
+  return technologies;
+}
+
+/**
+ * Strips range operators from a version requirement
+ * @param {string|null} version - Raw version requirement
+ * @returns {string|null} - Cleaned version, or null if unresolved
+ */
+function cleanVersion(version) {
+  if (!version || version.includes("${") || version === "*") return null;
+  return version.replace(/^[\s^~=<>!]+/, "").trim() || null;
+}
+
+/**
+ * Looks up a dependency by exact name, then by the longest matching prefix
+ * @param {Object} patterns - Pattern table
+ * @param {string} name - Dependency identifier
+ * @param {string} separator - Separator that ends a prefix ("/" or ".")
+ * @returns {Object|undefined} - Matching pattern
+ */
+function matchByPrefix(patterns, name, separator) {
+  if (patterns[name]) return patterns[name];
+
+  const prefix = Object.keys(patterns)
+    .filter((key) => name.startsWith(key + separator))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? patterns[prefix] : undefined;
+}
+
+/**
+ * Maps parsed dependencies to technologies, one entry per technology
+ * @param {Array<{name: string, version: string|null}>} dependencies - Parsed dependencies
+ * @param {Function} lookup - Resolves a dependency name to a pattern
+ * @param {string} source - Manifest file name
+ * @returns {Array} - Detected technologies
+ */
+function collectTechnologies(dependencies, lookup, source) {
+  const technologies = [];
+  const seenTech = new Set();
+
+  for (const { name, version } of dependencies) {
+    const match = lookup(name);
+    if (match && !seenTech.has(match.name)) {
+      seenTech.add(match.name);
+      technologies.push({
+        name: match.name,
+        category: match.category,
+        version: cleanVersion(version),
+        source,
+      });
+    }
+  }
+
+  return technologies;
+}
+
+/**
+ * Analyzes Cargo.toml for Rust projects
+ * @param {string} content - Cargo.toml content
+ * @returns {Array} - Detected technologies
+ */
+export function analyzeCargoToml(content) {
+  const dependencies = [];
+  let inDependencies = false;
+
+  for (const line of content.split("\n")) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) continue;
+
+    const section = trimmed.match(/^\[([^\]]+)\]$/);
+    if (section) {
+      // [dependencies.serde] style tables name the crate in the header
+      const tableCrate = section[1].match(/dependencies\.([A-Za-z0-9_-]+)$/);
+      if (tableCrate) {
+        dependencies.push({ name: tableCrate[1], version: null });
+      }
+      inDependencies = /(^|\.)(dev-|build-)?dependencies$/.test(section[1]);
+      continue;
+    }
+
+    if (!inDependencies) continue;
+
+    const entry = trimmed.match(/^([A-Za-z0-9_-]+)\s*=\s*(.+)$/);
+    if (!entry) continue;
+
+    const value = entry[2];
+    const version = value.startsWith('"')
+      ? value.match(/^"([^"]*)"/)?.[1]
+      : value.match(/version\s*=\s*"([^"]*)"/)?.[1];
+
+    dependencies.push({ name: entry[1], version: version || null });
+  }
+
+  return collectTechnologies(
+    dependencies,
+    (name) => CARGO_CRATE_PATTERNS[name],
+    "Cargo.toml",
+  );
+}
+
+/**
+ * Analyzes go.mod for Go projects
+ * @param {string} content - go.mod content
+ * @returns {Array} - Detected technologies
+ */
+export function analyzeGoMod(content) {
+  const dependencies = [];
+  let inRequireBlock = false;
+
+  for (const line of content.split("\n")) {
+    const trimmed = line.trim();
+
+    if (/^require\s*\($/.test(trimmed)) {
+      inRequireBlock = true;
+      continue;
+    }
+    if (inRequireBlock && trimmed === ")") {
+      inRequireBlock = false;
+      continue;
+    }
+
+    // Indirect requirements are pulled in by other modules
+    if (trimmed.includes("// indirect")) continue;
+
+    const requirement = inRequireBlock
+      ? trimmed
+      : trimmed.match(/^require\s+(.+)$/)?.[1];
+    if (!requirement) continue;
+
+    // Module versions carry a "v" prefix that other ecosystems don't
+    const match = requirement.match(/^(\S+)\s+v(\S+)/);
+    if (match) {
+      dependencies.push({ name: match[1], version: match[2] });
+    }
+  }
+
+  return collectTechnologies(
+    dependencies,
+    (name) => matchByPrefix(GO_MODULE_PATTERNS, name, "/"),
+    "go.mod",
+  );
+}
+
+/**
+ * Resolves a JVM coordinate against JVM_DEPENDENCY_PATTERNS
+ * @param {string} coordinate - "groupId:artifactId" or plugin id
+ * @returns {Object|undefined} - Matching pattern
+ */
+function matchJvmDependency(coordinate) {
+  const [groupId] = coordinate.split(":");
+  return (
+    JVM_DEPENDENCY_PATTERNS[coordinate] ||
+    matchByPrefix(JVM_DEPENDENCY_PATTERNS, groupId, ".")
+  );
+}
+
+/**
+ * Analyzes pom.xml for Maven projects
+ * @param {string} content - pom.xml content
+ * @returns {Array} - Detected technologies
+ */
+export function analyzePomXml(content) {
+  const dependencies = [];
+
+  // Covers <parent>, <dependency> and <plugin> blocks alike
+  const coordinatePattern =
+    /<groupId>\s*([^<\s]+)\s*<\/groupId>\s*<artifactId>\s*([^<\s]+)\s*<\/artifactId>(?:\s*<version>\s*([^<\s]+)\s*<\/version>)?/g;
+
+  for (const match of content.matchAll(coordinatePattern)) {
+    dependencies.push({
+      name: `${match[1]}:${match[2]}`,
+      version: match[3] || null,
+    });
+  }
+
+  return collectTechnologies(dependencies, matchJvmDependency, "pom.xml");
+}
+
+/**
+ * Analyzes build.gradle / build.gradle.kts for Gradle projects
+ * @param {string} content - Gradle build script content
+ * @returns {Array} - Detected technologies
+ */
+export function analyzeGradleBuild(content) {
+  const dependencies = [];
+
+  // implementation("group:artifact:version") and 'group:artifact:version'
+  for (const match of content.matchAll(
+    /["']([\w.-]+):([\w.-]+)(?::([^"'@:]+))?(?:@\w+)?["']/g,
+  )) {
+    dependencies.push({
+      name: `${match[1]}:${match[2]}`,
+      version: match[3] || null,
+    });
+  }
+
+  // implementation group: 'group', name: 'artifact', version: '1.0'
+  for (const match of content.matchAll(
+    /group\s*[:=]\s*["']([\w.-]+)["']\s*,\s*name\s*[:=]\s*["']([\w.-]+)["'](?:\s*,\s*version\s*[:=]\s*["']([^"']+)["'])?/g,
+  )) {
+    dependencies.push({
+      name: `${match[1]}:${match[2]}`,
+      version: match[3] || null,
+    });
+  }
+
+  // plugins { id 'org.springframework.boot' version '3.2.0' }
+  for (const match of content.matchAll(
+    /\bid\s*\(?\s*["']([\w.-]+)["']\s*\)?(?:\s*version\s*\(?\s*["']([^"']+)["'])?/g,
+  )) {
+    dependencies.push({ name: match[1], version: match[2] || null });
+  }
+
+  return collectTechnologies(dependencies, matchJvmDependency, "build.gradle");
+}
+
+/**
+ * Analyzes a Gemfile for Ruby projects
+ * @param {string} content - Gemfile content
+ * @returns {Array} - Detected technologies
+ */
+export function analyzeGemfile(content) {
+  const dependencies = [];
+
+  for (const match of content.matchAll(
+    /^\s*gem\s+["']([^"']+)["'](?:\s*,\s*["']([^"']+)["'])?/gm,
+  )) {
+    dependencies.push({ name: match[1], version: match[2] || null });
+  }
+
+  return collectTechnologies(
+    dependencies,
+    (name) => RUBY_GEM_PATTERNS[name],
+    "Gemfile",
+  );
+}
+
+/**
+ * Analyzes composer.json for PHP projects
+ * @param {string} content - composer.json content
+ * @returns {Array} - Detected technologies
+ */
+export function analyzeComposerJson(content) {
+  try {
+    const pkg = JSON.parse(content);
+    const allDeps = { ...pkg.require, ...pkg["require-dev"] };
+
+    return collectTechnologies(
+      Object.entries(allDeps).map(([name, version]) => ({ name, version })),
+      (name) => COMPOSER_PACKAGE_PATTERNS[name.toLowerCase()],
+      "composer.json",
+    );
+  } catch (error) {
+    console.warn("Failed to parse composer.json:", error);
+    return [];
+  }
+}
+
+/**
+ * Infers tech stack from file list in repository
+ * @param {Array<string>} files - List of file paths
+ * @returns {Array} - Detected technologies
+ */
+export function inferFromFileList(files) {
+  const technologies = [];
+  const seenTypes = new Set();
+
+  for (const file of files) {
+    if (VENDORED_PATH_PATTERN.test(file)) continue;
+
+    const fileName = file.split("/").pop();
+
+    for (const [pattern, tech] of Object.entries(CONFIG_FILE_PATTERNS)) {
+      if (fileName === pattern || file.includes(pattern)) {
+        if (!seenTypes.has(tech.type)) {
+          seenTypes.add(tech.type);
+          technologies.push({
+            name: FILE_TYPE_NAMES[tech.type] || tech.type,
+            category: tech.category,
+            source: "file-structure",
+          });
+        }
+      }
+    }
+  }
+
+  return technologies;
+}
+
+/**
+ * Categorizes and merges technology lists
+ * @param {Array} technologies - Raw technology list
+ * @returns {Object} - Categorized technologies
+ */
+export function categorizeTechnologies(technologies) {
+  const categories = {};
+
+  for (const tech of technologies) {
+    if (!categories[tech.category]) {
+      categories[tech.category] = [];
+    }
+
+    // Avoid duplicates
+    if (!categories[tech.category].some((t) => t.name === tech.name)) {
+      categories[tech.category].push(tech);
+    }
+  }
+
+  return categories;
+}
+
+export {
+  NPM_DEPENDENCY_PATTERNS,
+  PYTHON_PACKAGE_PATTERNS,
+  CARGO_CRATE_PATTERNS,
+  GO_MODULE_PATTERNS,
+  JVM_DEPENDENCY_PATTERNS,
+  RUBY_GEM_PATTERNS,
+  COMPOSER_PACKAGE_PATTERNS,
+};
@@ -1,4 +1,10 @@
-import React, { useState, useCallback } from "react";
+import React, {
+  useState,
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+} from "react";
 import GitHubInput from "./components/GitHubInput";
 import CVEditor from "./components/CVEditor";
 import CVPreview from "./components/CVPreview";
@@ -7,19 +13,58 @@ import Header from "./components/Header";
 import LoadingState from "./components/LoadingState";
 import ErrorDisplay from "./components/ErrorDisplay";
 import RepoSelector from "./components/RepoSelector";
+import LatexPreview from "./components/LatexPreview";
+import DraftList from "./components/DraftList";
+import DraftSwitcher from "./components/DraftSwitcher";
+import RegenerationReview from "./components/RegenerationReview";
+import JobTailoringPanel from "./components/JobTailoringPanel";
+import ATSCheckPanel from "./components/ATSCheckPanel";
 import {
   analyzeGitHubProfile,
   analysisToCV,
   AnalysisStatus,
+  emptyManualSections,
 } from "./services/repoAnalyzer";
 import { generateLatex } from "./templates/index";
-import { downloadAsPDF, downloadLatexSource } from "./services/latexRenderer";
+import {
+  downloadAsDocx,
+  downloadAsPDF,
+  downloadJsonResume,
+  downloadLatexSource,
+  downloadTextFile,
+} from "./services/latexRenderer";
+import {
+  renderCVToMarkdown,
+  renderCVToPlainText,
+} from "./services/textRenderer";
+import { mergeJsonResume, parseJsonResume } from "./services/jsonResume";
 import {
   generateCompleteCVContent,
   isLLMEnabled,
   getLLMStatus,
   regenerateSection,
+  tailorCVToJob,
 } from "./services/llmService";
+import {
+  getKeywordCoverage,
+  orderSkills,
+  rankProjects,
+} from "./services/jobMatch";
+import {
+  createAutosaver,
+  createDraft,
+  deleteDraft,
+  duplicateDraft,
+  getDraft,
+  listDrafts,
+} from "./services/draftStore";
+import {
+  createHistory,
+  getHistoryLabels,
+  recordChange,
+  redo,
+  undo,
+} from "./services/editHistory";
 
 // App stages
 const AppStage = {
@@ -30,6 +75,12 @@ const AppStage = {
   CV_READY: "cv_ready",
 };
 
+// Markdown / plain-text exports
+const TEXT_EXPORTS = [
+  { id: "markdown", label: "Markdown", extension: "md", type: "text/markdown" },
+  { id: "text", label: "Plain text", extension: "txt", type: "text/plain" },
+];
+
 // CV Style options
 const CV_STYLES = [
   { id: "professional", label: "Professional", desc: "Balanced and formal" },
@@ -37,56 +88,289 @@ const CV_STYLES = [
   { id: "concise", label: "Concise", desc: "Brief and to the point" },
 ];
 
+/**
+ * Reads the CV text a regenerated change would replace
+ * @param {Object} cvData - CV data
+ * @param {Object} change - { field, url? } with url set for project fields
+ * @returns {string|null} - Current text, null if the project was removed
+ */
+function getChangeTarget(cvData, change) {
+  if (!change.url) return cvData[change.field] || "";
+
+  const project = cvData.projects.find((p) => p.url === change.url);
+  return project ? project[change.field] || "" : null;
+}
+
+/**
+ * Applies a regenerated change to the CV
+ * @param {Object} cvData - CV data
+ * @param {Object} change - { field, url?, after }
+ * @returns {Object} - Updated CV data
+ */
+function applyChange(cvData, change) {
+  if (!change.url) return { ...cvData, [change.field]: change.after };
+
+  return {
+    ...cvData,
+    projects: cvData.projects.map((project) =>
+      project.url === change.url
+        ? { ...project, [change.field]: change.after }
+        : project,
+    ),
+  };
+}
+
+/**
+ * Builds editable CV data from LLM-generated content
+ * @param {Object} cvContent - Result of generateCompleteCVContent
+ * @returns {Object} - CV data
+ */
+function contentToCV(cvContent) {
+  return {
+    personalInfo: cvContent.personalInfo,
+    summary: cvContent.summary,
+    skills: cvContent.skills,
+    projects: cvContent.projects,
+    contributions: cvContent.contributions,
+    contributionCalendar: cvContent.contributionCalendar,
+    statistics: cvContent.statistics,
+    ...emptyManualSections(),
+    settings: {
+      showStats: true,
+      showTopLanguages: true,
+      showContributionGraph: false,
+    },
+  };
+}
+
 function App() {
   // State management
   const [stage, setStage] = useState(AppStage.INPUT);
   const [analysisState, setAnalysisState] = useState({
     status: AnalysisStatus.IDLE,
     message: "",
-    progress: 0,
+    percent: 0,
   });
   const [analysis, setAnalysis] = useState(null);
-  const [cvData, setCvData] = useState(null);
-  const [selectedTemplate, setSelectedTemplate] = useState("modern");
+  // CV data and template, with undo/redo
+  const [history, setHistory] = useState(() =>
+    createHistory({ cvData: null, templateId: "modern" }),
+  );
+  const { cvData, templateId: selectedTemplate } = history.present;
   const [selectedRepos, setSelectedRepos] = useState([]);
   const [cvStyle, setCvStyle] = useState("professional");
   const [isRegenerating, setIsRegenerating] = useState(false);
+  // CV as it streams in during generation
+  const [streamingCv, setStreamingCv] = useState(null);
+  const streamFrameRef = useRef(null);
+  const [regeneration, setRegeneration] = useState(null);
+  const [job, setJob] = useState(null);
+  const [isTailoring, setIsTailoring] = useState(false);
+  const [tailorProgress, setTailorProgress] = useState("");
+  const [tailorError, setTailorError] = useState(null);
+  const [isExportingPDF, setIsExportingPDF] = useState(false);
+  const [exportError, setExportError] = useState(null);
+  const [importMessage, setImportMessage] = useState(null);
+  const [copiedFormat, setCopiedFormat] = useState(null);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState("preview");
+  const [editorSection, setEditorSection] = useState("personal");
   const [llmStatus, setLlmStatus] = useState({
     enabled: false,
     hasApiKey: false,
     model: "N/A",
     provider: "Loading...",
   });
+  const [drafts, setDrafts] = useState([]);
+  const [currentDraftId, setCurrentDraftId] = useState(null);
+  const [draftName, setDraftName] = useState("");
+  const [saveStatus, setSaveStatus] = useState(null);
+  // Set when state was just loaded from a draft, so it isn't saved straight back
+  const skipAutosaveRef = useRef(false);
+  // Fields inside the editor are CV edits, so undo there goes through history
+  const editorRef = useRef(null);
+  const autosaver = useMemo(() => createAutosaver(setSaveStatus), []);
+
+  // Record a CV change as an undo step; edits coalesce while typing
+  const updateCvData = useCallback((update, label = "edit") => {
+    setHistory((prev) =>
+      recordChange(
+        prev,
+        {
+          ...prev.present,
+          cvData:
+            typeof update === "function" ? update(prev.present.cvData) : update,
+        },
+        label,
+        { coalesce: label === "edit" },
+      ),
+    );
+  }, []);
+
+  // Replace the CV without an undo step (new CV, draft switch, reset)
+  const resetCvData = useCallback((nextCvData, templateId) => {
+    setHistory((prev) =>
+      createHistory({
+        cvData: nextCvData,
+        templateId: templateId || prev.present.templateId,
+      }),
+    );
+    setRegeneration(null);
+    setJob(null);
+    setTailorError(null);
+  }, []);
+
+  const handleUndo = useCallback(() => setHistory(undo), []);
+  const handleRedo = useCallback(() => setHistory(redo), []);
 
   // Load LLM status on mount
   React.useEffect(() => {
     getLLMStatus().then(setLlmStatus);
   }, []);
 
-  // Handle GitHub profile analysis - Step 1
-  const handleAnalyze = useCallback(async (username) => {
-    setError(null);
-    setAnalysis(null);
-    setCvData(null);
-    setStage(AppStage.ANALYZING);
-
+  const refreshDrafts = useCallback(async () => {
     try {
-      const result = await analyzeGitHubProfile(username, (progress) => {
-        setAnalysisState(progress);
-      });
-
-      setAnalysis(result);
-      // Move to repo selection stage
-      setStage(AppStage.SELECT_REPOS);
+      setDrafts(await listDrafts());
     } catch (err) {
-      setError(err.message);
-      setAnalysisState({ status: AnalysisStatus.ERROR, message: err.message });
-      setStage(AppStage.INPUT);
+      console.error("Draft list error:", err);
+    }
+  }, []);
+
+  // Show saved drafts whenever the input screen is open
+  useEffect(() => {
+    if (stage === AppStage.INPUT) {
+      refreshDrafts();
+    }
+  }, [stage, refreshDrafts]);
+
+  // Autosave the open draft
+  useEffect(() => {
+    if (!currentDraftId || !cvData) return;
+    if (skipAutosaveRef.current) {
+      skipAutosaveRef.current = false;
+      return;
     }
+
+    autosaver.schedule(currentDraftId, {
+      name: draftName,
+      analysis,
+      cvData,
+      templateId: selectedTemplate,
+      cvStyle,
+      selectedRepos,
+      job,
+    });
+  }, [
+    autosaver,
+    currentDraftId,
+    draftName,
+    analysis,
+    cvData,
+    selectedTemplate,
+    cvStyle,
+    selectedRepos,
+    job,
+  ]);
+
+  // Undo/redo shortcuts while a CV is open: Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z, Ctrl+Y
+  useEffect(() => {
+    if (stage !== AppStage.CV_READY) return;
+
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+      // Leave native text undo to fields the CV history doesn't track: those
+      // outside the editor (job description, draft name) or marked
+      // data-native-undo inside it
+      const { target } = event;
+      const isEditable =
+        target instanceof Element &&
+        (target.matches("input, textarea, select") || target.isContentEditable);
+      if (
+        isEditable &&
+        (!editorRef.current?.contains(target) ||
+          target.closest("[data-native-undo]"))
+      ) {
+        return;
+      }
+
+      const key = event.key.toLowerCase();
+      if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        handleUndo();
+      } else if (key === "y" || (key === "z" && event.shiftKey)) {
+        event.preventDefault();
+        handleRedo();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [stage, handleUndo, handleRedo]);
+
+  // Write pending changes before the tab is hidden or closed
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "hidden") {
+        autosaver.flush();
+      }
+    };
+
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    return () =>
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+  }, [autosaver]);
+
+  // Make a draft the open one, without saving it straight back
+  const openDraft = useCallback((draft) => {
+    skipAutosaveRef.current = true;
+    setCurrentDraftId(draft.id);
+    setDraftName(draft.name);
+    setSaveStatus("saved");
   }, []);
 
+  // Save a newly generated CV as a draft
+  const startDraft = useCallback(
+    async (draft) => {
+      try {
+        openDraft(await createDraft(draft));
+      } catch (err) {
+        console.error("Draft save error:", err);
+        setSaveStatus(err);
+      }
+      refreshDrafts();
+    },
+    [openDraft, refreshDrafts],
+  );
+
+  // Handle GitHub profile analysis - Step 1
+  const handleAnalyze = useCallback(
+    async (username) => {
+      setError(null);
+      setAnalysis(null);
+      resetCvData(null);
+      setStage(AppStage.ANALYZING);
+
+      try {
+        const result = await analyzeGitHubProfile(username, (progress) => {
+          setAnalysisState(progress);
+        });
+
+        setAnalysis(result);
+        // Move to repo selection stage
+        setStage(AppStage.SELECT_REPOS);
+      } catch (err) {
+        setError(err.message);
+        setAnalysisState({
+          status: AnalysisStatus.ERROR,
+          message: err.message,
+        });
+        setStage(AppStage.INPUT);
+      }
+    },
+    [resetCvData],
+  );
+
   // Handle repo selection - Step 2
   const handleReposSelected = useCallback(
     async (repos) => {
@@ -98,6 +382,7 @@ function App() {
       });
 
       try {
+        let cv;
         const llmEnabled = await isLLMEnabled();
         if (llmEnabled) {
           // Use LLM to generate enhanced CV content
@@ -116,39 +401,45 @@ function App() {
             repos,
             readmeMap,
             cvStyle,
+            // Re-render the preview at most once per frame as text streams in
+            (partial) => {
+              cancelAnimationFrame(streamFrameRef.current);
+              streamFrameRef.current = requestAnimationFrame(() =>
+                setStreamingCv(contentToCV(partial)),
+              );
+            },
           );
 
-          setCvData({
-            personalInfo: cvContent.personalInfo,
-            summary: cvContent.summary,
-            skills: cvContent.skills,
-            projects: cvContent.projects,
-            education: [],
-            experience: [],
-            settings: {
-              showStats: true,
-              showTopLanguages: true,
-              showContributionGraph: false,
-            },
-          });
+          cv = contentToCV(cvContent);
         } else {
           // Fallback: Use basic analysis without LLM
-          const cv = analysisToCV({
+          cv = analysisToCV({
             ...analysis,
             rankedProjects: repos,
           });
-          setCvData(cv);
         }
 
+        resetCvData(cv);
         setStage(AppStage.CV_READY);
         setActiveTab("preview");
+        await startDraft({
+          name: `CV ${new Date().toLocaleDateString()}`,
+          analysis,
+          cvData: cv,
+          templateId: selectedTemplate,
+          cvStyle,
+          selectedRepos: repos,
+        });
       } catch (err) {
         console.error("CV generation error:", err);
         setError(err.message);
         setStage(AppStage.SELECT_REPOS);
+      } finally {
+        cancelAnimationFrame(streamFrameRef.current);
+        setStreamingCv(null);
       }
     },
-    [analysis, cvStyle],
+    [analysis, cvStyle, selectedTemplate, resetCvData, startDraft],
   );
 
   // Regenerate CV with a different style
@@ -178,11 +469,37 @@ function App() {
           newStyle,
         );
 
-        setCvData((prev) => ({
-          ...prev,
-          summary: cvContent.summary,
-          projects: cvContent.projects,
-        }));
+        // Staged for review rather than overwriting hand-tuned text
+        const changes = [
+          {
+            id: "summary",
+            label: "Summary",
+            field: "summary",
+            after: cvContent.summary,
+          },
+        ];
+        for (const project of cvContent.projects) {
+          changes.push(
+            {
+              id: `${project.url}#name`,
+              label: `${project.repoName}: name`,
+              url: project.url,
+              field: "name",
+              after: project.name,
+            },
+            {
+              id: `${project.url}#description`,
+              label: `${project.repoName}: description`,
+              url: project.url,
+              field: "description",
+              after: project.description,
+            },
+          );
+        }
+        setRegeneration({
+          title: `Review ${newStyle} rewrite`,
+          changes: changes.filter((change) => change.after),
+        });
       } catch (err) {
         console.error("Regeneration error:", err);
         setError(err.message);
@@ -193,6 +510,66 @@ function App() {
     [analysis, selectedRepos],
   );
 
+  // Tailor the CV to a job: reorder now, stage rewritten text for review
+  const handleTailor = useCallback(
+    async (jobDescription) => {
+      setIsTailoring(true);
+      setTailorError(null);
+
+      try {
+        const { job: extracted, rewrites } = await tailorCVToJob(
+          cvData,
+          analysis,
+          jobDescription,
+          cvStyle,
+          setTailorProgress,
+        );
+
+        updateCvData(
+          (prev) => ({
+            ...prev,
+            projects: rankProjects(
+              prev.projects,
+              extracted.keywords,
+              analysis?.repositories,
+            ),
+            skills: orderSkills(prev.skills, extracted.keywords),
+          }),
+          "job tailoring",
+        );
+        setJob({ ...extracted, description: jobDescription });
+
+        const changes = [
+          {
+            id: "summary",
+            label: "Summary",
+            field: "summary",
+            after: rewrites.summary,
+          },
+          ...Object.entries(rewrites.projects).map(([url, description]) => ({
+            id: `${url}#description`,
+            label: `${
+              cvData.projects.find((project) => project.url === url)?.name
+            }: description`,
+            url,
+            field: "description",
+            after: description,
+          })),
+        ];
+        setRegeneration({
+          title: `Review rewrite for ${extracted.title || "this job"}`,
+          changes: changes.filter((change) => change.after),
+        });
+      } catch (err) {
+        console.error("Tailoring error:", err);
+        setTailorError(err.message);
+      } finally {
+        setIsTailoring(false);
+      }
+    },
+    [analysis, cvData, cvStyle, updateCvData],
+  );
+
   // Cancel repo selection
   const handleCancelSelection = useCallback(() => {
     setStage(AppStage.INPUT);
@@ -200,19 +577,71 @@ function App() {
   }, []);
 
   // Handle CV data updates from editor
-  const handleCVUpdate = useCallback((updatedData) => {
-    setCvData(updatedData);
+  const handleCVUpdate = useCallback(
+    (updatedData) => {
+      updateCvData(updatedData);
+    },
+    [updateCvData],
+  );
+
+  // Drop reviewed changes, closing the review once none are left
+  const dismissChanges = useCallback((ids) => {
+    setRegeneration((prev) => {
+      const changes = prev.changes.filter((change) => !ids.includes(change.id));
+      return changes.length > 0 ? { ...prev, changes } : null;
+    });
+  }, []);
+
+  // Accept regenerated text as a single undo step
+  const acceptChanges = useCallback(
+    (ids) => {
+      const accepted = regeneration.changes.filter((change) =>
+        ids.includes(change.id),
+      );
+      updateCvData((prev) => accepted.reduce(applyChange, prev), "AI rewrite");
+      dismissChanges(ids);
+    },
+    [regeneration, updateCvData, dismissChanges],
+  );
+
+  // Jump from a LaTeX compile error to the editor tab for its section
+  const handleEditSection = useCallback((section) => {
+    setEditorSection(section);
+    setActiveTab("edit");
   }, []);
 
   // Handle template change
   const handleTemplateChange = useCallback((templateId) => {
-    setSelectedTemplate(templateId);
+    setHistory((prev) =>
+      recordChange(prev, { ...prev.present, templateId }, "template change"),
+    );
   }, []);
 
   // Download handlers
-  const handleDownloadPDF = useCallback(() => {
-    if (cvData) {
-      downloadAsPDF(cvData, selectedTemplate);
+  const handleDownloadPDF = useCallback(async () => {
+    if (!cvData) return;
+
+    setIsExportingPDF(true);
+    setExportError(null);
+    try {
+      await downloadAsPDF(cvData, selectedTemplate);
+    } catch (err) {
+      console.error("PDF export error:", err);
+      setExportError(err.message);
+    } finally {
+      setIsExportingPDF(false);
+    }
+  }, [cvData, selectedTemplate]);
+
+  const handleDownloadDocx = useCallback(async () => {
+    if (!cvData) return;
+
+    setExportError(null);
+    try {
+      await downloadAsDocx(cvData, selectedTemplate);
+    } catch (err) {
+      console.error("DOCX export error:", err);
+      setExportError(err.message);
     }
   }, [cvData, selectedTemplate]);
 
@@ -226,18 +655,182 @@ function App() {
     }
   }, [cvData, selectedTemplate]);
 
+  const renderTextExport = useCallback(
+    (format) =>
+      format === "markdown"
+        ? renderCVToMarkdown(cvData, selectedTemplate)
+        : renderCVToPlainText(cvData),
+    [cvData, selectedTemplate],
+  );
+
+  const handleDownloadText = useCallback(
+    (format) => {
+      if (!cvData) return;
+
+      const { extension, type } = TEXT_EXPORTS.find((f) => f.id === format);
+      downloadTextFile(
+        renderTextExport(format),
+        `${cvData.personalInfo.name.replace(/\s+/g, "_")}_CV.${extension}`,
+        type,
+      );
+    },
+    [cvData, renderTextExport],
+  );
+
+  const handleCopyText = useCallback(
+    async (format) => {
+      if (!cvData) return;
+
+      setExportError(null);
+      try {
+        await navigator.clipboard.writeText(renderTextExport(format));
+        setCopiedFormat(format);
+        setTimeout(() => setCopiedFormat(null), 2000);
+      } catch (err) {
+        console.error("Clipboard error:", err);
+        setExportError("Could not copy to the clipboard");
+      }
+    },
+    [cvData, renderTextExport],
+  );
+
+  const handleDownloadJsonResume = useCallback(() => {
+    if (cvData) {
+      downloadJsonResume(cvData);
+    }
+  }, [cvData]);
+
+  // Pre-fill experience and education from an uploaded JSON Resume
+  const handleImportJsonResume = useCallback(
+    async (event) => {
+      const file = event.target.files?.[0];
+      event.target.value = "";
+      if (!file) return;
+
+      try {
+        const resume = parseJsonResume(await file.text());
+        updateCvData(
+          (prev) => mergeJsonResume(prev, resume),
+          "JSON Resume import",
+        );
+        setImportMessage({
+          type: "success",
+          text: `Imported resume details from ${file.name}`,
+        });
+      } catch (err) {
+        setImportMessage({ type: "error", text: err.message });
+      }
+    },
+    [updateCvData],
+  );
+
   // Reset to initial state
   const handleReset = useCallback(() => {
+    autosaver.flush();
     setAnalysis(null);
-    setCvData(null);
+    resetCvData(null);
+    setCurrentDraftId(null);
+    setDraftName("");
+    setSaveStatus(null);
     setError(null);
+    setImportMessage(null);
     setStage(AppStage.INPUT);
     setAnalysisState({ status: AnalysisStatus.IDLE, message: "" });
-  }, []);
+  }, [autosaver, resetCvData]);
+
+  // Draft failures show on the input screen or in the version switcher
+  const reportDraftError = useCallback(
+    (err) => {
+      console.error("Draft error:", err);
+      if (stage === AppStage.CV_READY) {
+        setSaveStatus(err);
+      } else {
+        setError(err.message);
+      }
+    },
+    [stage],
+  );
+
+  // Resume a saved draft
+  const handleOpenDraft = useCallback(
+    async (id) => {
+      await autosaver.flush();
+
+      try {
+        const draft = await getDraft(id);
+        setAnalysis(draft.analysis);
+        resetCvData(draft.cvData, draft.templateId);
+        setJob(draft.job || null);
+        setCvStyle(draft.cvStyle);
+        setSelectedRepos(draft.selectedRepos || []);
+        openDraft(draft);
+        setError(null);
+        setImportMessage(null);
+        setExportError(null);
+        setStage(AppStage.CV_READY);
+        setActiveTab("preview");
+      } catch (err) {
+        reportDraftError(err);
+      }
+      refreshDrafts();
+    },
+    [autosaver, openDraft, refreshDrafts, reportDraftError, resetCvData],
+  );
+
+  // Copy a draft; a copy of the open draft becomes the open one
+  const handleDuplicateDraft = useCallback(
+    async (id) => {
+      await autosaver.flush();
+
+      try {
+        const copy = await duplicateDraft(id);
+        if (id === currentDraftId) {
+          openDraft(copy);
+        }
+      } catch (err) {
+        reportDraftError(err);
+      }
+      refreshDrafts();
+    },
+    [autosaver, currentDraftId, openDraft, refreshDrafts, reportDraftError],
+  );
+
+  const handleDeleteDraft = useCallback(
+    async (id) => {
+      if (id === currentDraftId) {
+        autosaver.cancel();
+      }
+
+      try {
+        await deleteDraft(id);
+        if (id === currentDraftId) {
+          handleReset();
+        }
+      } catch (err) {
+        reportDraftError(err);
+      }
+      refreshDrafts();
+    },
+    [autosaver, currentDraftId, handleReset, refreshDrafts, reportDraftError],
+  );
 
   const isLoading =
     stage === AppStage.ANALYZING || stage === AppStage.GENERATING_CV;
 
+  const historyLabels = getHistoryLabels(history);
+
+  const coverage = useMemo(
+    () => (job && cvData ? getKeywordCoverage(cvData, job.keywords) : null),
+    [job, cvData],
+  );
+
+  // Regenerated text that still differs from the CV
+  const pendingChanges = (regeneration?.changes || [])
+    .map((change) => ({ ...change, before: getChangeTarget(cvData, change) }))
+    .filter(
+      (change) => change.before !== null && change.before !== change.after,
+    );
+
   return (
     <div className="min-h-screen bg-github-dark">
       <Header onReset={handleReset} hasCV={stage === AppStage.CV_READY} />
@@ -261,6 +854,13 @@ function App() {
             {error && (
               <ErrorDisplay message={error} onRetry={() => setError(null)} />
             )}
+
+            <DraftList
+              drafts={drafts}
+              onOpen={handleOpenDraft}
+              onDuplicate={handleDuplicateDraft}
+              onDelete={handleDeleteDraft}
+            />
           </div>
         )}
 
@@ -270,6 +870,7 @@ function App() {
             <LoadingState
               status={analysisState.status}
               message={analysisState.message}
+              percent={analysisState.percent}
             />
           </div>
         )}
@@ -287,7 +888,7 @@ function App() {
 
         {/* CV Generation Loading */}
         {stage === AppStage.GENERATING_CV && (
-          <div className="max-w-2xl mx-auto">
+          <div className="max-w-3xl mx-auto space-y-6">
             <div className="bg-gray-800 rounded-xl p-8 text-center">
               <div className="animate-spin w-12 h-12 border-4 border-blue-500 border-t-transparent rounded-full mx-auto mb-4"></div>
               <h3 className="text-xl font-semibold text-white mb-2">
@@ -299,6 +900,12 @@ function App() {
                   : "Preparing your CV content..."}
               </p>
             </div>
+
+            {streamingCv && (
+              <div className="bg-white rounded-lg shadow-xl overflow-hidden">
+                <CVPreview cvData={streamingCv} templateId={selectedTemplate} />
+              </div>
+            )}
           </div>
         )}
 
@@ -307,6 +914,20 @@ function App() {
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
             {/* Left Panel - Controls and Editor */}
             <div className="space-y-6">
+              {/* Saved versions of this CV */}
+              {currentDraftId && (
+                <DraftSwitcher
+                  drafts={drafts}
+                  currentId={currentDraftId}
+                  name={draftName}
+                  saveStatus={saveStatus}
+                  onRename={setDraftName}
+                  onSwitch={handleOpenDraft}
+                  onDuplicate={handleDuplicateDraft}
+                  onDelete={handleDeleteDraft}
+                />
+              )}
+
               {/* Template Selector */}
               <TemplateSelector
                 selected={selectedTemplate}
@@ -361,6 +982,35 @@ function App() {
                 </div>
               )}
 
+              {/* Job description tailoring */}
+              {(llmStatus.enabled || job) && (
+                <JobTailoringPanel
+                  key={currentDraftId}
+                  job={job}
+                  coverage={coverage}
+                  canTailor={llmStatus.enabled}
+                  isTailoring={isTailoring}
+                  progress={tailorProgress}
+                  error={tailorError}
+                  onTailor={handleTailor}
+                  onClear={() => setJob(null)}
+                />
+              )}
+
+              {/* Regenerated text awaiting review */}
+              {pendingChanges.length > 0 && (
+                <RegenerationReview
+                  title={regeneration.title}
+                  changes={pendingChanges}
+                  onAccept={(id) => acceptChanges([id])}
+                  onReject={(id) => dismissChanges([id])}
+                  onAcceptAll={() =>
+                    acceptChanges(pendingChanges.map((change) => change.id))
+                  }
+                  onDiscard={() => setRegeneration(null)}
+                />
+              )}
+
               {/* Tab Navigation */}
               <div className="flex border-b border-gray-700">
                 <button
@@ -393,24 +1043,72 @@ function App() {
                 >
                   LaTeX
                 </button>
+                <button
+                  onClick={() => setActiveTab("ats")}
+                  className={`px-4 py-2 font-medium transition-colors ${
+                    activeTab === "ats"
+                      ? "text-blue-400 border-b-2 border-blue-400"
+                      : "text-gray-400 hover:text-white"
+                  }`}
+                >
+                  ATS Check
+                </button>
+
+                <div className="ml-auto flex items-center gap-1">
+                  <button
+                    onClick={handleUndo}
+                    disabled={!historyLabels.undo}
+                    title={
+                      historyLabels.undo
+                        ? `Undo ${historyLabels.undo} (Ctrl+Z)`
+                        : "Nothing to undo"
+                    }
+                    className="px-2 py-1 text-sm text-gray-400 hover:text-white disabled:opacity-40 disabled:hover:text-gray-400"
+                  >
+                    ↶ Undo
+                  </button>
+                  <button
+                    onClick={handleRedo}
+                    disabled={!historyLabels.redo}
+                    title={
+                      historyLabels.redo
+                        ? `Redo ${historyLabels.redo} (Ctrl+Shift+Z)`
+                        : "Nothing to redo"
+                    }
+                    className="px-2 py-1 text-sm text-gray-400 hover:text-white disabled:opacity-40 disabled:hover:text-gray-400"
+                  >
+                    ↷ Redo
+                  </button>
+                </div>
               </div>
 
               {/* Tab Content */}
               <div className="bg-gray-800 rounded-lg border border-gray-700 p-4 max-h-[calc(100vh-300px)] overflow-y-auto">
                 {activeTab === "edit" && (
-                  <CVEditor
-                    cvData={cvData}
-                    onUpdate={handleCVUpdate}
-                    analysis={analysis}
-                  />
+                  <div ref={editorRef}>
+                    <CVEditor
+                      cvData={cvData}
+                      onUpdate={handleCVUpdate}
+                      analysis={analysis}
+                      templateId={selectedTemplate}
+                      initialSection={editorSection}
+                    />
+                  </div>
                 )}
 
                 {activeTab === "latex" && (
-                  <div className="font-mono text-sm">
-                    <pre className="whitespace-pre-wrap text-gray-300 bg-gray-900 p-4 rounded overflow-x-auto">
-                      {generateLatex(selectedTemplate, cvData)}
-                    </pre>
-                  </div>
+                  <LatexPreview
+                    latex={generateLatex(selectedTemplate, cvData)}
+                    onEditSection={handleEditSection}
+                  />
+                )}
+
+                {activeTab === "ats" && (
+                  <ATSCheckPanel
+                    cvData={cvData}
+                    templateId={selectedTemplate}
+                    onEditSection={handleEditSection}
+                  />
                 )}
 
                 {activeTab === "preview" && (
@@ -463,7 +1161,10 @@ function App() {
               <div className="flex gap-3">
                 <button
                   onClick={handleDownloadPDF}
-                  className="flex-1 btn btn-primary flex items-center justify-center gap-2"
+                  disabled={isExportingPDF}
+                  className={`flex-1 btn btn-primary flex items-center justify-center gap-2 ${
+                    isExportingPDF ? "opacity-50 cursor-wait" : ""
+                  }`}
                 >
                   <svg
                     className="w-5 h-5"
@@ -478,7 +1179,26 @@ function App() {
                       d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
                     />
                   </svg>
-                  Download PDF
+                  {isExportingPDF ? "Generating PDF..." : "Download PDF"}
+                </button>
+                <button
+                  onClick={handleDownloadDocx}
+                  className="flex-1 btn btn-secondary flex items-center justify-center gap-2"
+                >
+                  <svg
+                    className="w-5 h-5"
+                    fill="none"
+                    stroke="currentColor"
+                    viewBox="0 0 24 24"
+                  >
+                    <path
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                      strokeWidth={2}
+                      d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
+                    />
+                  </svg>
+                  Download Word
                 </button>
                 <button
                   onClick={handleDownloadLatex}
@@ -500,6 +1220,60 @@ function App() {
                   Download LaTeX
                 </button>
               </div>
+
+              {/* Markdown / plain-text exports */}
+              <div className="flex gap-3 text-sm">
+                {TEXT_EXPORTS.map((format) => (
+                  <div key={format.id} className="flex-1 flex gap-1">
+                    <button
+                      onClick={() => handleDownloadText(format.id)}
+                      className="flex-1 btn btn-secondary"
+                    >
+                      {format.label}
+                    </button>
+                    <button
+                      onClick={() => handleCopyText(format.id)}
+                      title={`Copy ${format.label} to clipboard`}
+                      className="btn btn-secondary"
+                    >
+                      {copiedFormat === format.id ? "Copied!" : "Copy"}
+                    </button>
+                  </div>
+                ))}
+              </div>
+              {exportError && (
+                <p className="text-sm text-red-400">{exportError}</p>
+              )}
+
+              {/* JSON Resume */}
+              <div className="flex gap-3 text-sm">
+                <label className="flex-1 btn btn-secondary text-center cursor-pointer">
+                  Import JSON Resume
+                  <input
+                    type="file"
+                    accept=".json,application/json"
+                    onChange={handleImportJsonResume}
+                    className="hidden"
+                  />
+                </label>
+                <button
+                  onClick={handleDownloadJsonResume}
+                  className="flex-1 btn btn-secondary"
+                >
+                  Export resume.json
+                </button>
+              </div>
+              {importMessage && (
+                <p
+                  className={`text-sm ${
+                    importMessage.type === "error"
+                      ? "text-red-400"
+                      : "text-green-400"
+                  }`}
+                >
+                  {importMessage.text}
+                </p>
+              )}
             </div>
 
             {/* Right Panel - CV Preview */}
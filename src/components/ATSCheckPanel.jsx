@@ -0,0 +1,83 @@
+import React, { useMemo } from "react";
+import { CheckStatus, checkATSCompatibility } from "../services/atsChecker";
+
+const STATUS_STYLES = {
+  [CheckStatus.PASS]: { icon: "✓", className: "text-green-400" },
+  [CheckStatus.WARN]: { icon: "!", className: "text-yellow-400" },
+  [CheckStatus.FAIL]: { icon: "✗", className: "text-red-400" },
+};
+
+/**
+ * Scored checklist of how well an applicant tracking system can parse the CV
+ * with the selected template
+ */
+function ATSCheckPanel({ cvData, templateId, onEditSection }) {
+  const report = useMemo(
+    () => checkATSCompatibility(cvData, templateId),
+    [cvData, templateId],
+  );
+
+  const scoreColor =
+    report.score >= 80
+      ? "text-green-400"
+      : report.score >= 60
+        ? "text-yellow-400"
+        : "text-red-400";
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="font-semibold text-white">ATS Compatibility</h3>
+          <p className="text-xs text-gray-500">
+            How applicant tracking systems read this CV as extracted text
+          </p>
+        </div>
+        <span className={`text-3xl font-bold ${scoreColor}`}>
+          {report.score}
+        </span>
+      </div>
+
+      <ul className="space-y-3">
+        {report.checks.map((check) => {
+          const { icon, className } = STATUS_STYLES[check.status];
+
+          return (
+            <li key={check.id} className="p-3 bg-gray-700/50 rounded-lg">
+              <div className="flex items-start gap-3">
+                <span className={`font-bold w-4 text-center ${className}`}>
+                  {icon}
+                </span>
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center justify-between gap-2">
+                    <h4 className="text-sm font-medium text-white">
+                      {check.label}
+                    </h4>
+                    {check.status !== CheckStatus.PASS && check.section && (
+                      <button
+                        onClick={() => onEditSection(check.section)}
+                        className="text-xs text-blue-400 hover:underline"
+                      >
+                        Fix
+                      </button>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-400 mt-1">{check.message}</p>
+                  {check.items.length > 0 && (
+                    <ul className="mt-2 text-xs text-gray-300 list-disc list-inside space-y-0.5">
+                      {check.items.map((item) => (
+                        <li key={item}>{item}</li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default ATSCheckPanel;
@@ -1,10 +1,63 @@
 import React, { useState } from "react";
+import EntryListEditor from "./EntryListEditor";
+import { parseBibtex } from "../services/bibtex";
+import { PUBLICATION_TYPES } from "../templates/publications";
+import { LAYOUT_SECTIONS, getLayout } from "../templates/layout";
+import { getTemplate } from "../templates/index";
+
+const PUBLICATION_FIELDS = [
+  { name: "type", label: "Type", type: "select", options: PUBLICATION_TYPES },
+  { name: "year", label: "Year", placeholder: "2024" },
+  {
+    name: "authors",
+    label: "Authors (comma-separated)",
+    type: "list",
+    placeholder: "Jane Doe, John Smith",
+  },
+  {
+    name: "venue",
+    label: "Journal / conference / publisher",
+    placeholder: "Proceedings of ICSE",
+  },
+  { name: "pages", label: "Pages", placeholder: "1-10" },
+  { name: "volume", label: "Volume" },
+  { name: "number", label: "Issue" },
+  { name: "doi", label: "DOI", placeholder: "10.1145/..." },
+  { name: "url", label: "URL" },
+];
+
+const TALK_FIELDS = [
+  { name: "event", label: "Event", placeholder: "FOSDEM" },
+  { name: "location", label: "Location" },
+  { name: "date", label: "Date (YYYY-MM)", placeholder: "2024-02" },
+  { name: "url", label: "Slides / recording URL" },
+];
+
+const CERTIFICATION_FIELDS = [
+  { name: "issuer", label: "Issuer", placeholder: "Amazon Web Services" },
+  { name: "date", label: "Date (YYYY-MM)", placeholder: "2023-05" },
+  { name: "credentialId", label: "Credential ID" },
+  { name: "url", label: "Verification URL" },
+];
+
+const AWARD_FIELDS = [
+  { name: "issuer", label: "Awarded by" },
+  { name: "date", label: "Date (YYYY-MM)", placeholder: "2023" },
+  { name: "description", label: "Description", type: "textarea" },
+];
 
 /**
  * CV Editor component - allows editing all CV sections
  */
-function CVEditor({ cvData, onUpdate, analysis }) {
-  const [activeSection, setActiveSection] = useState("personal");
+function CVEditor({
+  cvData,
+  onUpdate,
+  analysis,
+  templateId = "modern",
+  initialSection = "personal",
+}) {
+  const [activeSection, setActiveSection] = useState(initialSection);
+  const [draggedIndex, setDraggedIndex] = useState(null);
 
   const updateField = (section, field, value) => {
     const updated = { ...cvData };
@@ -52,6 +105,118 @@ function CVEditor({ cvData, onUpdate, analysis }) {
     onUpdate(updated);
   };
 
+  // Experience, education and the other structured sections share the same
+  // list operations
+  const updateEntry = (listKey, index, field, value) => {
+    const updated = { ...cvData };
+    updated[listKey] = [...(updated[listKey] || [])];
+    updated[listKey][index] = {
+      ...updated[listKey][index],
+      [field]: value,
+    };
+    onUpdate(updated);
+  };
+
+  const removeEntry = (listKey, index) => {
+    const updated = { ...cvData };
+    updated[listKey] = updated[listKey].filter((_, i) => i !== index);
+    onUpdate(updated);
+  };
+
+  const addEntry = (listKey, entry) => {
+    const updated = { ...cvData };
+    updated[listKey] = [...(updated[listKey] || []), entry];
+    onUpdate(updated);
+  };
+
+  const [bibtexText, setBibtexText] = useState("");
+  const [bibtexMessage, setBibtexMessage] = useState(null);
+
+  // Appends the entries of a pasted or uploaded .bib file to the publications
+  const importBibtex = (text) => {
+    try {
+      const imported = parseBibtex(text);
+      addEntries("publications", imported);
+      setBibtexText("");
+      setBibtexMessage({
+        type: "success",
+        text: `Imported ${imported.length} publication${
+          imported.length !== 1 ? "s" : ""
+        }`,
+      });
+    } catch (error) {
+      setBibtexMessage({ type: "error", text: error.message });
+    }
+  };
+
+  const handleBibtexFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (file) {
+      importBibtex(await file.text());
+    }
+  };
+
+  const addEntries = (listKey, entries) => {
+    const updated = { ...cvData };
+    updated[listKey] = [...(updated[listKey] || []), ...entries];
+    onUpdate(updated);
+  };
+
+  // Props shared by the list editors for the structured sections
+  const listEditorProps = (listKey, newEntry) => ({
+    entries: cvData[listKey] || [],
+    onAdd: () => addEntry(listKey, newEntry),
+    onUpdate: (index, field, value) =>
+      updateEntry(listKey, index, field, value),
+    onRemove: (index) => removeEntry(listKey, index),
+  });
+
+  // Section order and visibility; until the user changes it the layout
+  // follows the selected template's default order
+  const layout = getLayout(cvData, getTemplate(templateId).sectionOrder);
+
+  const moveSection = (from, to) => {
+    if (to < 0 || to >= layout.length || from === to) return;
+    const sections = [...layout];
+    const [moved] = sections.splice(from, 1);
+    sections.splice(to, 0, moved);
+    onUpdate({ ...cvData, layout: { sections } });
+  };
+
+  // Statistics and the contribution graph keep their existing toggles, so
+  // the Statistics tab and the layout never disagree
+  const isSectionShown = (section) => {
+    if (section.id === "statistics") return cvData.statistics?.show ?? true;
+    if (section.id === "contributionGraph") {
+      return cvData.settings?.showContributionGraph ?? false;
+    }
+    return section.visible;
+  };
+
+  const setSectionShown = (index, visible) => {
+    const { id } = layout[index];
+    if (id === "statistics") {
+      updateField("statistics", "show", visible);
+    } else if (id === "contributionGraph") {
+      updateField("settings", "showContributionGraph", visible);
+    } else {
+      onUpdate({
+        ...cvData,
+        layout: {
+          sections: layout.map((section, i) =>
+            i === index ? { ...section, visible } : section
+          ),
+        },
+      });
+    }
+  };
+
+  const resetLayout = () => {
+    const { layout: _, ...rest } = cvData;
+    onUpdate(rest);
+  };
+
   const updateSkillCategory = (category, skills) => {
     const updated = { ...cvData };
     updated.skills = {
@@ -87,8 +252,15 @@ function CVEditor({ cvData, onUpdate, analysis }) {
     { id: "personal", label: "Personal Info", icon: "👤" },
     { id: "summary", label: "Summary", icon: "📝" },
     { id: "skills", label: "Skills", icon: "🛠️" },
+    { id: "experience", label: "Experience", icon: "💼" },
+    { id: "education", label: "Education", icon: "🎓" },
     { id: "projects", label: "Projects", icon: "📦" },
+    { id: "publications", label: "Publications", icon: "📚" },
+    { id: "talks", label: "Talks", icon: "🎤" },
+    { id: "certifications", label: "Certifications", icon: "📜" },
+    { id: "awards", label: "Awards", icon: "🏆" },
     { id: "stats", label: "Statistics", icon: "📊" },
+    { id: "layout", label: "Layout", icon: "🧭" },
   ];
 
   return (
@@ -265,6 +437,319 @@ function CVEditor({ cvData, onUpdate, analysis }) {
         </div>
       )}
 
+      {/* Experience Section */}
+      {activeSection === "experience" && (
+        <div className="space-y-4">
+          <div className="flex items-center justify-between">
+            <h4 className="font-semibold text-white">Work Experience</h4>
+            <button
+              onClick={() =>
+                addEntry("experience", {
+                  company: "",
+                  role: "New Role",
+                  location: "",
+                  startDate: "",
+                  endDate: "",
+                  summary: "",
+                  highlights: [],
+                })
+              }
+              className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              + Add Position
+            </button>
+          </div>
+
+          {(cvData.experience || []).length === 0 && (
+            <p className="text-sm text-gray-500">
+              GitHub can't tell us about your jobs. Add them here or import a
+              JSON Resume.
+            </p>
+          )}
+
+          {(cvData.experience || []).map((job, index) => (
+            <div
+              key={index}
+              className="p-3 bg-gray-700/50 rounded-lg space-y-3"
+            >
+              <div className="flex items-center justify-between">
+                <input
+                  type="text"
+                  value={job.role}
+                  onChange={(e) =>
+                    updateEntry("experience", index, "role", e.target.value)
+                  }
+                  placeholder="Role"
+                  className="bg-transparent border-none text-white font-medium focus:outline-none flex-1"
+                />
+                <button
+                  onClick={() => removeEntry("experience", index)}
+                  className="text-red-400 hover:text-red-300 text-sm"
+                >
+                  Remove
+                </button>
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">
+                    Company
+                  </label>
+                  <input
+                    type="text"
+                    value={job.company || ""}
+                    onChange={(e) =>
+                      updateEntry(
+                        "experience",
+                        index,
+                        "company",
+                        e.target.value
+                      )
+                    }
+                    className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">
+                    Location
+                  </label>
+                  <input
+                    type="text"
+                    value={job.location || ""}
+                    onChange={(e) =>
+                      updateEntry(
+                        "experience",
+                        index,
+                        "location",
+                        e.target.value
+                      )
+                    }
+                    className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">
+                    Start (YYYY-MM)
+                  </label>
+                  <input
+                    type="text"
+                    value={job.startDate || ""}
+                    onChange={(e) =>
+                      updateEntry(
+                        "experience",
+                        index,
+                        "startDate",
+                        e.target.value
+                      )
+                    }
+                    placeholder="2021-03"
+                    className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">
+                    End (YYYY-MM)
+                  </label>
+                  <input
+                    type="text"
+                    value={job.endDate || ""}
+                    onChange={(e) =>
+                      updateEntry(
+                        "experience",
+                        index,
+                        "endDate",
+                        e.target.value
+                      )
+                    }
+                    placeholder="Present"
+                    className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">
+                  Summary (optional)
+                </label>
+                <textarea
+                  value={job.summary || ""}
+                  onChange={(e) =>
+                    updateEntry("experience", index, "summary", e.target.value)
+                  }
+                  rows={2}
+                  className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500 resize-none"
+                />
+              </div>
+
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">
+                  Bullet points (one per line)
+                </label>
+                <textarea
+                  value={(job.highlights || []).join("\n")}
+                  onChange={(e) =>
+                    updateEntry(
+                      "experience",
+                      index,
+                      "highlights",
+                      e.target.value.split("\n")
+                    )
+                  }
+                  rows={3}
+                  className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500 resize-none"
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Education Section */}
+      {activeSection === "education" && (
+        <div className="space-y-4">
+          <div className="flex items-center justify-between">
+            <h4 className="font-semibold text-white">Education</h4>
+            <button
+              onClick={() =>
+                addEntry("education", {
+                  institution: "New Institution",
+                  degree: "",
+                  field: "",
+                  startDate: "",
+                  endDate: "",
+                  gpa: "",
+                  honors: "",
+                })
+              }
+              className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              + Add Education
+            </button>
+          </div>
+
+          {(cvData.education || []).map((entry, index) => (
+            <div
+              key={index}
+              className="p-3 bg-gray-700/50 rounded-lg space-y-3"
+            >
+              <div className="flex items-center justify-between">
+                <input
+                  type="text"
+                  value={entry.institution}
+                  onChange={(e) =>
+                    updateEntry(
+                      "education",
+                      index,
+                      "institution",
+                      e.target.value
+                    )
+                  }
+                  placeholder="Institution"
+                  className="bg-transparent border-none text-white font-medium focus:outline-none flex-1"
+                />
+                <button
+                  onClick={() => removeEntry("education", index)}
+                  className="text-red-400 hover:text-red-300 text-sm"
+                >
+                  Remove
+                </button>
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">
+                    Degree
+                  </label>
+                  <input
+                    type="text"
+                    value={entry.degree || ""}
+                    onChange={(e) =>
+                      updateEntry("education", index, "degree", e.target.value)
+                    }
+                    placeholder="BSc"
+                    className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">
+                    Field of study
+                  </label>
+                  <input
+                    type="text"
+                    value={entry.field || ""}
+                    onChange={(e) =>
+                      updateEntry("education", index, "field", e.target.value)
+                    }
+                    placeholder="Computer Science"
+                    className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">
+                    Start (YYYY-MM)
+                  </label>
+                  <input
+                    type="text"
+                    value={entry.startDate || ""}
+                    onChange={(e) =>
+                      updateEntry(
+                        "education",
+                        index,
+                        "startDate",
+                        e.target.value
+                      )
+                    }
+                    placeholder="2017-09"
+                    className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">
+                    End (YYYY-MM)
+                  </label>
+                  <input
+                    type="text"
+                    value={entry.endDate || ""}
+                    onChange={(e) =>
+                      updateEntry("education", index, "endDate", e.target.value)
+                    }
+                    placeholder="Present"
+                    className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">
+                    GPA / grade
+                  </label>
+                  <input
+                    type="text"
+                    value={entry.gpa || ""}
+                    onChange={(e) =>
+                      updateEntry("education", index, "gpa", e.target.value)
+                    }
+                    className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">
+                    Honors
+                  </label>
+                  <input
+                    type="text"
+                    value={entry.honors || ""}
+                    onChange={(e) =>
+                      updateEntry("education", index, "honors", e.target.value)
+                    }
+                    placeholder="Cum laude"
+                    className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500"
+                  />
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Projects Section */}
       {activeSection === "projects" && (
         <div className="space-y-4">
@@ -391,6 +876,127 @@ function CVEditor({ cvData, onUpdate, analysis }) {
         </div>
       )}
 
+      {/* Publications Section */}
+      {activeSection === "publications" && (
+        <EntryListEditor
+          title="Publications"
+          addLabel="+ Add Publication"
+          titleField="title"
+          titlePlaceholder="Title"
+          fields={PUBLICATION_FIELDS}
+          emptyMessage="Add papers by hand or import them from a .bib file (Google Scholar, DBLP and Zotero can all export BibTeX)."
+          {...listEditorProps("publications", {
+            type: "article",
+            title: "New Publication",
+            authors: cvData.personalInfo?.name
+              ? [cvData.personalInfo.name]
+              : [],
+            venue: "",
+            year: String(new Date().getFullYear()),
+            pages: "",
+            volume: "",
+            number: "",
+            doi: "",
+            url: "",
+          })}
+        >
+          <div className="p-3 bg-gray-700/30 border border-gray-700 rounded-lg space-y-2">
+            <label className="block text-xs text-gray-400">Import BibTeX</label>
+            {/* Not part of the CV until imported, so keeps native undo */}
+            <textarea
+              data-native-undo
+              value={bibtexText}
+              onChange={(e) => setBibtexText(e.target.value)}
+              rows={3}
+              placeholder="@article{doe2024, author = {Doe, Jane}, title = {...}, ...}"
+              className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm font-mono focus:outline-none focus:border-blue-500 resize-none"
+            />
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => importBibtex(bibtexText)}
+                disabled={!bibtexText.trim()}
+                className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+              >
+                Import
+              </button>
+              <label className="px-3 py-1 text-sm bg-gray-600 text-white rounded-lg hover:bg-gray-500 transition-colors cursor-pointer">
+                Upload .bib
+                <input
+                  type="file"
+                  accept=".bib,text/x-bibtex,text/plain"
+                  onChange={handleBibtexFile}
+                  className="hidden"
+                />
+              </label>
+              {bibtexMessage && (
+                <span
+                  className={`text-xs ${
+                    bibtexMessage.type === "error"
+                      ? "text-red-400"
+                      : "text-green-400"
+                  }`}
+                >
+                  {bibtexMessage.text}
+                </span>
+              )}
+            </div>
+          </div>
+        </EntryListEditor>
+      )}
+
+      {/* Talks Section */}
+      {activeSection === "talks" && (
+        <EntryListEditor
+          title="Conference Talks"
+          addLabel="+ Add Talk"
+          titleField="title"
+          titlePlaceholder="Talk title"
+          fields={TALK_FIELDS}
+          {...listEditorProps("talks", {
+            title: "New Talk",
+            event: "",
+            location: "",
+            date: "",
+            url: "",
+          })}
+        />
+      )}
+
+      {/* Certifications Section */}
+      {activeSection === "certifications" && (
+        <EntryListEditor
+          title="Certifications"
+          addLabel="+ Add Certification"
+          titleField="name"
+          titlePlaceholder="Certification"
+          fields={CERTIFICATION_FIELDS}
+          {...listEditorProps("certifications", {
+            name: "New Certification",
+            issuer: "",
+            date: "",
+            credentialId: "",
+            url: "",
+          })}
+        />
+      )}
+
+      {/* Awards Section */}
+      {activeSection === "awards" && (
+        <EntryListEditor
+          title="Awards"
+          addLabel="+ Add Award"
+          titleField="title"
+          titlePlaceholder="Award"
+          fields={AWARD_FIELDS}
+          {...listEditorProps("awards", {
+            title: "New Award",
+            issuer: "",
+            date: "",
+            description: "",
+          })}
+        />
+      )}
+
       {/* Statistics Section */}
       {activeSection === "stats" && (
         <div className="space-y-4">
@@ -436,6 +1042,132 @@ function CVEditor({ cvData, onUpdate, analysis }) {
               </div>
             </div>
           )}
+
+          <label
+            className={`flex items-center gap-3 ${
+              cvData.contributionCalendar ? "cursor-pointer" : "opacity-50"
+            }`}
+          >
+            <input
+              type="checkbox"
+              checked={cvData.settings?.showContributionGraph ?? false}
+              disabled={!cvData.contributionCalendar}
+              onChange={(e) =>
+                updateField(
+                  "settings",
+                  "showContributionGraph",
+                  e.target.checked
+                )
+              }
+              className="w-5 h-5 rounded bg-gray-700 border-gray-600 text-blue-600 focus:ring-blue-500"
+            />
+            <span className="text-gray-300">Show contribution graph in CV</span>
+          </label>
+
+          {cvData.contributionCalendar ? (
+            <p className="text-sm text-gray-400">
+              {cvData.contributionCalendar.totalContributions} contributions in
+              the last year
+            </p>
+          ) : (
+            <p className="text-sm text-gray-500">
+              Contribution data requires a GITHUB_TOKEN on the server.
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Layout Section */}
+      {activeSection === "layout" && (
+        <div className="space-y-4">
+          <div className="flex items-center justify-between">
+            <h4 className="font-semibold text-white">Section Order</h4>
+            <button
+              onClick={resetLayout}
+              disabled={!cvData.layout}
+              className="px-3 py-1 text-sm bg-gray-600 text-white rounded-lg hover:bg-gray-500 transition-colors disabled:opacity-50"
+            >
+              Reset to template order
+            </button>
+          </div>
+
+          <p className="text-sm text-gray-400">
+            Drag sections to reorder them and untick the ones to leave out.
+            Empty sections are skipped automatically.
+            {templateId === "tech-focused" &&
+              " The Tech-Focused template keeps skills, education, certifications and awards in its sidebar and statistics at the top."}
+          </p>
+
+          <ul className="space-y-2">
+            {layout.map((section, index) => {
+              const shown = isSectionShown(section);
+              const unavailable =
+                section.id === "contributionGraph" &&
+                !cvData.contributionCalendar;
+
+              return (
+                <li
+                  key={section.id}
+                  draggable
+                  onDragStart={(e) => {
+                    e.dataTransfer.effectAllowed = "move";
+                    e.dataTransfer.setData("text/plain", section.id);
+                    setDraggedIndex(index);
+                  }}
+                  onDragOver={(e) => {
+                    e.preventDefault();
+                    if (draggedIndex !== null && draggedIndex !== index) {
+                      moveSection(draggedIndex, index);
+                      setDraggedIndex(index);
+                    }
+                  }}
+                  onDrop={(e) => e.preventDefault()}
+                  onDragEnd={() => setDraggedIndex(null)}
+                  className={`flex items-center gap-3 px-3 py-2 rounded-lg border transition-colors cursor-move ${
+                    draggedIndex === index
+                      ? "bg-blue-900/40 border-blue-500"
+                      : "bg-gray-700/50 border-gray-700"
+                  }`}
+                >
+                  <span className="text-gray-500 select-none" aria-hidden>
+                    ⠿
+                  </span>
+                  <label className="flex items-center gap-3 flex-1 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={shown && !unavailable}
+                      disabled={unavailable}
+                      onChange={(e) => setSectionShown(index, e.target.checked)}
+                      className="w-4 h-4 rounded bg-gray-700 border-gray-600 text-blue-600 focus:ring-blue-500"
+                    />
+                    <span
+                      className={`text-sm ${
+                        shown && !unavailable ? "text-white" : "text-gray-500"
+                      }`}
+                    >
+                      {LAYOUT_SECTIONS[section.id]}
+                    </span>
+                  </label>
+                  <button
+                    onClick={() => moveSection(index, index - 1)}
+                    disabled={index === 0}
+                    className="px-1.5 text-gray-400 hover:text-white disabled:opacity-30"
+                    aria-label={`Move ${LAYOUT_SECTIONS[section.id]} up`}
+                  >
+                    ↑
+                  </button>
+                  <button
+                    onClick={() => moveSection(index, index + 1)}
+                    disabled={index === layout.length - 1}
+                    className="px-1.5 text-gray-400 hover:text-white disabled:opacity-30"
+                    aria-label={`Move ${LAYOUT_SECTIONS[section.id]} down`}
+                  >
+                    ↓
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
         </div>
       )}
     </div>
@@ -0,0 +1,61 @@
+import React from "react";
+import { getTemplate } from "../templates/index";
+
+/**
+ * Saved CV drafts on the input screen, so earlier work can be resumed
+ */
+function DraftList({ drafts, onOpen, onDuplicate, onDelete }) {
+  if (drafts.length === 0) return null;
+
+  const handleDelete = (draft) => {
+    if (window.confirm(`Delete the draft "${draft.name}"?`)) {
+      onDelete(draft.id);
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-gray-800 rounded-lg border border-gray-700 p-4">
+      <h3 className="text-sm font-medium text-gray-400 mb-3">Saved Drafts</h3>
+
+      <ul className="divide-y divide-gray-700">
+        {drafts.map((draft) => (
+          <li
+            key={draft.id}
+            className="py-3 flex items-center justify-between gap-4"
+          >
+            <button
+              onClick={() => onOpen(draft.id)}
+              className="flex-1 min-w-0 text-left group"
+            >
+              <div className="font-medium text-white truncate group-hover:text-blue-400">
+                {draft.name}
+              </div>
+              <div className="text-xs text-gray-500">
+                @{draft.username} • {getTemplate(draft.templateId).name} •{" "}
+                {draft.jobTitle && `Tailored to ${draft.jobTitle} • `}
+                Edited {new Date(draft.updatedAt).toLocaleString()}
+              </div>
+            </button>
+
+            <div className="flex gap-3 text-sm flex-shrink-0">
+              <button
+                onClick={() => onDuplicate(draft.id)}
+                className="text-gray-400 hover:text-white"
+              >
+                Duplicate
+              </button>
+              <button
+                onClick={() => handleDelete(draft)}
+                className="text-red-400 hover:text-red-300"
+              >
+                Delete
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default DraftList;
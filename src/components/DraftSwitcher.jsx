@@ -0,0 +1,87 @@
+import React from "react";
+
+const INPUT_CLASS =
+  "px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500";
+
+/**
+ * Names the open draft and switches between saved versions of the CV
+ * saveStatus is "saving", "saved", an Error, or null before the first save.
+ */
+function DraftSwitcher({
+  drafts,
+  currentId,
+  name,
+  saveStatus,
+  onRename,
+  onSwitch,
+  onDuplicate,
+  onDelete,
+}) {
+  const handleDelete = () => {
+    if (window.confirm(`Delete the draft "${name}"?`)) {
+      onDelete(currentId);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg border border-gray-700 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-medium text-gray-400">Version</h3>
+        <span
+          className={`text-xs ${
+            saveStatus instanceof Error ? "text-red-400" : "text-gray-500"
+          }`}
+        >
+          {saveStatus instanceof Error
+            ? saveStatus.message
+            : saveStatus === "saving"
+              ? "Saving..."
+              : saveStatus === "saved"
+                ? "All changes saved"
+                : ""}
+        </span>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => onRename(e.target.value)}
+          placeholder="e.g. Backend roles"
+          aria-label="Version name"
+          className={`${INPUT_CLASS} flex-1 min-w-[10rem]`}
+        />
+
+        {drafts.length > 1 && (
+          <select
+            value={currentId}
+            onChange={(e) => onSwitch(e.target.value)}
+            aria-label="Switch version"
+            className={INPUT_CLASS}
+          >
+            {drafts.map((draft) => (
+              <option key={draft.id} value={draft.id}>
+                {draft.id === currentId ? name : draft.name}
+              </option>
+            ))}
+          </select>
+        )}
+
+        <button
+          onClick={() => onDuplicate(currentId)}
+          className="px-3 py-2 text-sm bg-gray-700 text-gray-300 rounded-lg hover:bg-gray-600"
+        >
+          Duplicate
+        </button>
+        <button
+          onClick={handleDelete}
+          className="px-3 py-2 text-sm bg-gray-700 text-red-400 rounded-lg hover:bg-gray-600"
+        >
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default DraftSwitcher;
@@ -0,0 +1,141 @@
+import React from "react";
+
+const INPUT_CLASS =
+  "w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500";
+
+/**
+ * Editable list of structured CV entries (certifications, talks, ...)
+ * Each field is { name, label, placeholder?, type?: "text" | "textarea" |
+ * "select" | "list", options? }; "list" fields edit an array as comma-separated
+ * text.
+ */
+function EntryListEditor({
+  title,
+  addLabel,
+  entries,
+  titleField,
+  titlePlaceholder,
+  fields,
+  onAdd,
+  onUpdate,
+  onRemove,
+  emptyMessage,
+  children,
+}) {
+  const renderField = (field, entry, index) => {
+    const value = entry[field.name];
+
+    if (field.type === "textarea") {
+      return (
+        <textarea
+          value={value || ""}
+          onChange={(e) => onUpdate(index, field.name, e.target.value)}
+          placeholder={field.placeholder}
+          rows={2}
+          className={`${INPUT_CLASS} resize-none`}
+        />
+      );
+    }
+
+    if (field.type === "select") {
+      return (
+        <select
+          value={value || ""}
+          onChange={(e) => onUpdate(index, field.name, e.target.value)}
+          className={INPUT_CLASS}
+        >
+          {Object.entries(field.options).map(([option, label]) => (
+            <option key={option} value={option}>
+              {label}
+            </option>
+          ))}
+        </select>
+      );
+    }
+
+    if (field.type === "list") {
+      // Split without trimming so spaces can be typed; renderers trim
+      return (
+        <input
+          type="text"
+          value={(value || []).join(",")}
+          onChange={(e) =>
+            onUpdate(index, field.name, e.target.value.split(","))
+          }
+          placeholder={field.placeholder}
+          className={INPUT_CLASS}
+        />
+      );
+    }
+
+    return (
+      <input
+        type="text"
+        value={value || ""}
+        onChange={(e) => onUpdate(index, field.name, e.target.value)}
+        placeholder={field.placeholder}
+        className={INPUT_CLASS}
+      />
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h4 className="font-semibold text-white">{title}</h4>
+        <button
+          onClick={onAdd}
+          className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          {addLabel}
+        </button>
+      </div>
+
+      {children}
+
+      {entries.length === 0 && emptyMessage && (
+        <p className="text-sm text-gray-500">{emptyMessage}</p>
+      )}
+
+      {entries.map((entry, index) => (
+        <div key={index} className="p-3 bg-gray-700/50 rounded-lg space-y-3">
+          <div className="flex items-center justify-between">
+            <input
+              type="text"
+              value={entry[titleField] || ""}
+              onChange={(e) => onUpdate(index, titleField, e.target.value)}
+              placeholder={titlePlaceholder}
+              className="bg-transparent border-none text-white font-medium focus:outline-none flex-1"
+            />
+            <button
+              onClick={() => onRemove(index)}
+              className="text-red-400 hover:text-red-300 text-sm"
+            >
+              Remove
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            {fields.map((field) => (
+              <div
+                key={field.name}
+                className={
+                  field.type === "textarea" || field.type === "list"
+                    ? "sm:col-span-2"
+                    : ""
+                }
+              >
+                <label className="block text-xs text-gray-400 mb-1">
+                  {field.label}
+                </label>
+                {renderField(field, entry, index)}
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default EntryListEditor;
@@ -1,9 +1,27 @@
-import React from "react";
+import React, { useEffect, useState } from "react";
+import {
+  fetchRateLimitStatus,
+  getRateLimitStatus,
+  subscribeToRateLimit,
+} from "../services/githubApi";
 
 /**
- * Header component with logo and reset button
+ * Header component with logo, GitHub API budget and reset button
  */
 function Header({ onReset, hasCV }) {
+  const [rateLimit, setRateLimit] = useState(getRateLimitStatus);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToRateLimit(setRateLimit);
+    fetchRateLimitStatus();
+    return unsubscribe;
+  }, []);
+
+  const isLow =
+    rateLimit.remaining !== null &&
+    rateLimit.limit &&
+    rateLimit.remaining / rateLimit.limit < 0.1;
+
   return (
     <header className="bg-github-gray border-b border-github-border">
       <div className="container mx-auto px-4 py-4 flex items-center justify-between">
@@ -18,27 +36,47 @@ function Header({ onReset, hasCV }) {
           <span className="text-xl font-semibold text-white">GitHub to CV</span>
         </div>
 
-        {hasCV && (
-          <button
-            onClick={onReset}
-            className="flex items-center gap-2 px-4 py-2 text-gray-400 hover:text-white transition-colors"
-          >
-            <svg
-              className="w-5 h-5"
-              fill="none"
-              stroke="currentColor"
-              viewBox="0 0 24 24"
+        <div className="flex items-center gap-4">
+          {rateLimit.remaining !== null && (
+            <span
+              className={`px-3 py-1 rounded-full text-sm border ${
+                isLow
+                  ? "text-red-400 border-red-500/50 bg-red-500/10"
+                  : "text-gray-400 border-github-border"
+              }`}
+              title={
+                rateLimit.resetAt
+                  ? `Resets at ${rateLimit.resetAt.toLocaleTimeString()}`
+                  : undefined
+              }
             >
-              <path
-                strokeLinecap="round"
-                strokeLinejoin="round"
-                strokeWidth={2}
-                d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"
-              />
-            </svg>
-            New Profile
-          </button>
-        )}
+              GitHub API: {rateLimit.remaining.toLocaleString()}
+              {rateLimit.limit ? ` / ${rateLimit.limit.toLocaleString()}` : ""}
+            </span>
+          )}
+
+          {hasCV && (
+            <button
+              onClick={onReset}
+              className="flex items-center gap-2 px-4 py-2 text-gray-400 hover:text-white transition-colors"
+            >
+              <svg
+                className="w-5 h-5"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"
+                />
+              </svg>
+              New Profile
+            </button>
+          )}
+        </div>
       </div>
     </header>
   );
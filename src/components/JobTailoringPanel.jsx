@@ -0,0 +1,129 @@
+import React, { useState } from "react";
+
+/**
+ * Tailors the CV to a pasted job description and shows how many of the
+ * job's keywords the CV covers
+ */
+function JobTailoringPanel({
+  job,
+  coverage,
+  canTailor,
+  isTailoring,
+  progress,
+  error,
+  onTailor,
+  onClear,
+}) {
+  const [description, setDescription] = useState(job?.description || "");
+
+  const scoreColor =
+    coverage?.score >= 75
+      ? "bg-green-500"
+      : coverage?.score >= 50
+        ? "bg-yellow-500"
+        : "bg-red-500";
+
+  return (
+    <div className="bg-gray-800 rounded-lg border border-gray-700 p-4 space-y-3">
+      <h3 className="text-white font-medium">Tailor to Job</h3>
+
+      <textarea
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        placeholder="Paste the job description..."
+        rows={5}
+        className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500 resize-y"
+      />
+
+      <div className="flex items-center gap-3">
+        <button
+          onClick={() => onTailor(description)}
+          disabled={!canTailor || isTailoring || !description.trim()}
+          className="px-4 py-2 rounded-lg text-sm font-medium bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isTailoring ? "Tailoring..." : "Tailor CV"}
+        </button>
+        {job && !isTailoring && (
+          <button
+            onClick={onClear}
+            className="text-sm text-gray-400 hover:text-white"
+          >
+            Clear job
+          </button>
+        )}
+        {isTailoring && (
+          <span className="text-sm text-purple-300 flex items-center gap-2">
+            <span className="animate-spin w-4 h-4 border-2 border-purple-400 border-t-transparent rounded-full"></span>
+            {progress}
+          </span>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      {job && coverage && (
+        <div className="space-y-3 pt-2 border-t border-gray-700">
+          <div>
+            <div className="flex items-center justify-between text-sm mb-1">
+              <span className="text-gray-400">
+                Keyword coverage{job.title ? ` for ${job.title}` : ""}
+              </span>
+              <span className="text-white font-medium">{coverage.score}%</span>
+            </div>
+            <div className="h-2 bg-gray-700 rounded-full overflow-hidden">
+              <div
+                className={`h-full ${scoreColor}`}
+                style={{ width: `${coverage.score}%` }}
+              />
+            </div>
+          </div>
+
+          {coverage.missing.length > 0 && (
+            <div>
+              <p className="text-xs text-gray-400 mb-1">Missing</p>
+              <div className="flex flex-wrap gap-1">
+                {coverage.missing.map((keyword) => (
+                  <span
+                    key={keyword.term}
+                    title={keyword.required ? "Required" : "Nice to have"}
+                    className={`px-2 py-0.5 rounded text-xs ${
+                      keyword.required
+                        ? "bg-red-900/40 text-red-300"
+                        : "bg-gray-700 text-gray-300"
+                    }`}
+                  >
+                    {keyword.term}
+                    {keyword.required && " *"}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {coverage.matched.length > 0 && (
+            <div>
+              <p className="text-xs text-gray-400 mb-1">Covered</p>
+              <div className="flex flex-wrap gap-1">
+                {coverage.matched.map((keyword) => (
+                  <span
+                    key={keyword.term}
+                    className="px-2 py-0.5 rounded text-xs bg-green-900/40 text-green-300"
+                  >
+                    {keyword.term}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500">
+            * Required by the job. Add missing skills you really have in the
+            editor; coverage updates as you edit.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default JobTailoringPanel;
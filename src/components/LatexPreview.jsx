@@ -0,0 +1,126 @@
+import React, { Suspense, lazy, useState } from "react";
+import { compileLatex } from "../services/latexCompiler";
+
+// pdf.js is large, so only load the viewer once there is a PDF to show
+const PdfViewer = lazy(() => import("./PdfViewer"));
+
+/**
+ * LaTeX tab - shows the template source and compiles it to PDF in the browser
+ */
+function LatexPreview({ latex, onEditSection }) {
+  const [view, setView] = useState("source");
+  const [isCompiling, setIsCompiling] = useState(false);
+  const [result, setResult] = useState(null);
+  const [compiledLatex, setCompiledLatex] = useState(null);
+  const [engineError, setEngineError] = useState(null);
+
+  const isOutdated = compiledLatex !== null && compiledLatex !== latex;
+
+  const handleCompile = async () => {
+    setIsCompiling(true);
+    setEngineError(null);
+
+    try {
+      const compiled = await compileLatex(latex);
+      setResult(compiled);
+      setCompiledLatex(latex);
+      setView(compiled.success ? "pdf" : "source");
+    } catch (err) {
+      setEngineError(err.message || "The TeX engine failed to start");
+    } finally {
+      setIsCompiling(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Toolbar */}
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={handleCompile}
+          disabled={isCompiling}
+          className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white text-sm rounded transition-colors"
+        >
+          {isCompiling ? "Compiling..." : result ? "Recompile" : "Compile PDF"}
+        </button>
+
+        <div className="flex rounded border border-gray-600 overflow-hidden text-sm">
+          {["source", "pdf"].map((mode) => (
+            <button
+              key={mode}
+              onClick={() => setView(mode)}
+              disabled={mode === "pdf" && !result?.pdf}
+              className={`px-3 py-1.5 transition-colors disabled:text-gray-600 ${
+                view === mode
+                  ? "bg-gray-700 text-white"
+                  : "text-gray-400 hover:text-white"
+              }`}
+            >
+              {mode === "source" ? "Source" : "PDF"}
+            </button>
+          ))}
+        </div>
+
+        {isOutdated && (
+          <span className="text-xs text-yellow-400">
+            CV changed since the last compile
+          </span>
+        )}
+      </div>
+
+      {engineError && (
+        <p className="text-red-400 text-sm">
+          {engineError}. See "In-browser LaTeX compiler" in SETUP.md.
+        </p>
+      )}
+
+      {/* Compile errors, mapped back to CV sections */}
+      {result && !result.success && (
+        <div className="bg-red-900/30 border border-red-700 rounded p-3 space-y-2">
+          <p className="text-red-300 text-sm font-medium">
+            LaTeX compilation failed
+          </p>
+          <ul className="space-y-2">
+            {result.errors.map((error, index) => (
+              <li key={index} className="text-sm text-gray-300">
+                <span className="font-mono text-red-300">{error.message}</span>
+                {error.line && (
+                  <span className="text-gray-500"> (line {error.line})</span>
+                )}
+                {error.sectionLabel && (
+                  <div className="mt-1 flex items-center gap-2 text-xs">
+                    <span className="text-gray-400">
+                      Caused by: {error.sectionLabel}
+                    </span>
+                    {error.editorTab && (
+                      <button
+                        onClick={() => onEditSection(error.editorTab)}
+                        className="text-blue-400 hover:underline"
+                      >
+                        Edit section
+                      </button>
+                    )}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {view === "pdf" && result?.pdf ? (
+        <Suspense
+          fallback={<p className="text-gray-400 text-sm">Loading viewer...</p>}
+        >
+          <PdfViewer data={result.pdf} />
+        </Suspense>
+      ) : (
+        <pre className="font-mono text-sm whitespace-pre-wrap text-gray-300 bg-gray-900 p-4 rounded overflow-x-auto">
+          {latex}
+        </pre>
+      )}
+    </div>
+  );
+}
+
+export default LatexPreview;
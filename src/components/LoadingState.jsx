@@ -4,7 +4,7 @@ import { AnalysisStatus } from "../services/repoAnalyzer";
 /**
  * Loading state component with progress indication
  */
-function LoadingState({ status, message }) {
+function LoadingState({ status, message, percent }) {
   const steps = [
     {
       key: AnalysisStatus.FETCHING_PROFILE,
@@ -31,6 +31,16 @@ function LoadingState({ status, message }) {
       label: "Detecting tech stack",
       icon: "🔧",
     },
+    {
+      key: AnalysisStatus.ANALYZING_COMMITS,
+      label: "Analyzing commit history",
+      icon: "📈",
+    },
+    {
+      key: AnalysisStatus.FETCHING_CONTRIBUTIONS,
+      label: "Finding open source contributions",
+      icon: "🤝",
+    },
     {
       key: AnalysisStatus.RANKING_PROJECTS,
       label: "Ranking projects",
@@ -51,6 +61,18 @@ function LoadingState({ status, message }) {
 
       <p className="text-center text-white font-medium mb-6">{message}</p>
 
+      {percent != null && (
+        <div className="mb-6">
+          <div className="h-2 bg-gray-700 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-blue-500 transition-all duration-300"
+              style={{ width: `${percent}%` }}
+            />
+          </div>
+          <p className="mt-2 text-right text-sm text-gray-400">{percent}%</p>
+        </div>
+      )}
+
       <div className="space-y-3">
         {steps.map((step, index) => {
           const isComplete = index < currentIndex;
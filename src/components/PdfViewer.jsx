@@ -0,0 +1,139 @@
+import React, { useEffect, useRef, useState } from "react";
+import * as pdfjsLib from "pdfjs-dist";
+import pdfWorkerUrl from "pdfjs-dist/build/pdf.worker.min.mjs?url";
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+const PAGE_WIDTH = 640;
+const THUMBNAIL_WIDTH = 96;
+
+/**
+ * Renders one PDF page onto a canvas at the given CSS width
+ */
+function PdfPageCanvas({ pdf, pageNumber, width }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    let renderTask = null;
+    let cancelled = false;
+
+    pdf.getPage(pageNumber).then((page) => {
+      if (cancelled) return;
+
+      const baseViewport = page.getViewport({ scale: 1 });
+      const pixelRatio = window.devicePixelRatio || 1;
+      const viewport = page.getViewport({
+        scale: (width / baseViewport.width) * pixelRatio,
+      });
+
+      const canvas = canvasRef.current;
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+      canvas.style.width = `${width}px`;
+
+      renderTask = page.render({ canvas, viewport });
+      renderTask.promise.catch(() => {});
+    });
+
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+    };
+  }, [pdf, pageNumber, width]);
+
+  return <canvas ref={canvasRef} className="bg-white shadow" />;
+}
+
+/**
+ * PDF viewer with a page thumbnail strip
+ */
+function PdfViewer({ data }) {
+  const [pdf, setPdf] = useState(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [error, setError] = useState(null);
+  const pageRefs = useRef([]);
+
+  useEffect(() => {
+    // pdf.js transfers the buffer to its worker, so hand it a copy
+    const loadingTask = pdfjsLib.getDocument({ data: data.slice() });
+    let loaded = null;
+
+    loadingTask.promise
+      .then((doc) => {
+        loaded = doc;
+        setPdf(doc);
+        setCurrentPage(1);
+        setError(null);
+      })
+      .catch((err) => setError(err.message));
+
+    return () => {
+      loadingTask.destroy();
+      loaded?.destroy();
+    };
+  }, [data]);
+
+  const goToPage = (pageNumber) => {
+    setCurrentPage(pageNumber);
+    pageRefs.current[pageNumber - 1]?.scrollIntoView({
+      behavior: "smooth",
+      block: "start",
+    });
+  };
+
+  if (error) {
+    return <p className="text-red-400 text-sm">Could not open PDF: {error}</p>;
+  }
+
+  if (!pdf) {
+    return <p className="text-gray-400 text-sm">Opening PDF...</p>;
+  }
+
+  const pageNumbers = Array.from({ length: pdf.numPages }, (_, i) => i + 1);
+
+  return (
+    <div className="flex gap-4">
+      {/* Thumbnails */}
+      <div className="flex flex-col gap-3 shrink-0">
+        {pageNumbers.map((pageNumber) => (
+          <button
+            key={pageNumber}
+            onClick={() => goToPage(pageNumber)}
+            className={`p-1 rounded border-2 transition-colors ${
+              currentPage === pageNumber
+                ? "border-blue-400"
+                : "border-transparent hover:border-gray-500"
+            }`}
+          >
+            <PdfPageCanvas
+              pdf={pdf}
+              pageNumber={pageNumber}
+              width={THUMBNAIL_WIDTH}
+            />
+            <span className="block text-xs text-gray-400 mt-1">
+              {pageNumber}
+            </span>
+          </button>
+        ))}
+      </div>
+
+      {/* Pages */}
+      <div className="flex-1 flex flex-col items-center gap-4 overflow-x-auto">
+        {pageNumbers.map((pageNumber) => (
+          <div
+            key={pageNumber}
+            ref={(el) => (pageRefs.current[pageNumber - 1] = el)}
+          >
+            <PdfPageCanvas
+              pdf={pdf}
+              pageNumber={pageNumber}
+              width={PAGE_WIDTH}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default PdfViewer;
@@ -0,0 +1,80 @@
+import React from "react";
+import { diffWords } from "../services/textDiff";
+
+const PART_CLASSES = {
+  equal: "",
+  added: "bg-green-900/40 text-green-300",
+  removed: "bg-red-900/40 text-red-300 line-through",
+};
+
+/**
+ * Compares AI-regenerated text with the CV's current text, so each change
+ * can be accepted or skipped on its own
+ * Each change is { id, label, before, after }.
+ */
+function RegenerationReview({
+  title,
+  changes,
+  onAccept,
+  onReject,
+  onAcceptAll,
+  onDiscard,
+}) {
+  return (
+    <div className="bg-gray-800 rounded-lg border border-purple-500/40 p-4 space-y-4">
+      <div className="flex items-center justify-between gap-4">
+        <h3 className="text-white font-medium">
+          {title}
+          <span className="ml-2 text-sm text-gray-400">
+            {changes.length} change{changes.length === 1 ? "" : "s"}
+          </span>
+        </h3>
+        <div className="flex gap-2 text-sm">
+          <button
+            onClick={onAcceptAll}
+            className="px-3 py-1 bg-purple-600 text-white rounded-lg hover:bg-purple-700"
+          >
+            Accept all
+          </button>
+          <button
+            onClick={onDiscard}
+            className="px-3 py-1 bg-gray-700 text-gray-300 rounded-lg hover:bg-gray-600"
+          >
+            Keep mine
+          </button>
+        </div>
+      </div>
+
+      {changes.map((change) => (
+        <div key={change.id} className="p-3 bg-gray-700/50 rounded-lg">
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="text-sm font-medium text-white">{change.label}</h4>
+            <div className="flex gap-3 text-sm">
+              <button
+                onClick={() => onAccept(change.id)}
+                className="text-green-400 hover:text-green-300"
+              >
+                Accept
+              </button>
+              <button
+                onClick={() => onReject(change.id)}
+                className="text-gray-400 hover:text-white"
+              >
+                Skip
+              </button>
+            </div>
+          </div>
+          <p className="text-sm text-gray-300 whitespace-pre-wrap">
+            {diffWords(change.before, change.after).map((part, index) => (
+              <span key={index} className={PART_CLASSES[part.type]}>
+                {part.text}
+              </span>
+            ))}
+          </p>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default RegenerationReview;
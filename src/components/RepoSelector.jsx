@@ -9,6 +9,7 @@ import {
   Search,
   Filter,
   AlertCircle,
+  Pin,
 } from "lucide-react";
 import { differenceInDays, format } from "date-fns";
 
@@ -112,12 +113,18 @@ function RepoCard({ repo, isSelected, onToggle, activityScore }) {
           </h3>
         </div>
 
-        {/* Language badge */}
+        {/* Language and pinned badges */}
         {repo.language && (
           <span className="inline-block text-xs px-2.5 py-1 rounded-full bg-indigo-100 text-indigo-700 font-medium mb-2">
             {repo.language}
           </span>
         )}
+        {repo.isPinned && (
+          <span className="inline-flex items-center gap-1 text-xs px-2.5 py-1 ml-2 rounded-full bg-amber-100 text-amber-700 font-medium mb-2">
+            <Pin className="w-3 h-3" />
+            Pinned
+          </span>
+        )}
 
         {/* Description */}
         <p className="text-sm text-gray-600 line-clamp-2 mb-3 min-h-[2.5rem]">
@@ -202,9 +209,18 @@ export default function RepoSelector({
     );
   }, [reposWithScores]);
 
-  // Initialize with top repos pre-selected
+  const pinnedRepos = useMemo(
+    () => sortedRepos.filter((r) => r.isPinned),
+    [sortedRepos],
+  );
+
+  // Initialize with pinned repos pre-selected, falling back to the top repos
   const [selectedRepos, setSelectedRepos] = useState(() => {
-    return new Set(sortedRepos.slice(0, preselectedCount).map((r) => r.name));
+    const defaults =
+      pinnedRepos.length > 0
+        ? pinnedRepos.slice(0, maxSelections)
+        : sortedRepos.slice(0, preselectedCount);
+    return new Set(defaults.map((r) => r.name));
   });
 
   // Sorting and filtering state
@@ -303,8 +319,10 @@ export default function RepoSelector({
         </h2>
         <p className="text-gray-600 text-lg">
           Choose up to <strong>{maxSelections}</strong> repositories to showcase
-          in your CV. We've pre-selected your most active projects based on
-          recent activity, stars, and engagement.
+          in your CV.{" "}
+          {pinnedRepos.length > 0
+            ? "We've pre-selected the repositories pinned on your GitHub profile."
+            : "We've pre-selected your most active projects based on recent activity, stars, and engagement."}
         </p>
       </div>
 
@@ -0,0 +1,337 @@
+/**
+ * ATS Compatibility Checker
+ * Reads the exported CV the way an applicant tracking system does - as text
+ * extracted from the PDF, top to bottom - and reports what would trip a parser:
+ * icon glyphs, multi-column layouts, non-standard headings, unparseable dates
+ * and missing contact details.
+ */
+
+import { generateLatex } from "../templates/index.js";
+import { isSectionVisible } from "../templates/layout.js";
+
+export const CheckStatus = {
+  PASS: "pass",
+  WARN: "warn",
+  FAIL: "fail",
+};
+
+// Share of a check's weight each status earns
+const STATUS_CREDIT = {
+  [CheckStatus.PASS]: 1,
+  [CheckStatus.WARN]: 0.5,
+  [CheckStatus.FAIL]: 0,
+};
+
+// Headings parsers recognise for the core sections
+const STANDARD_HEADINGS = {
+  summary: { label: "Summary", pattern: /summary|profile|objective/i },
+  experience: {
+    label: "Experience",
+    pattern: /experience|employment|work history/i,
+  },
+  education: { label: "Education", pattern: /education/i },
+  skills: { label: "Skills", pattern: /skills/i },
+};
+
+// Date formats parsers read reliably: ISO, MM/YYYY, "Mar 2021", "March 2021"
+const PARSEABLE_DATE =
+  /^(\d{4}(-\d{2}(-\d{2})?)?(T[\d:.]+Z?)?|\d{1,2}\/\d{4}|(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.? \d{4}|present|current)$/i;
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Side-by-side minipages at least this wide form columns (narrower ones are
+// e.g. the tech-focused metrics row)
+const MIN_COLUMN_WIDTH = 0.3;
+
+/**
+ * Runs every check against the CV as rendered with a template
+ * @param {Object} cvData - CV data
+ * @param {string} templateId - Template ID
+ * @returns {Object} - { score: 0-100, checks: [{ id, label, status, weight, message, items, section }] }
+ */
+export function checkATSCompatibility(cvData, templateId = "modern") {
+  // The PDF is compiled from this LaTeX, so it is what a parser receives
+  const latex = generateLatex(templateId, cvData);
+  const text = latexToText(latex);
+
+  const checks = [
+    checkContactDetails(cvData, text),
+    checkContactIcons(text, latex),
+    checkColumns(latex),
+    checkHeadings(cvData, latex),
+    checkDates(cvData),
+  ];
+
+  const total = checks.reduce((sum, check) => sum + check.weight, 0);
+  const earned = checks.reduce(
+    (sum, check) => sum + check.weight * STATUS_CREDIT[check.status],
+    0,
+  );
+
+  return { score: Math.round((earned / total) * 100), checks };
+}
+
+// Placeholders for escaped characters while commands and braces are removed
+const LATEX_ESCAPES = [
+  ["\\textbackslash{}", "\\"],
+  ["\\textasciitilde{}", "~"],
+  ["\\textasciicircum{}", "^"],
+  ["\\&", "&"],
+  ["\\%", "%"],
+  ["\\$", "$"],
+  ["\\#", "#"],
+  ["\\_", "_"],
+  ["\\{", "{"],
+  ["\\}", "}"],
+];
+
+// Commands whose arguments are all layout, not text
+const LAYOUT_COMMAND =
+  /\\(?:[vh]space|setlength|addtolength|rule|color|definecolor|fontsize|includegraphics|titlespacing)\*?(?:\[[^\]]*\])?(?:\{[^{}]*\})*/g;
+
+// Commands whose first argument is layout and the rest text
+const LAYOUT_FIRST_ARGUMENT = /\\(?:textcolor|raisebox)\{[^{}]*\}/g;
+
+/**
+ * Extracts the text of a LaTeX document roughly as it reads in the compiled
+ * PDF: commands and markup dropped, environments and line breaks on their
+ * own lines, link targets removed in favour of the link text
+ * @param {string} latex - LaTeX document
+ * @returns {string} - Plain text
+ */
+export function latexToText(latex) {
+  let text = latex.includes("\\begin{document}")
+    ? latex.split("\\begin{document}")[1].split("\\end{document}")[0]
+    : latex;
+
+  text = text.replace(/(?<!\\)%.*$/gm, "");
+  LATEX_ESCAPES.forEach(([escaped], index) => {
+    text = text.split(escaped).join(`\uE000${index}\uE001`);
+  });
+
+  text = text
+    .replace(/\\href\{[^{}]*\}/g, "")
+    .replace(LAYOUT_COMMAND, " ")
+    .replace(LAYOUT_FIRST_ARGUMENT, "")
+    .replace(
+      /\\(?:begin|end)\{[^{}]*\}(?:\[[^\]]*\])?(?:\{(?:[^{}]|\{[^{}]*\})*\})*/g,
+      "\n",
+    )
+    .replace(/\\\\(?:\[[^\]]*\])?|\\(?:newline|par|item)\b/g, "\n")
+    .replace(/\\textbullet\b/g, "•")
+    .replace(/\\[a-zA-Z@]+\*?(?:\[[^\]]*\])?|\\[ ,;:!]/g, " ")
+    // Unescaped & only separates table columns
+    .replace(/&/g, " ")
+    .replace(/[{}]/g, "")
+    .replace(/~/g, " ")
+    .replace(/\uE000(\d+)\uE001/g, (_, index) => LATEX_ESCAPES[index][1]);
+
+  return text
+    .replace(/[ \t]+/g, " ")
+    .replace(/\s*\n\s*/g, "\n")
+    .trim();
+}
+
+/**
+ * Name, a valid email, location and a profile link, readable as text
+ */
+function checkContactDetails(cvData, text) {
+  const { name, email, location, github, website } = cvData.personalInfo || {};
+  const missing = [];
+
+  if (!name?.trim()) missing.push("Name");
+  if (!email?.trim()) {
+    missing.push("Email");
+  } else if (!EMAIL.test(email.trim())) {
+    missing.push(`Email "${email}" is not a valid address`);
+  } else if (!text.includes(email.trim())) {
+    missing.push("Email is not readable as text");
+  }
+  if (!location?.trim()) missing.push("Location");
+  if (!github && !website) missing.push("GitHub or website link");
+
+  const critical = missing.some(
+    (item) => item === "Name" || item.startsWith("Email"),
+  );
+
+  return {
+    id: "contact",
+    label: "Contact details",
+    weight: 25,
+    status:
+      missing.length === 0
+        ? CheckStatus.PASS
+        : critical
+          ? CheckStatus.FAIL
+          : CheckStatus.WARN,
+    message:
+      missing.length === 0
+        ? "Name, email, location and a profile link are all present."
+        : "Parsers fill the candidate record from these fields; recruiters can't reach you without them.",
+    items: missing,
+    section: "personal",
+  };
+}
+
+/**
+ * Emoji or icon-font glyphs in front of contact details
+ */
+function checkContactIcons(text, latex) {
+  const emoji = [...new Set(text.match(/\p{Extended_Pictographic}/gu) || [])];
+  const iconCommands = [...new Set(latex.match(/\\fa[A-Z]\w*/g) || [])];
+  const items = [
+    ...(emoji.length > 0 ? [`Emoji in the text: ${emoji.join(" ")}`] : []),
+    ...(iconCommands.length > 0
+      ? [`Icon font glyphs in the PDF: ${iconCommands.join(", ")}`]
+      : []),
+  ];
+
+  return {
+    id: "icons",
+    label: "No icons or emoji",
+    weight: 15,
+    status: items.length === 0 ? CheckStatus.PASS : CheckStatus.FAIL,
+    message:
+      items.length === 0
+        ? "Contact details and content are plain text."
+        : "Parsers extract icons as junk characters or drop them, which can break the contact fields that follow. Label fields with words instead.",
+    items,
+    section: null,
+  };
+}
+
+/**
+ * Multi-column layouts, which parsers read straight across
+ */
+function checkColumns(latex) {
+  const columns = [
+    ...latex.matchAll(
+      /\\begin\{minipage\}(?:\[[^\]]*\])?\{([\d.]+)\\(?:text|line|column)width\}/g,
+    ),
+  ].filter(([, width]) => parseFloat(width) >= MIN_COLUMN_WIDTH);
+  const multicol = /\\begin\{(multicols|paracol)\}/.test(latex);
+  const isMultiColumn = columns.length > 1 || multicol;
+
+  return {
+    id: "columns",
+    label: "Single-column layout",
+    weight: 20,
+    status: isMultiColumn ? CheckStatus.FAIL : CheckStatus.PASS,
+    message: isMultiColumn
+      ? "This template puts sections side by side. Many parsers read each line straight across both columns, mixing unrelated sections together. Choose a single-column template such as Modern or Minimal when applying through an ATS."
+      : "Sections follow one another in a single column.",
+    items: [],
+    section: null,
+  };
+}
+
+/**
+ * Standard headings for the summary, experience, education and skills
+ */
+function checkHeadings(cvData, latex) {
+  // \section{...}, or a line of bold text as in the Minimal template
+  const headings = [
+    ...latex.matchAll(
+      /\\section\*?\{((?:[^{}]|\{[^{}]*\})*)\}|^\\textbf\{([^{}]+)\}$/gm,
+    ),
+  ].map(([, section, bold]) =>
+    (section ?? bold)
+      .replace(/\\color\{[^}]*\}/g, "")
+      .replace(/\\&/g, "&")
+      .replace(/[{}]/g, "")
+      .trim(),
+  );
+
+  const hasContent = {
+    summary: Boolean(cvData.summary?.trim()),
+    experience: (cvData.experience || []).length > 0,
+    education: (cvData.education || []).length > 0,
+    skills: Object.values(cvData.skills || {}).some(
+      (list) => Array.isArray(list) && list.length > 0,
+    ),
+  };
+
+  const items = [];
+  let missingSkills = false;
+  // Editor tab to add the first missing section
+  let section = null;
+  for (const [id, { label, pattern }] of Object.entries(STANDARD_HEADINGS)) {
+    if (headings.some((heading) => pattern.test(heading))) continue;
+
+    if (hasContent[id] && isSectionVisible(cvData, id)) {
+      items.push(`${label} is under a heading parsers may not recognise`);
+    } else {
+      items.push(`No ${label} section`);
+      section = section || id;
+      if (id === "skills") missingSkills = true;
+    }
+  }
+
+  return {
+    id: "headings",
+    label: "Standard section headings",
+    weight: 20,
+    status:
+      items.length === 0
+        ? CheckStatus.PASS
+        : missingSkills
+          ? CheckStatus.FAIL
+          : CheckStatus.WARN,
+    message:
+      items.length === 0
+        ? "Summary, Experience, Education and Skills use headings parsers look for."
+        : `Parsers file content by heading. Found: ${
+            headings.join(", ") || "none"
+          }.`,
+    items,
+    section,
+  };
+}
+
+/**
+ * Dates on experience, education and dated entries
+ */
+function checkDates(cvData) {
+  const items = [];
+  // Editor tab of the first problem, for the "Fix" link
+  let section = null;
+  const flag = (key, item) => {
+    items.push(item);
+    section = section || key;
+  };
+  const check = (key, owner, date) => {
+    if (date && !PARSEABLE_DATE.test(String(date).trim())) {
+      flag(key, `${owner}: "${date}"`);
+    }
+  };
+
+  for (const job of cvData.experience || []) {
+    const owner = job.company || job.role || "Experience entry";
+    if (!job.startDate) flag("experience", `${owner}: no start date`);
+    check("experience", owner, job.startDate);
+    check("experience", owner, job.endDate);
+  }
+  for (const entry of cvData.education || []) {
+    const owner = entry.institution || "Education entry";
+    check("education", owner, entry.startDate);
+    check("education", owner, entry.endDate);
+  }
+  for (const key of ["certifications", "talks", "awards"]) {
+    for (const entry of cvData[key] || []) {
+      check(key, entry.name || entry.title || key, entry.date);
+    }
+  }
+
+  return {
+    id: "dates",
+    label: "Parseable dates",
+    weight: 20,
+    status: items.length === 0 ? CheckStatus.PASS : CheckStatus.WARN,
+    message:
+      items.length === 0
+        ? "Every date uses a format parsers read (e.g. 2021-03)."
+        : "Parsers compute years of experience from dates; use YYYY-MM so these are counted.",
+    items,
+    section,
+  };
+}
@@ -0,0 +1,248 @@
+/**
+ * BibTeX Import
+ * Parses .bib files (e.g. exported from Google Scholar, DBLP or Zotero) into
+ * CV publication entries
+ */
+
+import { PUBLICATION_TYPES } from "../templates/publications.js";
+
+// BibTeX entry types folded into the types the editor offers
+const TYPE_ALIASES = {
+  conference: "inproceedings",
+  incollection: "inproceedings",
+  inbook: "book",
+  thesis: "phdthesis",
+};
+
+// Field holding the venue for each entry type
+const VENUE_FIELDS = ["journal", "booktitle", "school", "publisher"];
+
+// Accent commands mapped to Unicode combining marks
+const ACCENTS = {
+  '"': "\u0308",
+  "'": "\u0301",
+  "`": "\u0300",
+  "^": "\u0302",
+  "~": "\u0303",
+  "=": "\u0304",
+  ".": "\u0307",
+  c: "\u0327",
+  v: "\u030C",
+  u: "\u0306",
+  H: "\u030B",
+  k: "\u0328",
+};
+
+const SYMBOLS = {
+  ss: "ß",
+  o: "ø",
+  O: "Ø",
+  ae: "æ",
+  AE: "Æ",
+  aa: "å",
+  AA: "Å",
+  l: "ł",
+  L: "Ł",
+  i: "ı",
+};
+
+/**
+ * Parses BibTeX into publication entries, newest first
+ * @param {string} text - BibTeX source
+ * @returns {Array} - Publications
+ */
+export function parseBibtex(text) {
+  const macros = {};
+  const publications = [];
+
+  for (const { type, body } of readEntries(text)) {
+    if (type === "comment" || type === "preamble") continue;
+
+    if (type === "string") {
+      Object.assign(macros, readFields(body, macros));
+      continue;
+    }
+
+    // Skip the citation key
+    const comma = body.indexOf(",");
+    if (comma === -1) continue;
+    const fields = readFields(body.slice(comma + 1), macros);
+
+    const entryType = TYPE_ALIASES[type] || type;
+    publications.push({
+      type: entryType in PUBLICATION_TYPES ? entryType : "misc",
+      title: cleanLatex(fields.title || ""),
+      authors: splitAuthors(fields.author || fields.editor || ""),
+      venue: cleanLatex(
+        fields[VENUE_FIELDS.find((field) => fields[field])] ||
+          fields.howpublished ||
+          "",
+      ),
+      year: cleanLatex(fields.year || fields.date?.slice(0, 4) || ""),
+      volume: cleanLatex(fields.volume || ""),
+      number: cleanLatex(fields.number || ""),
+      pages: cleanLatex(fields.pages || ""),
+      doi: cleanLatex(fields.doi || ""),
+      url: fields.url || "",
+    });
+  }
+
+  if (publications.length === 0) {
+    throw new Error("No BibTeX entries found");
+  }
+
+  return publications.sort(
+    (a, b) => (parseInt(b.year) || 0) - (parseInt(a.year) || 0),
+  );
+}
+
+/**
+ * Splits the source into @type{...} / @type(...) entries
+ */
+function readEntries(text) {
+  const entries = [];
+  let index = text.indexOf("@");
+
+  while (index !== -1) {
+    const header = text.slice(index).match(/^@\s*(\w+)\s*([{(])/);
+    if (!header) {
+      index = text.indexOf("@", index + 1);
+      continue;
+    }
+
+    const open = index + header[0].length - 1;
+    const close = findClosing(text, open, header[2] === "{" ? "}" : ")");
+    if (close === -1) break;
+
+    entries.push({
+      type: header[1].toLowerCase(),
+      body: text.slice(open + 1, close),
+    });
+    index = text.indexOf("@", close + 1);
+  }
+
+  return entries;
+}
+
+/**
+ * Finds the delimiter closing the one at `open`, skipping nested braces
+ */
+function findClosing(text, open, closer) {
+  let depth = 0;
+
+  for (let i = open + 1; i < text.length; i++) {
+    const char = text[i];
+    if (char === "\\") {
+      i++;
+    } else if (char === "{") {
+      depth++;
+    } else if (char === "}" && depth > 0) {
+      depth--;
+    } else if (char === closer && depth === 0) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Reads `name = value` pairs; values may be {braced}, "quoted", numbers or
+ * @string macros joined with #
+ */
+function readFields(body, macros) {
+  const fields = {};
+  const pattern = /\s*,?\s*([\w.:-]+)\s*=\s*/y;
+  let index = 0;
+
+  while (index < body.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(body);
+    if (!match) break;
+
+    let value = "";
+    index = pattern.lastIndex;
+
+    while (index < body.length) {
+      const char = body[index];
+
+      if (char === "{") {
+        const close = findClosing(body, index, "}");
+        if (close === -1) return fields;
+        value += body.slice(index + 1, close);
+        index = close + 1;
+      } else if (char === '"') {
+        const close = findClosing(body, index, '"');
+        if (close === -1) return fields;
+        value += body.slice(index + 1, close);
+        index = close + 1;
+      } else {
+        const token = body.slice(index).match(/^[^\s,#}]+/)?.[0] || "";
+        value += macros[token.toLowerCase()] ?? token;
+        index += token.length;
+      }
+
+      const next = body.slice(index).match(/^\s*#\s*/);
+      if (!next) break;
+      index += next[0].length;
+    }
+
+    fields[match[1].toLowerCase()] = value.replace(/\s+/g, " ").trim();
+  }
+
+  return fields;
+}
+
+/**
+ * Splits an author list on top-level "and", turning "Last, First" into
+ * "First Last"
+ */
+function splitAuthors(value) {
+  const authors = [];
+  let depth = 0;
+  let start = 0;
+
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === "{") depth++;
+    if (value[i] === "}") depth--;
+    if (depth === 0 && /^ and /i.test(value.slice(i, i + 5))) {
+      authors.push(value.slice(start, i));
+      start = i + 5;
+    }
+  }
+  authors.push(value.slice(start));
+
+  return authors
+    .map((author) => {
+      const [last, second, first] = author
+        .split(",")
+        .map((part) => part.trim());
+      // "Last, Jr, First" keeps the suffix at the end
+      const name = [first ?? second, last, first !== undefined ? second : ""]
+        .filter(Boolean)
+        .join(" ");
+      return cleanLatex(name);
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Converts LaTeX accents, escapes and grouping braces to plain Unicode text
+ */
+function cleanLatex(value) {
+  return String(value)
+    .replace(/\\(ss|ae|AE|aa|AA|o|O|l|L|i)\b/g, (_, symbol) => SYMBOLS[symbol])
+    .replace(
+      /\\([cvuHk])\s*\{([A-Za-zı])\}|\\([cvuHk])\s+([A-Za-z])|\\(["'`^~=.])\s*\{?([A-Za-zı])\}?/g,
+      (_, a1, c1, a2, c2, a3, c3) => (c1 || c2 || c3) + ACCENTS[a1 || a2 || a3],
+    )
+    .replace(/\\([&%$#_])/g, "$1")
+    .replace(/---/g, "—")
+    .replace(/--/g, "–")
+    .replace(/~/g, " ")
+    .replace(/\\\w+\s*/g, "")
+    .replace(/[{}]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .normalize("NFC");
+}
@@ -0,0 +1,452 @@
+/**
+ * DOCX Exporter
+ * Builds a Word document from CV data for recruiters and HR systems that
+ * only accept .docx. Uses real headings, bullet lists and hyperlinks so ATS
+ * parsers can read the structure; the contribution heatmap is left out.
+ */
+
+import {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  ExternalHyperlink,
+  HeadingLevel,
+  Packer,
+  Paragraph,
+  TextRun,
+} from "docx";
+import { formatDate, formatDateRange } from "../templates/dateRange.js";
+import { getTemplate } from "../templates/index.js";
+import { getSectionOrder } from "../templates/layout.js";
+import { PLAIN_MARKUP, formatPublication } from "../templates/publications.js";
+
+/**
+ * Word styling per template, approximating each LaTeX template's look
+ * Font sizes are in half-points.
+ */
+const DOCX_STYLES = {
+  modern: {
+    font: "Cambria",
+    headingFont: "Arial",
+    headingColor: "003366",
+    accentColor: "4682B4",
+    ruleColor: "4682B4",
+    nameSize: 48,
+    alignment: AlignmentType.CENTER,
+  },
+  minimal: {
+    font: "Calibri",
+    headingFont: "Calibri",
+    headingColor: "000000",
+    accentColor: "000000",
+    ruleColor: "BFBFBF",
+    nameSize: 40,
+    alignment: AlignmentType.CENTER,
+  },
+  academic: {
+    font: "Times New Roman",
+    headingFont: "Times New Roman",
+    headingColor: "000000",
+    accentColor: "000000",
+    ruleColor: "000000",
+    nameSize: 40,
+    alignment: AlignmentType.CENTER,
+  },
+  "tech-focused": {
+    font: "Calibri",
+    headingFont: "Calibri",
+    headingColor: "0366D6",
+    accentColor: "28A745",
+    ruleColor: "E1E4E8",
+    nameSize: 52,
+    alignment: AlignmentType.LEFT,
+  },
+};
+
+/**
+ * Generates a .docx file for the CV
+ * @param {Object} cvData - CV data
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Blob>} - Word document
+ */
+export async function generateDocx(cvData, templateId = "modern") {
+  const style = DOCX_STYLES[templateId] || DOCX_STYLES.modern;
+  const { summary, skills, projects, contributions, statistics } = cvData;
+
+  // Sections in the CV's layout order, defaulting to the template's order
+  const sections = {
+    summary: section(
+      "Professional Summary",
+      summary ? [new Paragraph(summary)] : [],
+    ),
+    experience: section(
+      "Experience",
+      buildExperience(cvData.experience, style),
+    ),
+    skills: section("Technical Skills", buildSkills(skills)),
+    projects: section("Projects", buildProjects(projects, style)),
+    education: section("Education", buildEducation(cvData.education, style)),
+    publications: section(
+      "Publications",
+      (cvData.publications || []).map(
+        (publication) =>
+          new Paragraph({
+            text: formatPublication(publication, PLAIN_MARKUP),
+            bullet: { level: 0 },
+          }),
+      ),
+    ),
+    talks: section(
+      "Talks",
+      buildDatedEntries(
+        (cvData.talks || []).map((talk) => [
+          talk.title,
+          [talk.event, talk.location].filter(Boolean).join(", "),
+          talk.date,
+        ]),
+        style,
+      ),
+    ),
+    certifications: section(
+      "Certifications",
+      buildDatedEntries(
+        (cvData.certifications || []).map((certification) => [
+          certification.name,
+          certification.issuer,
+          certification.date,
+        ]),
+        style,
+      ),
+    ),
+    awards: section(
+      "Awards",
+      buildDatedEntries(
+        (cvData.awards || []).map((award) => [
+          award.title,
+          [award.issuer, award.description].filter(Boolean).join(": "),
+          award.date,
+        ]),
+        style,
+      ),
+    ),
+    contributions: section(
+      "Open Source Contributions",
+      buildContributions(contributions),
+    ),
+    statistics: statistics?.show
+      ? section("GitHub Statistics", buildStatistics(statistics))
+      : [],
+  };
+
+  const children = [
+    ...buildHeader(cvData.personalInfo, style),
+    ...getSectionOrder(cvData, getTemplate(templateId).sectionOrder).flatMap(
+      (id) => sections[id] || [],
+    ),
+  ];
+
+  const doc = new Document({
+    creator: cvData.personalInfo.name,
+    title: `${cvData.personalInfo.name} - CV`,
+    styles: buildStyles(style),
+    sections: [
+      {
+        properties: {
+          page: {
+            margin: { top: 1000, bottom: 1000, left: 1100, right: 1100 },
+          },
+        },
+        children,
+      },
+    ],
+  });
+
+  return Packer.toBlob(doc);
+}
+
+/**
+ * Maps a template style onto Word's built-in Title/Heading styles
+ */
+function buildStyles(style) {
+  return {
+    default: {
+      document: { run: { font: style.font, size: 21 } },
+      title: {
+        run: {
+          font: style.headingFont,
+          size: style.nameSize,
+          bold: true,
+          color: style.headingColor,
+        },
+        paragraph: { alignment: style.alignment, spacing: { after: 60 } },
+      },
+      heading1: {
+        run: {
+          font: style.headingFont,
+          size: 26,
+          bold: true,
+          color: style.headingColor,
+        },
+        paragraph: {
+          spacing: { before: 240, after: 100 },
+          border: {
+            bottom: {
+              style: BorderStyle.SINGLE,
+              size: 6,
+              space: 2,
+              color: style.ruleColor,
+            },
+          },
+        },
+      },
+      heading2: {
+        run: {
+          font: style.headingFont,
+          size: 22,
+          bold: true,
+          color: "333333",
+        },
+        paragraph: { spacing: { before: 140, after: 40 } },
+      },
+      hyperlink: {
+        run: { color: style.accentColor, underline: {} },
+      },
+    },
+  };
+}
+
+/**
+ * Name, job title and a contact line with hyperlinks
+ */
+function buildHeader(personalInfo, style) {
+  const contacts = [
+    personalInfo.location ? new TextRun(personalInfo.location) : null,
+    personalInfo.email
+      ? link(`mailto:${personalInfo.email}`, personalInfo.email)
+      : null,
+    personalInfo.github ? link(personalInfo.github, personalInfo.github) : null,
+    personalInfo.website
+      ? link(personalInfo.website, personalInfo.website)
+      : null,
+  ].filter(Boolean);
+
+  return [
+    new Paragraph({
+      heading: HeadingLevel.TITLE,
+      children: [new TextRun(personalInfo.name || "")],
+    }),
+    new Paragraph({
+      alignment: style.alignment,
+      children: [
+        new TextRun({
+          text: personalInfo.title || "Software Developer",
+          size: 24,
+          color: style.accentColor,
+        }),
+      ],
+    }),
+    new Paragraph({
+      alignment: style.alignment,
+      children: contacts.flatMap((run, index) =>
+        index === 0 ? [run] : [new TextRun("  |  "), run],
+      ),
+    }),
+  ];
+}
+
+/**
+ * One bullet per skill category: "Category: skill, skill"
+ */
+function buildSkills(skills) {
+  return Object.entries(skills || {})
+    .filter(([_, skillList]) => Array.isArray(skillList) && skillList.length)
+    .map(
+      ([category, skillList]) =>
+        new Paragraph({
+          bullet: { level: 0 },
+          children: [
+            new TextRun({ text: `${category}: `, bold: true }),
+            new TextRun(
+              skillList
+                .map((s) => (typeof s === "string" ? s : s.name))
+                .join(", "),
+            ),
+          ],
+        }),
+    );
+}
+
+/**
+ * Heading 2 for the role and employer, a dates line, then bullets
+ */
+function buildExperience(experience, style) {
+  return (experience || []).flatMap((job) => [
+    new Paragraph({
+      heading: HeadingLevel.HEADING_2,
+      children: [
+        new TextRun(job.role || ""),
+        ...(job.company
+          ? [new TextRun({ text: `, ${job.company}`, bold: false })]
+          : []),
+      ],
+    }),
+    ...dateLine(
+      [formatDateRange(job.startDate, job.endDate), job.location],
+      style,
+    ),
+    ...(job.summary ? [new Paragraph(job.summary)] : []),
+    ...(job.highlights || [])
+      .filter(Boolean)
+      .map(
+        (highlight) => new Paragraph({ text: highlight, bullet: { level: 0 } }),
+      ),
+  ]);
+}
+
+function buildEducation(education, style) {
+  return (education || []).flatMap((entry) => [
+    new Paragraph({
+      heading: HeadingLevel.HEADING_2,
+      children: [new TextRun(entry.institution || "")],
+    }),
+    ...([entry.degree, entry.field].some(Boolean)
+      ? [new Paragraph([entry.degree, entry.field].filter(Boolean).join(", "))]
+      : []),
+    ...dateLine(
+      [
+        formatDateRange(entry.startDate, entry.endDate),
+        entry.gpa && `GPA ${entry.gpa}`,
+        entry.honors,
+      ],
+      style,
+    ),
+  ]);
+}
+
+/**
+ * One bullet per [title, details, date] row: bold title, details, dim date
+ */
+function buildDatedEntries(entries, style) {
+  return entries.map(
+    ([title, details, date]) =>
+      new Paragraph({
+        bullet: { level: 0 },
+        children: [
+          new TextRun({ text: title || "", bold: true }),
+          ...(details ? [new TextRun(`, ${details}`)] : []),
+          ...(date
+            ? [
+                new TextRun({
+                  text: `  ${formatDate(date)}`,
+                  italics: true,
+                  size: 19,
+                  color: style.accentColor,
+                }),
+              ]
+            : []),
+        ],
+      }),
+  );
+}
+
+/**
+ * Small italic line such as "Mar 2021 – Present  |  Berlin"
+ */
+function dateLine(parts, style) {
+  const text = parts.filter(Boolean).join("  |  ");
+  if (!text) return [];
+
+  return [
+    new Paragraph({
+      children: [
+        new TextRun({
+          text,
+          italics: true,
+          size: 19,
+          color: style.accentColor,
+        }),
+      ],
+    }),
+  ];
+}
+
+function buildProjects(projects, style) {
+  return (projects || []).flatMap((project) => [
+    new Paragraph({
+      heading: HeadingLevel.HEADING_2,
+      children: [
+        project.url
+          ? link(project.url, project.name)
+          : new TextRun(project.name),
+        ...(project.technologies?.length
+          ? [
+              new TextRun({
+                text: `  ${project.technologies.join(", ")}`,
+                bold: false,
+                italics: true,
+                size: 19,
+                color: style.accentColor,
+              }),
+            ]
+          : []),
+      ],
+    }),
+    ...(project.description ? [new Paragraph(project.description)] : []),
+    ...(project.highlights || []).map(
+      (highlight) => new Paragraph({ text: highlight, bullet: { level: 0 } }),
+    ),
+  ]);
+}
+
+function buildContributions(contributions) {
+  return (contributions || []).slice(0, 5).flatMap((contribution) => [
+    new Paragraph({
+      heading: HeadingLevel.HEADING_2,
+      children: [
+        link(contribution.url, contribution.repository),
+        new TextRun({
+          text: `  ${contribution.pullRequestCount} merged PR${
+            contribution.pullRequestCount !== 1 ? "s" : ""
+          }`,
+          bold: false,
+          size: 19,
+        }),
+      ],
+    }),
+    ...contribution.pullRequests.slice(0, 3).map(
+      (pr) =>
+        new Paragraph({
+          bullet: { level: 0 },
+          children: [pr.url ? link(pr.url, pr.title) : new TextRun(pr.title)],
+        }),
+    ),
+  ]);
+}
+
+function buildStatistics(statistics) {
+  return [
+    `${statistics.originalRepos} original repositories`,
+    `${statistics.totalStars} stars`,
+    `${statistics.languageCount} languages`,
+    `${statistics.yearsActive}+ years active`,
+  ].map((text) => new Paragraph({ text, bullet: { level: 0 } }));
+}
+
+/**
+ * Heading 1 followed by its content, or nothing when the section is empty
+ */
+function section(title, content) {
+  if (content.length === 0) return [];
+
+  return [
+    new Paragraph({ text: title, heading: HeadingLevel.HEADING_1 }),
+    ...content,
+  ];
+}
+
+function link(url, text) {
+  return new ExternalHyperlink({
+    link: url,
+    children: [new TextRun({ text, style: "Hyperlink" })],
+  });
+}
@@ -0,0 +1,201 @@
+/**
+ * Draft Store
+ * Persists CV drafts in IndexedDB so work survives a page refresh. Each draft
+ * is a named version ("Backend roles", "ML roles", ...) holding the analysis,
+ * CV data, template, style and target job it was saved with.
+ */
+
+const DB_NAME = "github-cv";
+const DB_VERSION = 1;
+const STORE_NAME = "drafts";
+
+// Delay before an edit is written, so typing doesn't hit the database per key
+const AUTOSAVE_DELAY = 800;
+
+let databasePromise = null;
+
+/**
+ * Opens (and on first use creates) the drafts database
+ * @returns {Promise<IDBDatabase>} - Open database
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("Drafts can't be saved in this browser"));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: "id" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a retry after a failed open (e.g. private browsing)
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+
+  return databasePromise;
+}
+
+/**
+ * Runs a single request against the drafts store
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} operation - Receives the object store, returns a request
+ * @returns {Promise<any>} - Request result, once the transaction completes
+ */
+async function withStore(mode, operation) {
+  const database = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Lists saved drafts, most recently edited first
+ * @returns {Promise<Array>} - Draft summaries without analysis or CV data
+ */
+export async function listDrafts() {
+  const drafts = await withStore("readonly", (store) => store.getAll());
+
+  return drafts
+    .map(({ id, name, username, templateId, job, createdAt, updatedAt }) => ({
+      id,
+      name,
+      username,
+      templateId,
+      jobTitle: job?.title || "",
+      createdAt,
+      updatedAt,
+    }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Loads a draft
+ * @param {string} id - Draft ID
+ * @returns {Promise<Object>} - Full draft
+ */
+export async function getDraft(id) {
+  const draft = await withStore("readonly", (store) => store.get(id));
+
+  if (!draft) {
+    throw new Error("This draft no longer exists");
+  }
+
+  return draft;
+}
+
+/**
+ * Creates a new draft
+ * @param {Object} draft - { name, analysis, cvData, templateId, cvStyle, selectedRepos }
+ * @returns {Promise<Object>} - Saved draft, with its ID
+ */
+export async function createDraft(draft) {
+  const now = Date.now();
+  const record = {
+    ...draft,
+    id: crypto.randomUUID(),
+    username: draft.analysis?.profile?.login || "",
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await withStore("readwrite", (store) => store.add(record));
+  return record;
+}
+
+/**
+ * Saves changes to an existing draft
+ * @param {string} id - Draft ID
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object>} - Saved draft
+ */
+export async function saveDraft(id, changes) {
+  const record = {
+    ...(await getDraft(id)),
+    ...changes,
+    id,
+    updatedAt: Date.now(),
+  };
+
+  await withStore("readwrite", (store) => store.put(record));
+  return record;
+}
+
+/**
+ * Copies a draft under a new name
+ * @param {string} id - Draft ID
+ * @param {string} name - Name for the copy (defaults to "<name> (copy)")
+ * @returns {Promise<Object>} - New draft
+ */
+export async function duplicateDraft(id, name) {
+  const draft = await getDraft(id);
+
+  // createDraft assigns a fresh ID and timestamps
+  return createDraft({ ...draft, name: name || `${draft.name} (copy)` });
+}
+
+/**
+ * Deletes a draft
+ * @param {string} id - Draft ID
+ * @returns {Promise<void>}
+ */
+export async function deleteDraft(id) {
+  await withStore("readwrite", (store) => store.delete(id));
+}
+
+/**
+ * Creates a debounced saver for the open draft
+ * Only the latest scheduled change is written; flush() writes it immediately,
+ * e.g. before switching drafts or when the page is hidden.
+ * @param {Function} onStatus - Called with "saving", "saved" or an Error
+ * @returns {Object} - { schedule(id, changes), flush(), cancel() }
+ */
+export function createAutosaver(onStatus = () => {}) {
+  let pending = null;
+  let timer = null;
+
+  const flush = async () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!pending) return;
+
+    const { id, changes } = pending;
+    pending = null;
+    onStatus("saving");
+
+    try {
+      await saveDraft(id, changes);
+      onStatus("saved");
+    } catch (error) {
+      console.error("Draft autosave error:", error);
+      onStatus(error);
+    }
+  };
+
+  return {
+    schedule(id, changes) {
+      pending = { id, changes };
+      clearTimeout(timer);
+      timer = setTimeout(flush, AUTOSAVE_DELAY);
+    },
+    flush,
+    cancel() {
+      clearTimeout(timer);
+      timer = null;
+      pending = null;
+    },
+  };
+}
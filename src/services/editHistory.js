@@ -0,0 +1,109 @@
+/**
+ * Edit History
+ * Undo/redo stack of CV snapshots ({ cvData, templateId }). Each step is
+ * labelled for the undo/redo buttons; consecutive coalescing steps with the
+ * same label merge, so a typed sentence undoes in one step rather than per key.
+ */
+
+// Oldest steps are dropped past this many
+const HISTORY_LIMIT = 100;
+
+// Coalescing steps further apart than this start a new undo step
+const COALESCE_WINDOW = 1000;
+
+/**
+ * Creates a history with nothing to undo
+ * @param {Object} present - Current snapshot
+ * @returns {Object} - History
+ */
+export function createHistory(present) {
+  return { past: [], present, future: [], lastChangeAt: 0 };
+}
+
+/**
+ * Records a change, clearing the redo stack
+ * @param {Object} history - History
+ * @param {Object} present - New snapshot
+ * @param {string} label - What changed, e.g. "edit" or "template change"
+ * @param {Object} options - { coalesce: merge with a recent step of the same label }
+ * @returns {Object} - Updated history
+ */
+export function recordChange(
+  history,
+  present,
+  label,
+  { coalesce = false } = {},
+) {
+  const unchanged = Object.keys(present).every(
+    (key) => present[key] === history.present[key],
+  );
+  if (unchanged) return history;
+
+  const now = Date.now();
+  const last = history.past[history.past.length - 1];
+  if (
+    coalesce &&
+    last?.label === label &&
+    now - history.lastChangeAt < COALESCE_WINDOW
+  ) {
+    return { ...history, present, future: [], lastChangeAt: now };
+  }
+
+  return {
+    past: [...history.past, { snapshot: history.present, label }].slice(
+      -HISTORY_LIMIT,
+    ),
+    present,
+    future: [],
+    lastChangeAt: coalesce ? now : 0,
+  };
+}
+
+/**
+ * Steps back to the previous snapshot
+ * @param {Object} history - History
+ * @returns {Object} - Updated history
+ */
+export function undo(history) {
+  const last = history.past[history.past.length - 1];
+  if (!last) return history;
+
+  return {
+    past: history.past.slice(0, -1),
+    present: last.snapshot,
+    future: [
+      { snapshot: history.present, label: last.label },
+      ...history.future,
+    ],
+    lastChangeAt: 0,
+  };
+}
+
+/**
+ * Re-applies the last undone snapshot
+ * @param {Object} history - History
+ * @returns {Object} - Updated history
+ */
+export function redo(history) {
+  const [next, ...future] = history.future;
+  if (!next) return history;
+
+  return {
+    past: [...history.past, { snapshot: history.present, label: next.label }],
+    present: next.snapshot,
+    future,
+    lastChangeAt: 0,
+  };
+}
+
+/**
+ * Labels of the steps undo and redo would apply
+ * @param {Object} history - History
+ * @returns {Object} - { undo, redo }, null when there is nothing to apply
+ */
+export function getHistoryLabels(history) {
+  return {
+    undo: history.past[history.past.length - 1]?.label || null,
+    redo: history.future[0]?.label || null,
+  };
+}
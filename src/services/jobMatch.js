@@ -0,0 +1,170 @@
+/**
+ * Job Matching
+ * Scores CV content against the keywords extracted from a job description:
+ * project ranking, skill ordering and keyword coverage. Keywords are
+ * { term, aliases, required }, as returned by extractJobKeywords.
+ */
+
+import { renderCVToPlainText } from "./textRenderer.js";
+
+// Required keywords count double towards rankings and coverage
+const REQUIRED_WEIGHT = 2;
+const PREFERRED_WEIGHT = 1;
+
+// Characters that continue a term, so "Java" doesn't match "JavaScript" and
+// "C" doesn't match "C++" or "C#"
+const TERM_CHARACTER = "[\\p{L}\\p{N}+#]";
+
+/**
+ * Checks whether text mentions a keyword or one of its aliases
+ * @param {string} text - Text to search
+ * @param {Object} keyword - { term, aliases }
+ * @returns {boolean} - True if any form appears as a whole term
+ */
+export function matchesKeyword(text, keyword) {
+  if (!text) return false;
+
+  return [keyword.term, ...(keyword.aliases || [])]
+    .filter(Boolean)
+    .some((form) => {
+      const escaped = form.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      return new RegExp(
+        `(?<!${TERM_CHARACTER})${escaped}(?!${TERM_CHARACTER})`,
+        "iu",
+      ).test(text);
+    });
+}
+
+/**
+ * Weighted number of keywords the text mentions
+ * @param {string} text - Text to search
+ * @param {Array} keywords - Job keywords
+ * @returns {number} - Match score
+ */
+function scoreText(text, keywords) {
+  return keywords.reduce(
+    (score, keyword) =>
+      matchesKeyword(text, keyword)
+        ? score + (keyword.required ? REQUIRED_WEIGHT : PREFERRED_WEIGHT)
+        : score,
+    0,
+  );
+}
+
+/**
+ * Text describing a project: its CV entry plus the repository's language,
+ * topics and README
+ * @param {Object} project - CV project
+ * @param {Array} repositories - Analyzed repositories
+ * @returns {string} - Searchable text
+ */
+export function getProjectText(project, repositories = []) {
+  const repo = repositories.find(
+    (r) => r.url === project.url || r.name === project.repoName,
+  );
+
+  return [
+    project.name,
+    project.description,
+    ...(project.technologies || []),
+    ...(project.highlights || []),
+    repo?.description,
+    repo?.language,
+    ...(repo?.topics || []),
+    repo?.readme,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Orders projects by how well they match the job, best first
+ * Projects with equal scores keep their current order.
+ * @param {Array} projects - CV projects
+ * @param {Array} keywords - Job keywords
+ * @param {Array} repositories - Analyzed repositories
+ * @returns {Array} - Reordered projects
+ */
+export function rankProjects(projects, keywords, repositories = []) {
+  return projects
+    .map((project, index) => ({
+      project,
+      index,
+      score: scoreText(getProjectText(project, repositories), keywords),
+    }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ project }) => project);
+}
+
+/**
+ * Moves skills the job asks for to the front of their category, and
+ * categories with the most matches to the top
+ * @param {Object} skills - Skills by category
+ * @param {Array} keywords - Job keywords
+ * @returns {Object} - Reordered skills
+ */
+export function orderSkills(skills, keywords) {
+  const categories = Object.entries(skills || {}).map(
+    ([category, names], index) => {
+      // Like the templates, accept skill names or { name } objects
+      const scored = (Array.isArray(names) ? names : []).map(
+        (name, position) => ({
+          name,
+          position,
+          score: scoreText(
+            typeof name === "string" ? name : name.name,
+            keywords,
+          ),
+        }),
+      );
+      scored.sort((a, b) => b.score - a.score || a.position - b.position);
+
+      return {
+        category,
+        index,
+        names: scored.map(({ name }) => name),
+        score: scored.reduce((total, { score }) => total + score, 0),
+      };
+    },
+  );
+
+  categories.sort((a, b) => b.score - a.score || a.index - b.index);
+  return Object.fromEntries(
+    categories.map(({ category, names }) => [category, names]),
+  );
+}
+
+/**
+ * Measures how many of the job's keywords the CV mentions
+ * @param {Object} cvData - CV data
+ * @param {Array} keywords - Job keywords
+ * @returns {Object} - { score: 0-100, matched: [keyword], missing: [keyword] }
+ */
+export function getKeywordCoverage(cvData, keywords) {
+  const text = renderCVToPlainText(cvData);
+  const matched = [];
+  const missing = [];
+  let total = 0;
+  let found = 0;
+
+  for (const keyword of keywords) {
+    const weight = keyword.required ? REQUIRED_WEIGHT : PREFERRED_WEIGHT;
+    total += weight;
+
+    if (matchesKeyword(text, keyword)) {
+      matched.push(keyword);
+      found += weight;
+    } else {
+      missing.push(keyword);
+    }
+  }
+
+  // Required terms are the most important gaps to close
+  missing.sort((a, b) => Number(b.required) - Number(a.required));
+
+  return {
+    score: total > 0 ? Math.round((found / total) * 100) : 0,
+    matched,
+    missing,
+  };
+}
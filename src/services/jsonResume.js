@@ -0,0 +1,323 @@
+/**
+ * JSON Resume Mapper
+ * Converts between cvData and the JSON Resume schema (https://jsonresume.org)
+ *
+ * cvData keeps skills grouped by category; JSON Resume skills are one entry
+ * per category with the skill names as keywords. Education honors have no
+ * schema field and travel as an extra `honors` property, which the schema
+ * allows. Talks and publication authors are not exported.
+ */
+
+const SCHEMA_URL =
+  "https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json";
+
+/**
+ * Converts CV data to a JSON Resume document
+ * @param {Object} cvData - CV data
+ * @returns {Object} - JSON Resume
+ */
+export function cvToJsonResume(cvData) {
+  const { personalInfo = {}, summary, skills, projects } = cvData;
+  const githubUsername = personalInfo.github?.split("/").filter(Boolean).pop();
+
+  return {
+    $schema: SCHEMA_URL,
+    basics: compact({
+      name: personalInfo.name,
+      label: personalInfo.title,
+      email: personalInfo.email,
+      phone: personalInfo.phone,
+      url: personalInfo.website,
+      summary,
+      location: personalInfo.location
+        ? toJsonResumeLocation(personalInfo.location)
+        : undefined,
+      profiles: personalInfo.github
+        ? [
+            {
+              network: "GitHub",
+              username: githubUsername,
+              url: personalInfo.github,
+            },
+          ]
+        : [],
+    }),
+    work: (cvData.experience || []).map((job) =>
+      compact({
+        name: job.company,
+        position: job.role,
+        location: job.location,
+        url: job.url,
+        startDate: toIsoDate(job.startDate),
+        endDate: toIsoDate(job.endDate),
+        summary: job.summary,
+        highlights: job.highlights || [],
+      }),
+    ),
+    education: (cvData.education || []).map((entry) =>
+      compact({
+        institution: entry.institution,
+        area: entry.field,
+        studyType: entry.degree,
+        url: entry.url,
+        startDate: toIsoDate(entry.startDate),
+        endDate: toIsoDate(entry.endDate),
+        score: entry.gpa,
+        honors: entry.honors,
+      }),
+    ),
+    projects: (projects || []).map((project) =>
+      compact({
+        name: project.name,
+        description: project.description,
+        url: project.url,
+        keywords: project.technologies || [],
+        highlights: project.highlights || [],
+        startDate: toIsoDate(project.startDate),
+        endDate: toIsoDate(project.endDate),
+      }),
+    ),
+    certificates: (cvData.certifications || []).map((certification) =>
+      compact({
+        name: certification.name,
+        issuer: certification.issuer,
+        date: toIsoDate(certification.date),
+        url: certification.url,
+      }),
+    ),
+    publications: (cvData.publications || []).map((publication) =>
+      compact({
+        name: publication.title,
+        publisher: publication.venue,
+        releaseDate: toIsoDate(publication.year),
+        url: publication.doi
+          ? `https://doi.org/${publication.doi}`
+          : publication.url,
+      }),
+    ),
+    awards: (cvData.awards || []).map((award) =>
+      compact({
+        title: award.title,
+        awarder: award.issuer,
+        date: toIsoDate(award.date),
+        summary: award.description,
+      }),
+    ),
+    skills: Object.entries(skills || {}).map(([category, skillList]) => ({
+      name: category,
+      keywords: (skillList || []).map((s) =>
+        typeof s === "string" ? s : s.name,
+      ),
+    })),
+    meta: {
+      canonical: SCHEMA_URL,
+      version: "v1.0.0",
+      lastModified: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * Converts a JSON Resume document to CV data
+ * @param {Object} resume - JSON Resume
+ * @returns {Object} - CV data
+ */
+export function jsonResumeToCV(resume) {
+  const basics = resume.basics || {};
+  const github = (basics.profiles || []).find(
+    (profile) => profile.network?.toLowerCase() === "github",
+  );
+
+  return {
+    personalInfo: {
+      name: basics.name || "",
+      title: basics.label || "Software Developer",
+      email: basics.email || "",
+      phone: basics.phone || "",
+      location: fromJsonResumeLocation(basics.location),
+      website: basics.url || "",
+      github:
+        github?.url ||
+        (github?.username ? `https://github.com/${github.username}` : ""),
+    },
+    summary: basics.summary || "",
+    skills: Object.fromEntries(
+      (resume.skills || [])
+        .filter((skill) => skill.name)
+        .map((skill) => [
+          skill.name,
+          (skill.keywords?.length ? skill.keywords : [skill.name]).map(
+            (keyword) => ({
+              name: keyword,
+              level: skill.level || "Proficient",
+            }),
+          ),
+        ]),
+    ),
+    projects: (resume.projects || []).map((project) => ({
+      name: project.name || "",
+      description: project.description || "",
+      url: project.url || "",
+      technologies: project.keywords || [],
+      highlights: project.highlights || [],
+      startDate: project.startDate,
+      endDate: project.endDate,
+    })),
+    experience: jsonResumeExperience(resume),
+    education: jsonResumeEducation(resume),
+    certifications: (resume.certificates || []).map((certificate) => ({
+      name: certificate.name || "",
+      issuer: certificate.issuer || "",
+      date: certificate.date || "",
+      credentialId: "",
+      url: certificate.url || "",
+    })),
+    publications: (resume.publications || []).map((publication) => ({
+      type: "misc",
+      title: publication.name || "",
+      authors: [],
+      venue: publication.publisher || "",
+      year: publication.releaseDate?.slice(0, 4) || "",
+      doi: "",
+      url: publication.url || "",
+    })),
+    talks: [],
+    awards: (resume.awards || []).map((award) => ({
+      title: award.title || "",
+      issuer: award.awarder || "",
+      date: award.date || "",
+      description: award.summary || "",
+    })),
+    contributions: [],
+    contributionCalendar: null,
+    statistics: { show: false },
+    settings: { showContributionGraph: false },
+  };
+}
+
+/**
+ * Fills in a GitHub-generated CV with the parts of a JSON Resume that GitHub
+ * cannot provide: work experience, education, certificates, publications,
+ * awards and missing contact details
+ * @param {Object} cvData - Current CV data
+ * @param {Object} resume - JSON Resume
+ * @returns {Object} - Updated CV data
+ */
+export function mergeJsonResume(cvData, resume) {
+  const imported = jsonResumeToCV(resume);
+  const personalInfo = { ...cvData.personalInfo };
+
+  for (const [field, value] of Object.entries(imported.personalInfo)) {
+    if (!personalInfo[field] && value) {
+      personalInfo[field] = value;
+    }
+  }
+
+  return {
+    ...cvData,
+    personalInfo,
+    summary: cvData.summary || imported.summary,
+    experience: imported.experience.length
+      ? imported.experience
+      : cvData.experience || [],
+    education: imported.education.length
+      ? imported.education
+      : cvData.education || [],
+    certifications: imported.certifications.length
+      ? imported.certifications
+      : cvData.certifications || [],
+    publications: imported.publications.length
+      ? imported.publications
+      : cvData.publications || [],
+    awards: imported.awards.length ? imported.awards : cvData.awards || [],
+  };
+}
+
+/**
+ * Parses an uploaded resume.json
+ * @param {string} text - File contents
+ * @returns {Object} - JSON Resume
+ */
+export function parseJsonResume(text) {
+  let resume;
+  try {
+    resume = JSON.parse(text);
+  } catch {
+    throw new Error("The file is not valid JSON");
+  }
+
+  const isResume =
+    resume &&
+    typeof resume === "object" &&
+    !Array.isArray(resume) &&
+    ["basics", "work", "education", "projects", "skills", "publications"].some(
+      (key) => key in resume,
+    );
+
+  if (!isResume) {
+    throw new Error("The file does not look like a JSON Resume");
+  }
+
+  return resume;
+}
+
+function jsonResumeExperience(resume) {
+  // "volunteer" entries use "organization" instead of "name"
+  return [...(resume.work || []), ...(resume.volunteer || [])].map((job) => ({
+    company: job.name || job.organization || "",
+    role: job.position || "",
+    location: job.location || "",
+    url: job.url || "",
+    startDate: job.startDate || "",
+    endDate: job.endDate || "",
+    summary: job.summary || "",
+    highlights: job.highlights || [],
+  }));
+}
+
+function jsonResumeEducation(resume) {
+  return (resume.education || []).map((entry) => ({
+    institution: entry.institution || "",
+    degree: entry.studyType || "",
+    field: entry.area || "",
+    url: entry.url || "",
+    startDate: entry.startDate || "",
+    endDate: entry.endDate || "",
+    gpa: entry.score || "",
+    honors: entry.honors || "",
+  }));
+}
+
+function toJsonResumeLocation(location) {
+  const [city, ...rest] = location.split(",").map((part) => part.trim());
+  return compact({ city, region: rest.join(", ") || undefined });
+}
+
+function fromJsonResumeLocation(location) {
+  if (!location) return "";
+  return [location.city, location.region, location.countryCode]
+    .filter(Boolean)
+    .join(", ");
+}
+
+/**
+ * Trims ISO timestamps to the YYYY-MM-DD form JSON Resume expects
+ */
+function toIsoDate(date) {
+  return date ? String(date).slice(0, 10) : undefined;
+}
+
+/**
+ * Drops empty fields so exported documents validate against the schema
+ */
+function compact(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(
+      ([_, value]) =>
+        value !== undefined &&
+        value !== null &&
+        value !== "" &&
+        !(Array.isArray(value) && value.length === 0),
+    ),
+  );
+}
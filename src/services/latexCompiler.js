@@ -0,0 +1,289 @@
+/**
+ * LaTeX Compiler Service
+ * Compiles template LaTeX to PDF in the browser with a WebAssembly TeX engine
+ *
+ * Uses the SwiftLaTeX PdfTeX engine. PdfTeXEngine.js, swiftlatexpdftex.js and
+ * swiftlatexpdftex.wasm are served from public/ (the engine starts its worker
+ * relative to the page; `npm run fetch:tex-engine` installs them), and TeX
+ * packages are fetched on demand from the TeX Live endpoint.
+ */
+
+const ENGINE_URL =
+  import.meta.env.VITE_TEX_ENGINE_URL ||
+  `${import.meta.env.BASE_URL}PdfTeXEngine.js`;
+const TEXLIVE_ENDPOINT = import.meta.env.VITE_TEXLIVE_ENDPOINT;
+
+const ENGINE_MISSING = `The TeX engine could not be loaded from ${ENGINE_URL}. Run "npm run fetch:tex-engine" to install the SwiftLaTeX engine files into public/`;
+
+/**
+ * Heading patterns mapped to the CV section (and editor tab) they render.
+ * Checked in order, so more specific headings come first.
+ */
+const SECTION_RULES = [
+  {
+    pattern: /contribution activity|^activity$/i,
+    section: "contributionGraph",
+    label: "Contribution Graph",
+    editorTab: "stats",
+  },
+  {
+    pattern: /github|metrics/i,
+    section: "statistics",
+    label: "GitHub Statistics",
+    editorTab: "stats",
+  },
+  {
+    pattern: /open source/i,
+    section: "contributions",
+    label: "Open Source Contributions",
+    editorTab: null,
+  },
+  {
+    pattern: /experience/i,
+    section: "experience",
+    label: "Experience",
+    editorTab: "experience",
+  },
+  {
+    pattern: /education/i,
+    section: "education",
+    label: "Education",
+    editorTab: "education",
+  },
+  {
+    pattern: /publication/i,
+    section: "publications",
+    label: "Publications",
+    editorTab: "publications",
+  },
+  {
+    pattern: /talk/i,
+    section: "talks",
+    label: "Talks",
+    editorTab: "talks",
+  },
+  {
+    pattern: /certification/i,
+    section: "certifications",
+    label: "Certifications",
+    editorTab: "certifications",
+  },
+  {
+    pattern: /award|honou?r/i,
+    section: "awards",
+    label: "Awards",
+    editorTab: "awards",
+  },
+  {
+    pattern: /project/i,
+    section: "projects",
+    label: "Projects",
+    editorTab: "projects",
+  },
+  {
+    pattern: /skill|expertise|tech stack/i,
+    section: "skills",
+    label: "Skills",
+    editorTab: "skills",
+  },
+  {
+    pattern: /summary|about|interests/i,
+    section: "summary",
+    label: "Summary",
+    editorTab: "summary",
+  },
+];
+
+const PREAMBLE_SECTION = {
+  section: "preamble",
+  label: "Template preamble",
+  editorTab: null,
+};
+const HEADER_SECTION = {
+  section: "personalInfo",
+  label: "Personal Info",
+  editorTab: "personal",
+};
+
+let enginePromise = null;
+let compileQueue = Promise.resolve();
+
+/**
+ * Loads the engine script and boots the TeX worker (once per page)
+ * @returns {Promise<Object>} - Ready PdfTeXEngine instance
+ */
+function loadEngine() {
+  if (!enginePromise) {
+    enginePromise = (async () => {
+      if (!window.PdfTeXEngine) {
+        await loadScript(ENGINE_URL);
+      }
+      // Hosts that serve the app page for missing files still fire onload
+      if (!window.PdfTeXEngine) {
+        throw new Error(ENGINE_MISSING);
+      }
+
+      const engine = new window.PdfTeXEngine();
+      await engine.loadEngine();
+
+      if (TEXLIVE_ENDPOINT) {
+        engine.setTexliveEndpoint(TEXLIVE_ENDPOINT);
+      }
+
+      return engine;
+    })().catch((error) => {
+      // Allow a retry after a failed download
+      enginePromise = null;
+      throw error;
+    });
+  }
+
+  return enginePromise;
+}
+
+/**
+ * Injects a classic script tag
+ * @param {string} src - Script URL
+ * @returns {Promise<void>}
+ */
+function loadScript(src) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement("script");
+    script.src = src;
+    script.onload = () => resolve();
+    script.onerror = () => reject(new Error(ENGINE_MISSING));
+    document.head.appendChild(script);
+  });
+}
+
+/**
+ * Compiles a LaTeX document to PDF
+ * Compilations are queued because the engine has a single working directory.
+ * @param {string} latex - LaTeX source
+ * @returns {Promise<Object>} - { success, pdf, log, errors }
+ */
+export function compileLatex(latex) {
+  const run = compileQueue.then(async () => {
+    const engine = await loadEngine();
+
+    engine.writeMemFSFile("main.tex", latex);
+    engine.setEngineMainFile("main.tex");
+    const result = await engine.compileLaTeX();
+
+    const success = result.status === 0 && Boolean(result.pdf);
+
+    return {
+      success,
+      pdf: success ? result.pdf : null,
+      log: result.log || "",
+      errors: success
+        ? []
+        : mapErrorsToSections(latex, parseTexLog(result.log)),
+    };
+  });
+
+  compileQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Extracts errors and their source lines from a TeX log
+ * @param {string} log - Engine log
+ * @returns {Array} - [{ message, line }]
+ */
+export function parseTexLog(log = "") {
+  const lines = log.split("\n");
+  const errors = [];
+
+  lines.forEach((text, index) => {
+    if (!text.startsWith("!")) return;
+
+    // TeX reports the offending input line as "l.<number> <context>"
+    const lineInfo = lines
+      .slice(index + 1, index + 12)
+      .map((next) => next.match(/^l\.(\d+)/))
+      .find(Boolean);
+
+    errors.push({
+      message: text.slice(1).trim(),
+      line: lineInfo ? parseInt(lineInfo[1]) : null,
+    });
+  });
+
+  if (errors.length === 0 && log.trim()) {
+    errors.push({
+      message: "Compilation failed without a TeX error (see the log)",
+      line: null,
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Attaches the CV section that produced each error's source line
+ * @param {string} latex - LaTeX source that was compiled
+ * @param {Array} errors - Parsed errors
+ * @returns {Array} - Errors with { section, sectionLabel, editorTab }
+ */
+export function mapErrorsToSections(latex, errors) {
+  const lines = latex.split("\n");
+
+  return errors.map((error) => {
+    const location = error.line ? findSectionAtLine(lines, error.line) : null;
+
+    return {
+      ...error,
+      section: location?.section || null,
+      sectionLabel: location?.label || null,
+      editorTab: location?.editorTab || null,
+    };
+  });
+}
+
+/**
+ * Walks back from a source line to the heading of the section it belongs to
+ * @param {Array} lines - LaTeX source lines
+ * @param {number} lineNumber - 1-based line number
+ * @returns {Object} - { section, label, editorTab }
+ */
+function findSectionAtLine(lines, lineNumber) {
+  for (let i = Math.min(lineNumber, lines.length) - 1; i >= 0; i--) {
+    const line = lines[i].trim();
+
+    if (line.startsWith("\\begin{document}")) {
+      return HEADER_SECTION;
+    }
+
+    const title = getHeadingTitle(lines, i);
+    if (title) {
+      const rule = SECTION_RULES.find(({ pattern }) => pattern.test(title));
+      if (rule) return rule;
+    }
+  }
+
+  return PREAMBLE_SECTION;
+}
+
+/**
+ * Returns the heading text if a line starts a CV section
+ * Handles \section / \section* and the minimal template's \sectionline rule
+ * followed by a bold title.
+ */
+function getHeadingTitle(lines, index) {
+  const section = lines[index].match(/\\section\*?\{(.*)\}/);
+  if (section) {
+    return section[1].replace(/\\color\{\w+\}/, "").trim();
+  }
+
+  if (lines[index].trim() === "\\sectionline") {
+    const next = lines
+      .slice(index + 1)
+      .map((line) => line.trim())
+      .find((line) => line && !line.startsWith("%"));
+    const bold = next?.match(/^\\textbf\{(.*)\}$/);
+    return bold ? bold[1] : null;
+  }
+
+  return null;
+}
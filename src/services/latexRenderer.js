@@ -1,36 +1,44 @@
 /**
  * LaTeX Renderer Service
- * Renders LaTeX to HTML/PDF in the browser
- * Uses custom HTML rendering with LaTeX source export
+ * Renders an HTML approximation of the CV and exports PDF / DOCX / LaTeX /
+ * Markdown / plain text / JSON Resume files
+ * (in-browser LaTeX compilation lives in latexCompiler.js)
  */
 
-/**
- * Attempts to render LaTeX to HTML
- * Uses HTML preview since latex.js has bundler compatibility issues
- * @param {string} latex - LaTeX source code
- * @returns {Object} - Rendered result with HTML and errors
- */
-export function renderLatexToHtml(latex) {
-  // latex.js has compatibility issues in modern bundlers
-  // We provide a pure HTML fallback that works reliably
-  return {
-    success: false,
-    html: "",
-    styles: "",
-    document: null,
-    errors: ["Using HTML preview mode"],
-  };
-}
+import {
+  CONTRIBUTION_LEVEL_COLORS,
+  shouldShowContributionGraph,
+} from "../templates/contributionGraph.js";
+import { formatDate, formatDateRange } from "../templates/dateRange.js";
+import { joinSections } from "../templates/layout.js";
+import { formatPublication } from "../templates/publications.js";
+import { generateLatex, getTemplate } from "../templates/index.js";
+import { cvToJsonResume } from "./jsonResume.js";
+
+const API_BASE = import.meta.env.VITE_API_URL || "http://localhost:3001";
 
 /**
  * Creates a simplified HTML representation for CV preview
- * Falls back to this when latex.js has issues with complex templates
+ * Instant preview; the LaTeX tab compiles the real template output
  * @param {Object} cvData - CV data
  * @param {string} templateId - Template ID
  * @returns {string} - HTML string
  */
 export function renderCVToHtml(cvData, templateId = "modern") {
-  const { personalInfo, summary, skills, projects, statistics } = cvData;
+  const {
+    personalInfo,
+    summary,
+    skills,
+    projects,
+    contributions,
+    statistics,
+    experience,
+    education,
+    certifications,
+    publications,
+    talks,
+    awards,
+  } = cvData;
 
   // Generate skills HTML - handle both string arrays and object arrays
   const skillsHtml = Object.entries(skills || {})
@@ -91,6 +99,191 @@ export function renderCVToHtml(cvData, templateId = "modern") {
     )
     .join("");
 
+  // Work experience section
+  const experienceHtml = (experience || []).length
+    ? `
+    <section class="cv-section">
+      <h3>Professional Experience</h3>
+      ${experience
+        .map(
+          (job) => `
+        <div class="entry">
+          <div class="project-header">
+            <h4>${escapeHtml(job.role)}</h4>
+            <span class="entry-dates">${escapeHtml(
+              formatDateRange(job.startDate, job.endDate)
+            )}</span>
+          </div>
+          <p class="entry-subtitle">${escapeHtml(
+            [job.company, job.location].filter(Boolean).join(", ")
+          )}</p>
+          ${job.summary ? `<p>${escapeHtml(job.summary)}</p>` : ""}
+          ${
+            job.highlights?.some(Boolean)
+              ? `<ul class="project-highlights">${job.highlights
+                  .filter(Boolean)
+                  .map((h) => `<li>${escapeHtml(h)}</li>`)
+                  .join("")}</ul>`
+              : ""
+          }
+        </div>
+      `
+        )
+        .join("")}
+    </section>
+  `
+    : "";
+
+  // Education section
+  const educationHtml = (education || []).length
+    ? `
+    <section class="cv-section">
+      <h3>Education</h3>
+      ${education
+        .map(
+          (entry) => `
+        <div class="entry">
+          <div class="project-header">
+            <h4>${escapeHtml(
+              [entry.degree, entry.field].filter(Boolean).join(" in ") ||
+                entry.institution
+            )}</h4>
+            <span class="entry-dates">${escapeHtml(
+              formatDateRange(entry.startDate, entry.endDate)
+            )}</span>
+          </div>
+          <p class="entry-subtitle">${escapeHtml(
+            [
+              entry.degree || entry.field ? entry.institution : "",
+              entry.gpa ? `GPA: ${entry.gpa}` : "",
+              entry.honors,
+            ]
+              .filter(Boolean)
+              .join(" · ")
+          )}</p>
+        </div>
+      `
+        )
+        .join("")}
+    </section>
+  `
+    : "";
+
+  // Publications as biblatex-style citations
+  const publicationsHtml = (publications || []).length
+    ? `
+    <section class="cv-section">
+      <h3>Publications</h3>
+      <ol class="publications">
+        ${publications
+          .map(
+            (publication) =>
+              `<li>${formatPublication(
+                publication,
+                HTML_CITATION_MARKUP,
+                personalInfo.name
+              )}</li>`
+          )
+          .join("")}
+      </ol>
+    </section>
+  `
+    : "";
+
+  // Talks, certifications and awards share one dated-entry layout
+  const datedEntriesHtml = (title, entries) =>
+    entries.length
+      ? `
+    <section class="cv-section">
+      <h3>${title}</h3>
+      ${entries
+        .map(
+          (entry) => `
+        <div class="entry">
+          <div class="project-header">
+            <h4>${
+              entry.url
+                ? `<a href="${escapeHtml(entry.url)}" target="_blank">${escapeHtml(
+                    entry.title
+                  )}</a>`
+                : escapeHtml(entry.title)
+            }</h4>
+            <span class="entry-dates">${escapeHtml(formatDate(entry.date))}</span>
+          </div>
+          <p class="entry-subtitle">${escapeHtml(entry.subtitle)}</p>
+          ${entry.description ? `<p>${escapeHtml(entry.description)}</p>` : ""}
+        </div>
+      `
+        )
+        .join("")}
+    </section>
+  `
+      : "";
+
+  const talksHtml = datedEntriesHtml(
+    "Talks",
+    (talks || []).map((talk) => ({
+      ...talk,
+      subtitle: [talk.event, talk.location].filter(Boolean).join(", "),
+    }))
+  );
+
+  const certificationsHtml = datedEntriesHtml(
+    "Certifications",
+    (certifications || []).map((certification) => ({
+      title: certification.name,
+      url: certification.url,
+      date: certification.date,
+      subtitle: [
+        certification.issuer,
+        certification.credentialId
+          ? `Credential ID ${certification.credentialId}`
+          : "",
+      ]
+        .filter(Boolean)
+        .join(" · "),
+    }))
+  );
+
+  const awardsHtml = datedEntriesHtml(
+    "Awards",
+    (awards || []).map((award) => ({ ...award, subtitle: award.issuer }))
+  );
+
+  // Open source contributions section
+  const contributionsHtml = (contributions || []).length
+    ? `
+    <section class="cv-section">
+      <h3>Open Source Contributions</h3>
+      <div class="contributions-container">
+        ${contributions
+          .slice(0, 5)
+          .map(
+            (contribution) => `
+          <div class="contribution">
+            <div class="project-header">
+              <h4><a href="${escapeHtml(
+                contribution.url
+              )}" target="_blank">${escapeHtml(contribution.repository)}</a></h4>
+              <span class="project-tech">${
+                contribution.pullRequestCount
+              } merged PR${contribution.pullRequestCount !== 1 ? "s" : ""}</span>
+            </div>
+            <ul class="project-highlights">
+              ${contribution.pullRequests
+                .slice(0, 3)
+                .map((pr) => `<li>${escapeHtml(pr.title)}</li>`)
+                .join("")}
+            </ul>
+          </div>
+        `
+          )
+          .join("")}
+      </div>
+    </section>
+  `
+    : "";
+
   // Stats section
   const statsHtml = statistics?.show
     ? `
@@ -118,8 +311,47 @@ export function renderCVToHtml(cvData, templateId = "modern") {
   `
     : "";
 
+  // Contribution heatmap section
+  const contributionGraphHtml = shouldShowContributionGraph(cvData)
+    ? `
+    <section class="cv-section">
+      <h3>Contribution Activity</h3>
+      ${renderContributionHeatmap(cvData.contributionCalendar)}
+      <p class="contribution-total">${
+        cvData.contributionCalendar.totalContributions
+      } contributions in the last year</p>
+    </section>
+  `
+    : "";
+
   const templateStyles = getTemplateStyles(templateId);
 
+  const summaryHtml = `
+    <section class="cv-section">
+      <h3>Professional Summary</h3>
+      <p>${escapeHtml(summary)}</p>
+    </section>
+  `;
+
+  const skillsSectionHtml = `
+    <section class="cv-section">
+      <h3>Technical Skills</h3>
+      <div class="skills-container">
+        ${skillsHtml}
+      </div>
+    </section>
+  `;
+
+  const projectsSectionHtml = `
+    <section class="cv-section">
+      <h3>Notable Projects</h3>
+      <div class="projects-container">
+        ${projectsHtml}
+      </div>
+    </section>
+  `;
+
+  // Sections in the CV's layout order, defaulting to the template's order
   return `
     <style>${templateStyles}</style>
     <div class="cv-container template-${templateId}">
@@ -131,26 +363,26 @@ export function renderCVToHtml(cvData, templateId = "modern") {
         <div class="contact-info">
           ${
             personalInfo.location
-              ? `<span>📍 ${escapeHtml(personalInfo.location)}</span>`
+              ? `<span>${escapeHtml(personalInfo.location)}</span>`
               : ""
           }
           ${
             personalInfo.email
-              ? `<span>✉️ <a href="mailto:${escapeHtml(
+              ? `<span><a href="mailto:${escapeHtml(
                   personalInfo.email
                 )}">${escapeHtml(personalInfo.email)}</a></span>`
               : ""
           }
           ${
             personalInfo.github
-              ? `<span>🔗 <a href="${escapeHtml(
+              ? `<span><a href="${escapeHtml(
                   personalInfo.github
                 )}" target="_blank">GitHub</a></span>`
               : ""
           }
           ${
             personalInfo.website
-              ? `<span>🌐 <a href="${escapeHtml(
+              ? `<span><a href="${escapeHtml(
                   personalInfo.website
                 )}" target="_blank">Website</a></span>`
               : ""
@@ -158,28 +390,75 @@ export function renderCVToHtml(cvData, templateId = "modern") {
         </div>
       </header>
 
-      <section class="cv-section">
-        <h3>Professional Summary</h3>
-        <p>${escapeHtml(summary)}</p>
-      </section>
+      ${joinSections(
+        cvData,
+        {
+          summary: summaryHtml,
+          experience: experienceHtml,
+          skills: skillsSectionHtml,
+          projects: projectsSectionHtml,
+          education: educationHtml,
+          publications: publicationsHtml,
+          talks: talksHtml,
+          certifications: certificationsHtml,
+          awards: awardsHtml,
+          contributions: contributionsHtml,
+          statistics: statsHtml,
+          contributionGraph: contributionGraphHtml,
+        },
+        getTemplate(templateId).sectionOrder
+      )}
+    </div>
+  `;
+}
 
-      <section class="cv-section">
-        <h3>Technical Skills</h3>
-        <div class="skills-container">
-          ${skillsHtml}
-        </div>
-      </section>
+/**
+ * Renders the contribution calendar as a GitHub-style SVG heatmap
+ * @param {Object} calendar - { totalContributions, weeks: [[{ date, count, level }]] }
+ * @returns {string} - Inline SVG markup
+ */
+function renderContributionHeatmap(calendar) {
+  const cell = 10;
+  const gap = 2;
+  const labelHeight = 14;
+  const step = cell + gap;
+  const width = calendar.weeks.length * step;
+  const height = labelHeight + 7 * step;
 
-      <section class="cv-section">
-        <h3>Notable Projects</h3>
-        <div class="projects-container">
-          ${projectsHtml}
-        </div>
-      </section>
+  let lastMonth = null;
+  const monthLabels = [];
+  const cells = [];
 
-      ${statsHtml}
-    </div>
-  `;
+  calendar.weeks.forEach((week, x) => {
+    const firstDay = new Date(`${week[0].date}T00:00:00Z`);
+    const month = firstDay.getUTCMonth();
+    if (month !== lastMonth && firstDay.getUTCDate() <= 7) {
+      monthLabels.push(
+        `<text x="${x * step}" y="10">${firstDay.toLocaleString("en-US", {
+          month: "short",
+          timeZone: "UTC",
+        })}</text>`
+      );
+    }
+    lastMonth = month;
+
+    for (const day of week) {
+      const y = new Date(`${day.date}T00:00:00Z`).getUTCDay();
+      const color =
+        CONTRIBUTION_LEVEL_COLORS[day.level] || CONTRIBUTION_LEVEL_COLORS.NONE;
+      cells.push(
+        `<rect x="${x * step}" y="${
+          labelHeight + y * step
+        }" width="${cell}" height="${cell}" rx="2" fill="#${color}"><title>${
+          day.count
+        } contributions on ${day.date}</title></rect>`
+      );
+    }
+  });
+
+  const label = `${calendar.totalContributions} contributions in the last year`;
+  const content = monthLabels.join("") + cells.join("");
+  return `<svg class="contribution-graph" viewBox="0 0 ${width} ${height}" role="img" aria-label="${label}">${content}</svg>`;
 }
 
 /**
@@ -298,6 +577,61 @@ function getTemplateStyles(templateId) {
     .project-link:hover {
       text-decoration: underline;
     }
+    .entry {
+      margin-bottom: 15px;
+    }
+    .entry-dates {
+      color: #666;
+      font-size: 0.85rem;
+    }
+    .entry-subtitle {
+      margin: 2px 0 0;
+      color: #555;
+      font-style: italic;
+    }
+    .entry-subtitle:empty {
+      display: none;
+    }
+    .entry h4 a {
+      color: inherit;
+      text-decoration: none;
+    }
+    .publications {
+      margin: 0;
+      padding-left: 28px;
+      font-size: 0.9rem;
+    }
+    .publications li {
+      margin-bottom: 6px;
+    }
+    .publications a {
+      color: #0366d6;
+      word-break: break-all;
+    }
+    .contribution {
+      margin-bottom: 15px;
+    }
+    .contribution h4 {
+      margin: 0;
+      font-size: 1rem;
+    }
+    .contribution h4 a {
+      color: inherit;
+      text-decoration: none;
+    }
+    .contribution-graph {
+      width: 100%;
+      height: auto;
+      font-size: 9px;
+    }
+    .contribution-graph text {
+      fill: #666;
+    }
+    .contribution-total {
+      margin: 8px 0 0;
+      font-size: 0.85rem;
+      color: #666;
+    }
     .stats-grid {
       display: grid;
       grid-template-columns: repeat(4, 1fr);
@@ -356,6 +690,17 @@ function getTemplateStyles(templateId) {
   return baseStyles + (templateOverrides[templateId] || "");
 }
 
+// Citation markup for formatPublication in the HTML preview
+const HTML_CITATION_MARKUP = {
+  escape: escapeHtml,
+  italic: (text) => `<em>${text}</em>`,
+  bold: (text) => `<strong>${text}</strong>`,
+  quote: (text) => `“${text}”`,
+  link: (url, text) =>
+    `<a href="${escapeHtml(url)}" target="_blank">${text}</a>`,
+  dash: "–",
+};
+
 /**
  * Escapes HTML special characters
  * @param {string} text - Text to escape
@@ -372,39 +717,33 @@ function escapeHtml(text) {
 }
 
 /**
- * Generates a downloadable PDF from the CV
- * Uses browser print functionality
+ * Downloads the CV as a PDF, rendered here and compiled on the server
  * @param {Object} cvData - CV data
  * @param {string} templateId - Template ID
+ * @returns {Promise<void>}
  */
-export function downloadAsPDF(cvData, templateId) {
-  const html = renderCVToHtml(cvData, templateId);
-
-  const printWindow = window.open("", "_blank");
-  printWindow.document.write(`
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>${cvData.personalInfo.name} - CV</title>
-      <style>
-        @media print {
-          body { margin: 0; }
-          .cv-container { padding: 20px; }
-        }
-      </style>
-    </head>
-    <body>
-      ${html}
-      <script>
-        window.onload = function() {
-          window.print();
-          window.onafterprint = function() { window.close(); };
-        };
-      </script>
-    </body>
-    </html>
-  `);
-  printWindow.document.close();
+export async function downloadAsPDF(cvData, templateId) {
+  const response = await fetch(`${API_BASE}/api/export/pdf`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      latex: generateLatex(templateId, cvData),
+      name: cvData.personalInfo.name,
+    }),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `PDF export failed: ${response.status}`);
+  }
+
+  const filename = `${(cvData.personalInfo.name || "cv").replace(
+    /\s+/g,
+    "_"
+  )}_CV.pdf`;
+  downloadBlob(await response.blob(), filename);
 }
 
 /**
@@ -413,7 +752,52 @@ export function downloadAsPDF(cvData, templateId) {
  * @param {string} filename - Filename
  */
 export function downloadLatexSource(latex, filename = "cv.tex") {
-  const blob = new Blob([latex], { type: "text/plain" });
+  downloadBlob(new Blob([latex], { type: "text/plain" }), filename);
+}
+
+/**
+ * Downloads the CV as a Word document styled after the template
+ * @param {Object} cvData - CV data
+ * @param {string} templateId - Template ID
+ * @returns {Promise<void>}
+ */
+export async function downloadAsDocx(cvData, templateId) {
+  // docx is only needed for this export, so keep it out of the main bundle
+  const { generateDocx } = await import("./docxExporter.js");
+  const blob = await generateDocx(cvData, templateId);
+
+  const filename = `${(cvData.personalInfo.name || "cv").replace(
+    /\s+/g,
+    "_"
+  )}_CV.docx`;
+  downloadBlob(blob, filename);
+}
+
+/**
+ * Downloads a text export (Markdown, plain text)
+ * @param {string} content - File contents
+ * @param {string} filename - Filename
+ * @param {string} type - MIME type
+ */
+export function downloadTextFile(content, filename, type = "text/plain") {
+  downloadBlob(new Blob([content], { type }), filename);
+}
+
+/**
+ * Downloads the CV as a JSON Resume document
+ * @param {Object} cvData - CV data
+ */
+export function downloadJsonResume(cvData) {
+  const json = JSON.stringify(cvToJsonResume(cvData), null, 2);
+  downloadBlob(new Blob([json], { type: "application/json" }), "resume.json");
+}
+
+/**
+ * Saves a blob through a temporary download link
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Download filename
+ */
+function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
 
   const a = document.createElement("a");
@@ -3,6 +3,10 @@
  * Now communicates with backend server for secure API access
  */
 
+import { getProjectText, matchesKeyword, rankProjects } from "./jobMatch.js";
+import { emptyManualSections } from "./repoAnalyzer.js";
+import { renderCVToPlainText } from "./textRenderer.js";
+
 const API_BASE = import.meta.env.VITE_API_URL || "http://localhost:3001";
 
 /**
@@ -27,78 +31,223 @@ export async function isLLMEnabled() {
   }
 }
 
+// Projects generated at once; each makes a name and a description request
+const PROJECT_CONCURRENCY = 3;
+
+/**
+ * Posts to a backend LLM endpoint, throwing on error responses
+ * @param {string} path - Endpoint path
+ * @param {Object} body - Request body
+ * @returns {Promise<Response>} - Successful response
+ */
+async function postLLM(path, body) {
+  const response = await fetch(`${API_BASE}${path}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `API error: ${response.status}`);
+  }
+
+  return response;
+}
+
 /**
- * Makes a request to the backend LLM API
- * @param {string} prompt - User prompt
- * @param {string} systemPrompt - System instructions
- * @param {number} maxTokens - Maximum tokens in response
- * @returns {Promise<string>} - Generated text
+ * Generates JSON matching a schema through the backend, which validates the
+ * model's reply and retries with the validation errors until it conforms
+ * @param {Object} options - { schema, prompt, systemPrompt, maxTokens, fallback, onText }
+ *   fallback() returns data of the schema's shape when generation fails
+ *   (without one, errors are thrown); onText streams the raw JSON reply
+ * @returns {Promise<Object>} - Validated data
  */
-async function callLLM(prompt, systemPrompt, maxTokens = 1000) {
+async function generateJSON({
+  schema,
+  prompt,
+  systemPrompt,
+  maxTokens = 1000,
+  fallback,
+  onText = null,
+}) {
+  const body = { prompt, systemPrompt, schema, maxTokens };
+
   try {
-    const response = await fetch(`${API_BASE}/api/llm/generate`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        prompt,
-        systemPrompt,
-        maxTokens,
-      }),
-    });
+    if (!onText) {
+      const response = await postLLM("/api/llm/generate-json", body);
+      const { data } = await response.json();
+      return data;
+    }
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error || `API error: ${response.status}`);
+    const response = await postLLM("/api/llm/generate-json/stream", body);
+    let text = "";
+    for await (const { event, data } of readServerSentEvents(response.body)) {
+      if (event === "token") {
+        text += data.text;
+        onText(text);
+      } else if (event === "retry") {
+        // The rejected reply is replaced by the next attempt
+        text = "";
+      } else if (event === "complete") {
+        return data.data;
+      } else if (event === "failure") {
+        throw new Error(data.error);
+      }
     }
 
-    const data = await response.json();
-    return data.content || "";
+    throw new Error("Generation stopped before it completed");
   } catch (error) {
-    console.error("LLM API Error:", error);
-    throw error;
+    if (!fallback) throw error;
+
+    console.warn("LLM generation failed, using fallback:", error);
+    return fallback();
   }
 }
 
 /**
- * Clean LLM response - remove markdown, options, explanations
- * @param {string} text - Raw LLM response
- * @returns {string} - Cleaned text
+ * Reads a string property from JSON that is still being generated
+ * @param {string} json - Partial JSON text
+ * @param {string} field - Property name
+ * @returns {string} - The value so far, empty if it hasn't started
  */
-function cleanResponse(text) {
-  if (!text) return "";
-
-  // Remove markdown bold/italic
-  let cleaned = text.replace(/\*\*/g, "").replace(/\*/g, "");
-
-  // Remove "Option X:" patterns
-  cleaned = cleaned.replace(/\*?\*?Option \d+[^:]*:\*?\*?/gi, "");
+function readPartialString(json, field) {
+  const match = new RegExp(`"${field}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`).exec(
+    json,
+  );
+  if (!match) return "";
+
+  // A \u escape may be cut off mid-way
+  for (const value of [
+    match[1],
+    match[1].replace(/\\u[0-9a-fA-F]{0,3}$/, ""),
+  ]) {
+    try {
+      return JSON.parse(`"${value}"`);
+    } catch {
+      // Try without the incomplete escape
+    }
+  }
+  return "";
+}
 
-  // Remove "> " quote markers
-  cleaned = cleaned.replace(/^>\s*/gm, "");
+/**
+ * Schema for an object whose properties are all required
+ * @param {Object} properties - Property schemas
+ * @returns {Object} - JSON schema
+ */
+function objectSchema(properties) {
+  return {
+    type: "object",
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false,
+  };
+}
 
-  // Remove explanatory sections
-  cleaned = cleaned.replace(
-    /\*\*Key (Considerations|improvements)[^*]*\*\*/gi,
-    "",
-  );
-  cleaned = cleaned.replace(/Key (Considerations|improvements).*$/gis, "");
+const SKILL_CATEGORIES = [
+  "Programming Languages",
+  "Frameworks & Libraries",
+  "Tools & Platforms",
+  "Databases",
+  "Other",
+];
+
+// JSON schemas for each generation task, checked by the backend
+const PROJECT_NAME_SCHEMA = objectSchema({
+  name: { type: "string", minLength: 1, maxLength: 60 },
+});
+
+const PROJECT_DESCRIPTION_SCHEMA = objectSchema({
+  description: { type: "string", minLength: 20, maxLength: 600 },
+});
+
+const SUMMARY_SCHEMA = objectSchema({
+  summary: { type: "string", minLength: 40, maxLength: 1000 },
+});
+
+const SKILLS_SCHEMA = {
+  type: "object",
+  propertyNames: { enum: SKILL_CATEGORIES },
+  additionalProperties: {
+    type: "array",
+    items: { type: "string", minLength: 1 },
+  },
+  minProperties: 1,
+};
+
+const JOB_KEYWORDS_SCHEMA = objectSchema({
+  title: { type: "string" },
+  keywords: {
+    type: "array",
+    maxItems: 25,
+    items: objectSchema({
+      term: { type: "string", minLength: 1 },
+      aliases: { type: "array", items: { type: "string" } },
+      required: { type: "boolean" },
+    }),
+  },
+});
 
-  // Remove "Here are" introductions
-  cleaned = cleaned.replace(/^Here (are|is)[^.]*\.\s*/i, "");
+/**
+ * Parses server-sent events from a fetch response body
+ * (EventSource only supports GET requests)
+ * @param {ReadableStream} body - Response body
+ * @returns {AsyncGenerator<Object>} - { event, data } with JSON-decoded data
+ */
+async function* readServerSentEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
 
-  // Take only first paragraph if multiple exist
-  const paragraphs = cleaned.split(/\n\n+/).filter((p) => p.trim().length > 20);
-  if (paragraphs.length > 0) {
-    cleaned = paragraphs[0];
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) return;
+
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split("\n\n");
+      buffer = events.pop();
+
+      for (const block of events) {
+        let event = "message";
+        let data = "";
+        for (const line of block.split("\n")) {
+          if (line.startsWith("event:")) event = line.slice(6).trim();
+          if (line.startsWith("data:")) data += line.slice(5).trim();
+        }
+        if (data) yield { event, data: JSON.parse(data) };
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {});
   }
+}
 
-  // Remove trailing incomplete sentences
-  cleaned = cleaned.replace(/\s+\*\*[^*]+$/, "");
-  cleaned = cleaned.replace(/\([^)]*$/, "");
+/**
+ * Runs a task for every item, at most `limit` at a time
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent tasks
+ * @param {Function} task - Called with (item, index)
+ * @returns {Promise<Array>} - Results in item order
+ */
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
 
-  return cleaned.trim();
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker),
+  );
+  return results;
 }
 
 /**
@@ -108,11 +257,11 @@ function cleanResponse(text) {
  * @returns {Promise<string>} - Professional project name
  */
 export async function generateProjectName(repo, readmeContent = null) {
-  if (!isLLMEnabled()) {
+  if (!(await isLLMEnabled())) {
     return formatRepoName(repo.name);
   }
 
-  const systemPrompt = `You are a CV writer. Output ONLY a project name. No quotes. No explanation. No options. Maximum 6 words.`;
+  const systemPrompt = `You are a CV writer. You name projects for CVs in at most 6 words.`;
 
   const prompt = `Convert this GitHub repo name to a professional CV project title.
 
@@ -121,19 +270,16 @@ Description: ${repo.description || "None"}
 Language: ${repo.language || "Unknown"}
 ${readmeContent ? `README: ${readmeContent.slice(0, 300)}` : ""}
 
-Output ONLY the title. Example: "Real-Time Analytics Dashboard"`;
+Example: {"name": "Real-Time Analytics Dashboard"}`;
 
-  try {
-    const name = await callLLM(prompt, systemPrompt, 30);
-    const cleaned = name
-      .replace(/^["']|["']$/g, "")
-      .replace(/\*\*/g, "")
-      .trim();
-    return cleaned.split("\n")[0] || formatRepoName(repo.name);
-  } catch (error) {
-    console.warn("Failed to generate project name:", error);
-    return formatRepoName(repo.name);
-  }
+  const { name } = await generateJSON({
+    schema: PROJECT_NAME_SCHEMA,
+    prompt,
+    systemPrompt,
+    maxTokens: 60,
+    fallback: () => ({ name: formatRepoName(repo.name) }),
+  });
+  return name.trim();
 }
 
 /**
@@ -154,19 +300,19 @@ function formatRepoName(name) {
  * Generates a professional project description
  * @param {Object} project - Project data
  * @param {string} readmeContent - README content if available
+ * @param {Function} onText - Streams the description as it is written (optional)
  * @returns {Promise<string>} - Professional description
  */
 export async function generateProjectDescription(
   project,
   readmeContent = null,
+  onText = null,
 ) {
-  if (!isLLMEnabled()) {
+  if (!(await isLLMEnabled())) {
     return project.description || "";
   }
 
-  const systemPrompt = `You are a CV writer. Write exactly ONE concise project description (2-3 sentences max). 
-NO options. NO explanations. NO "Option 1/2/3". NO markdown. NO asterisks. 
-Just output the description directly.`;
+  const systemPrompt = `You are a CV writer. Write exactly ONE concise project description (2-3 sentences max) as plain text, without markdown.`;
 
   const prompt = `Write a CV project description.
 
@@ -177,28 +323,33 @@ Tech: ${project.language || ""}${
 Description: ${project.description || "No description"}
 ${readmeContent ? `README excerpt: ${readmeContent.slice(0, 400)}` : ""}
 
-Write 2-3 sentences describing what this project does. Be specific but concise. Output ONLY the description.`;
+Write 2-3 sentences describing what this project does. Be specific but concise.`;
 
-  try {
-    const response = await callLLM(prompt, systemPrompt, 150);
-    return cleanResponse(response) || project.description || "";
-  } catch (error) {
-    console.warn("Failed to generate project description:", error);
-    return project.description || "";
-  }
+  const { description } = await generateJSON({
+    schema: PROJECT_DESCRIPTION_SCHEMA,
+    prompt,
+    systemPrompt,
+    maxTokens: 250,
+    fallback: () => ({ description: project.description || "" }),
+    onText:
+      onText && ((json) => onText(readPartialString(json, "description"))),
+  });
+  return description.trim();
 }
 
 /**
  * Generates a professional CV summary
  * @param {Object} analysisData - GitHub analysis data
  * @param {string} style - Summary style: 'professional', 'technical', 'concise'
+ * @param {Function} onText - Streams the summary as it is written (optional)
  * @returns {Promise<string>} - Professional summary
  */
 export async function generateProfessionalSummary(
   analysisData,
   style = "professional",
+  onText = null,
 ) {
-  if (!isLLMEnabled()) {
+  if (!(await isLLMEnabled())) {
     return generateFallbackSummary(analysisData);
   }
 
@@ -224,15 +375,7 @@ export async function generateProfessionalSummary(
       "Be extremely brief - maximum 2 sentences. Focus on core competencies only.",
   };
 
-  const systemPrompt = `You are a professional CV writer. Write exactly ONE summary paragraph (3-4 sentences).
-CRITICAL RULES:
-- Output ONLY the summary text
-- NO "Option 1", "Option 2", etc.
-- NO bullet points
-- NO markdown formatting
-- NO explanations or alternatives
-- NO asterisks or bold text
-- Start directly with the summary`;
+  const systemPrompt = `You are a professional CV writer. Write exactly ONE summary paragraph (3-4 sentences) as plain text: no bullet points, no markdown.`;
 
   const prompt = `Write a CV professional summary for this developer:
 
@@ -247,15 +390,17 @@ Location: ${profile.location || "Not specified"}
 
 Style: ${styleGuide[style] || styleGuide.professional}
 
-Output ONLY the summary paragraph. No introduction, no options, no explanation.`;
+Start directly with the summary, with no introduction.`;
 
-  try {
-    const response = await callLLM(prompt, systemPrompt, 200);
-    return cleanResponse(response) || generateFallbackSummary(analysisData);
-  } catch (error) {
-    console.warn("Failed to generate summary:", error);
-    return generateFallbackSummary(analysisData);
-  }
+  const { summary } = await generateJSON({
+    schema: SUMMARY_SCHEMA,
+    prompt,
+    systemPrompt,
+    maxTokens: 300,
+    fallback: () => ({ summary: generateFallbackSummary(analysisData) }),
+    onText: onText && ((json) => onText(readPartialString(json, "summary"))),
+  });
+  return summary.trim();
 }
 
 /**
@@ -282,11 +427,11 @@ function generateFallbackSummary(analysisData) {
  * @returns {Promise<Object>} - Categorized skills
  */
 export async function enhanceSkills(skills, context = {}) {
-  if (!isLLMEnabled() || skills.length === 0) {
+  if (!(await isLLMEnabled()) || skills.length === 0) {
     return groupSkillsByCategory(skills);
   }
 
-  const systemPrompt = `You categorize skills for CVs. Return ONLY a JSON object. No explanation. No markdown code blocks.`;
+  const systemPrompt = `You categorize skills for CVs.`;
 
   const skillNames = skills
     .slice(0, 25)
@@ -297,22 +442,17 @@ export async function enhanceSkills(skills, context = {}) {
 
 Skills: ${skillNames}
 
-Categories to use: "Programming Languages", "Frameworks & Libraries", "Tools & Platforms", "Databases", "Other"
+Categories to use: ${SKILL_CATEGORIES.map((category) => `"${category}"`).join(", ")}
 
-Return ONLY valid JSON like: {"Programming Languages": ["Python"], "Frameworks & Libraries": ["React"]}`;
+Example: {"Programming Languages": ["Python"], "Frameworks & Libraries": ["React"]}`;
 
-  try {
-    const response = await callLLM(prompt, systemPrompt, 400);
-    // Extract JSON from response
-    const jsonMatch = response.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-  } catch (error) {
-    console.warn("Failed to enhance skills:", error);
-  }
-
-  return groupSkillsByCategory(skills);
+  return generateJSON({
+    schema: SKILLS_SCHEMA,
+    prompt,
+    systemPrompt,
+    maxTokens: 400,
+    fallback: () => groupSkillsByCategory(skills),
+  });
 }
 
 /**
@@ -332,10 +472,13 @@ function groupSkillsByCategory(skills) {
 
 /**
  * Generates complete CV content using LLM
+ * The summary, skills and projects are generated concurrently (projects a few
+ * at a time), and onUpdate receives the partial CV each time text arrives.
  * @param {Object} analysisData - Full analysis data
  * @param {Array} selectedProjects - User-selected projects
  * @param {Map} readmeMap - Map of repo name to readme content
  * @param {string} style - CV style
+ * @param {Function} onUpdate - Called with the CV content generated so far (optional)
  * @returns {Promise<Object>} - Complete CV data
  */
 export async function generateCompleteCVContent(
@@ -343,26 +486,19 @@ export async function generateCompleteCVContent(
   selectedProjects,
   readmeMap = new Map(),
   style = "professional",
+  onUpdate = () => {},
 ) {
-  const { profile, statistics, languages, skills } = analysisData;
-
-  // Generate summary
-  const summary = await generateProfessionalSummary(analysisData, style);
-
-  // Generate project names and descriptions
-  const enhancedProjects = [];
-  for (const project of selectedProjects.slice(0, 6)) {
-    const readmeContent = readmeMap.get(project.name);
-    const displayName = await generateProjectName(project, readmeContent);
-    const description = await generateProjectDescription(
-      { ...project, displayName },
-      readmeContent,
-    );
-
-    enhancedProjects.push({
-      name: displayName,
+  const { languages, skills } = analysisData;
+  const projects = selectedProjects.slice(0, 6);
+
+  // Placeholders until generated text arrives
+  let generated = {
+    summary: "",
+    skills: groupSkillsByCategory(skills),
+    projects: projects.map((project) => ({
+      name: formatRepoName(project.name),
       repoName: project.name,
-      description: description,
+      description: "",
       url: project.url,
       technologies: [
         project.language,
@@ -374,16 +510,58 @@ export async function generateCompleteCVContent(
       ].filter(Boolean),
       startDate: project.createdAt,
       endDate: project.updatedAt,
+    })),
+  };
+
+  const update = (changes) => {
+    generated = { ...generated, ...changes };
+    onUpdate(buildCVContent(analysisData, generated));
+  };
+  const updateProject = (index, changes) =>
+    update({
+      projects: generated.projects.map((project, i) =>
+        i === index ? { ...project, ...changes } : project,
+      ),
     });
 
-    // Small delay between API calls
-    await new Promise((resolve) => setTimeout(resolve, 100));
-  }
+  await Promise.all([
+    generateProfessionalSummary(analysisData, style, (summary) =>
+      update({ summary }),
+    ).then((summary) => update({ summary })),
+
+    enhanceSkills(skills, {
+      primaryLanguage: languages?.primaryLanguage,
+    }).then((enhancedSkills) => update({ skills: enhancedSkills })),
+
+    mapWithConcurrency(
+      projects,
+      PROJECT_CONCURRENCY,
+      async (project, index) => {
+        const readmeContent = readmeMap.get(project.name);
+        const displayName = await generateProjectName(project, readmeContent);
+        updateProject(index, { name: displayName });
+
+        const description = await generateProjectDescription(
+          { ...project, displayName },
+          readmeContent,
+          (text) => updateProject(index, { description: text }),
+        );
+        updateProject(index, { description });
+      },
+    ),
+  ]);
 
-  // Enhance skills
-  const enhancedSkills = await enhanceSkills(skills, {
-    primaryLanguage: languages?.primaryLanguage,
-  });
+  return buildCVContent(analysisData, generated);
+}
+
+/**
+ * Assembles CV data around the generated summary, skills and projects
+ * @param {Object} analysisData - Full analysis data
+ * @param {Object} generated - { summary, skills, projects }
+ * @returns {Object} - CV data
+ */
+function buildCVContent(analysisData, { summary, skills, projects }) {
+  const { profile, statistics } = analysisData;
 
   return {
     personalInfo: {
@@ -396,8 +574,11 @@ export async function generateCompleteCVContent(
       bio: profile.bio,
     },
     summary,
-    skills: enhancedSkills,
-    projects: enhancedProjects,
+    skills,
+    projects,
+    contributions: analysisData.contributions || [],
+    contributionCalendar: analysisData.contributionCalendar || null,
+    ...emptyManualSections(),
     statistics: {
       show: true,
       ...statistics,
@@ -405,6 +586,199 @@ export async function generateCompleteCVContent(
   };
 }
 
+/**
+ * Extracts the skills and keywords a job description asks for
+ * @param {string} jobDescription - Pasted job description
+ * @returns {Promise<Object>} - { title, keywords: [{ term, aliases, required }] }
+ */
+export async function extractJobKeywords(jobDescription) {
+  const systemPrompt = `You extract requirements from job descriptions.`;
+
+  const prompt = `List the skills, technologies and keywords an applicant tracking system would look for in this job description.
+
+Job description:
+${jobDescription.slice(0, 6000)}
+
+Example: {"title": "Senior Backend Engineer", "keywords": [{"term": "PostgreSQL", "aliases": ["Postgres"], "required": true}, {"term": "Kubernetes", "aliases": ["k8s"], "required": false}]}
+
+List at most 25 keywords, most important first. Set "required" to false for nice-to-have items.`;
+
+  const parsed = await generateJSON({
+    schema: JOB_KEYWORDS_SCHEMA,
+    prompt,
+    systemPrompt,
+    maxTokens: 1200,
+  });
+
+  const seen = new Set();
+  const keywords = parsed.keywords
+    .map((keyword) => ({
+      term: keyword.term.trim(),
+      aliases: keyword.aliases.map((alias) => alias.trim()).filter(Boolean),
+      required: keyword.required,
+    }))
+    .filter(({ term }) => {
+      const key = term.toLowerCase();
+      if (!term || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+  if (keywords.length === 0) {
+    throw new Error(
+      "Couldn't find any skills or keywords in the job description",
+    );
+  }
+
+  return { title: parsed.title.trim(), keywords };
+}
+
+/**
+ * Rewrites the summary to lead with the experience a job asks for
+ * @param {Object} cvData - Current CV data
+ * @param {Object} job - { title, keywords }
+ * @param {Array} matching - Job keywords the candidate's CV or GitHub shows
+ * @param {string} style - CV style
+ * @returns {Promise<string>} - Tailored summary, or the current one on failure
+ */
+export async function tailorSummary(
+  cvData,
+  job,
+  matching,
+  style = "professional",
+) {
+  const systemPrompt = `You are a professional CV writer. Write exactly ONE summary paragraph (3-4 sentences) as plain text, without markdown.
+Only mention skills and experience the candidate already has.`;
+
+  const prompt = `Rewrite this CV summary for a ${job.title || "role"} application.
+
+Current summary: ${cvData.summary || "None"}
+Candidate's skills that match the job: ${
+    matching.map((keyword) => keyword.term).join(", ") || "None"
+  }
+Key projects: ${cvData.projects
+    .slice(0, 3)
+    .map((project) => project.name)
+    .join(", ")}
+
+Emphasise the matching skills first. Keep the tone ${style}.`;
+
+  const { summary } = await generateJSON({
+    schema: SUMMARY_SCHEMA,
+    prompt,
+    systemPrompt,
+    maxTokens: 300,
+    fallback: () => ({ summary: cvData.summary || "" }),
+  });
+  return summary.trim();
+}
+
+/**
+ * Rewrites a project description to emphasise what a job asks for
+ * @param {Object} project - CV project
+ * @param {Object} job - { title, keywords }
+ * @param {Array} matching - Job keywords this project shows
+ * @param {string} readmeContent - README content if available
+ * @returns {Promise<string>} - Tailored description, or the current one on failure
+ */
+export async function tailorProjectDescription(
+  project,
+  job,
+  matching,
+  readmeContent = null,
+) {
+  const systemPrompt = `You are a CV writer. Write exactly ONE concise project description (2-3 sentences max) as plain text, without markdown.
+Only describe what the project actually does.`;
+
+  const prompt = `Rewrite this CV project description for a ${job.title || "role"} application.
+
+Project: ${project.name}
+Current description: ${project.description || "None"}
+Tech: ${(project.technologies || []).join(", ")}
+Skills to emphasise: ${matching.map((keyword) => keyword.term).join(", ")}
+${readmeContent ? `README excerpt: ${readmeContent.slice(0, 400)}` : ""}`;
+
+  const { description } = await generateJSON({
+    schema: PROJECT_DESCRIPTION_SCHEMA,
+    prompt,
+    systemPrompt,
+    maxTokens: 250,
+    fallback: () => ({ description: project.description || "" }),
+  });
+  return description.trim();
+}
+
+/**
+ * Tailors a CV's text to a job description: extracts its keywords and
+ * rewrites the summary and the descriptions of the best-matching projects
+ * Rewrites are returned rather than applied so they can be reviewed first;
+ * use rankProjects and orderSkills to reorder the CV itself.
+ * @param {Object} cvData - Current CV data
+ * @param {Object} analysisData - Full analysis data
+ * @param {string} jobDescription - Pasted job description
+ * @param {string} style - CV style
+ * @param {Function} onProgress - Called with a status message per step
+ * @returns {Promise<Object>} - { job, rewrites: { summary, projects: { [url]: description } } }
+ */
+export async function tailorCVToJob(
+  cvData,
+  analysisData,
+  jobDescription,
+  style = "professional",
+  onProgress = () => {},
+) {
+  onProgress("Reading the job description...");
+  const job = await extractJobKeywords(jobDescription);
+  const repositories = analysisData?.repositories || [];
+
+  const projects = rankProjects(cvData.projects, job.keywords, repositories);
+
+  // Only claim what the CV or GitHub profile backs up
+  const evidence = [
+    renderCVToPlainText(cvData),
+    ...(analysisData?.skills || []).map((skill) => skill.name),
+  ].join("\n");
+  const matching = job.keywords.filter((keyword) =>
+    matchesKeyword(evidence, keyword),
+  );
+
+  // Projects that show at least one of the job's keywords
+  const relevant = projects
+    .slice(0, 6)
+    .map((project) => ({
+      project,
+      keywords: job.keywords.filter((keyword) =>
+        matchesKeyword(getProjectText(project, repositories), keyword),
+      ),
+    }))
+    .filter(({ keywords }) => keywords.length > 0);
+
+  onProgress(
+    relevant.length > 0
+      ? `Rewriting summary and ${relevant.length} project${relevant.length === 1 ? "" : "s"}...`
+      : "Rewriting summary...",
+  );
+  const [summary, descriptions] = await Promise.all([
+    tailorSummary({ ...cvData, projects }, job, matching, style),
+    mapWithConcurrency(
+      relevant,
+      PROJECT_CONCURRENCY,
+      ({ project, keywords }) => {
+        const repo = repositories.find(
+          (r) => r.url === project.url || r.name === project.repoName,
+        );
+        return tailorProjectDescription(project, job, keywords, repo?.readme);
+      },
+    ),
+  ]);
+
+  const projectRewrites = Object.fromEntries(
+    relevant.map(({ project }, index) => [project.url, descriptions[index]]),
+  );
+
+  return { job, rewrites: { summary, projects: projectRewrites } };
+}
+
 /**
  * Regenerate a specific section of the CV
  * @param {string} section - Section to regenerate ('summary', 'project')
@@ -436,7 +810,7 @@ export async function getLLMStatus() {
       enabled: data.enabled,
       hasApiKey: data.configured,
       model: data.model,
-      provider: "OpenRouter (via Backend)",
+      provider: `${data.providerName || "OpenRouter"} (via Backend)`,
     };
   } catch (error) {
     return {
@@ -0,0 +1,63 @@
+/**
+ * Text Diff
+ * Word-level diff for comparing regenerated descriptions with the user's text
+ */
+
+/**
+ * Diffs two texts word by word (longest common subsequence)
+ * @param {string} before - Previous text
+ * @param {string} after - New text
+ * @returns {Array} - [{ type: "equal" | "added" | "removed", text }]
+ */
+export function diffWords(before = "", after = "") {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0),
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("equal", a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push("removed", a[i++]);
+    } else {
+      push("added", b[j++]);
+    }
+  }
+  while (i < a.length) push("removed", a[i++]);
+  while (j < b.length) push("added", b[j++]);
+
+  return parts;
+}
+
+/**
+ * Splits text into words and the whitespace between them
+ */
+function tokenize(text) {
+  return String(text || "").match(/\s+|[^\s]+/g) || [];
+}
@@ -0,0 +1,485 @@
+/**
+ * Text Renderer Service
+ * Renders CV data as Markdown (for profile READMEs and gists) or as ATS-safe
+ * plain text (for pasting into application forms)
+ */
+
+import { shouldShowContributionGraph } from "../templates/contributionGraph.js";
+import { formatDate, formatDateRange } from "../templates/dateRange.js";
+import { getTemplate } from "../templates/index.js";
+import { joinSections } from "../templates/layout.js";
+import { PLAIN_MARKUP, formatPublication } from "../templates/publications.js";
+
+/**
+ * Markdown flavour per template
+ * badges: shields.io badges for contact links, stats and skills
+ * skillsTable: skills as a category table instead of a bullet list
+ */
+const MARKDOWN_STYLES = {
+  modern: { badges: false, skillsTable: true },
+  minimal: { badges: false, skillsTable: false },
+  academic: { badges: false, skillsTable: true },
+  "tech-focused": { badges: true, skillsTable: true },
+};
+
+const BADGE_COLOR = "0366D6";
+
+/**
+ * Renders the CV as Markdown
+ * @param {Object} cvData - CV data
+ * @param {string} templateId - Template ID
+ * @returns {string} - Markdown
+ */
+export function renderCVToMarkdown(cvData, templateId = "modern") {
+  const style = MARKDOWN_STYLES[templateId] || MARKDOWN_STYLES.modern;
+  const { personalInfo, summary, skills, projects, contributions, statistics } =
+    cvData;
+
+  const contactLinks = [
+    personalInfo.email && {
+      label: "Email",
+      text: personalInfo.email,
+      url: `mailto:${personalInfo.email}`,
+      logo: "gmail",
+    },
+    personalInfo.github && {
+      label: "GitHub",
+      text: "GitHub",
+      url: personalInfo.github,
+      logo: "github",
+    },
+    personalInfo.website && {
+      label: "Website",
+      text: "Website",
+      url: personalInfo.website,
+      logo: "googlechrome",
+    },
+  ].filter(Boolean);
+
+  const header = [
+    `# ${escapeMarkdown(personalInfo.name)}`,
+    `**${escapeMarkdown(personalInfo.title || "Software Developer")}**${
+      personalInfo.location ? ` · ${escapeMarkdown(personalInfo.location)}` : ""
+    }`,
+    style.badges
+      ? contactLinks
+          .map(
+            (contact) =>
+              `[![${contact.label}](${badgeUrl(contact.label, null, "24292E", contact.logo)})](${contact.url})`,
+          )
+          .join(" ")
+      : contactLinks
+          .map((contact) => `[${escapeMarkdown(contact.text)}](${contact.url})`)
+          .join(" · "),
+  ];
+
+  const skillEntries = getSkillEntries(skills);
+  const skillsMarkdown = style.skillsTable
+    ? [
+        "| Category | Skills |",
+        "| --- | --- |",
+        ...skillEntries.map(
+          ([category, names]) =>
+            `| ${escapeMarkdown(category)} | ${
+              style.badges
+                ? names
+                    .map(
+                      (name) =>
+                        `![${escapeMarkdown(name)}](${badgeUrl(name, null, BADGE_COLOR, toLogoSlug(name))})`,
+                    )
+                    .join(" ")
+                : names.map(escapeMarkdown).join(", ")
+            } |`,
+        ),
+      ].join("\n")
+    : skillEntries
+        .map(
+          ([category, names]) =>
+            `- **${escapeMarkdown(category)}:** ${names
+              .map(escapeMarkdown)
+              .join(", ")}`,
+        )
+        .join("\n");
+
+  const projectsMarkdown = (projects || [])
+    .map((project) =>
+      [
+        `### ${
+          project.url
+            ? `[${escapeMarkdown(project.name)}](${project.url})`
+            : escapeMarkdown(project.name)
+        }`,
+        project.technologies?.length
+          ? `*${project.technologies.map(escapeMarkdown).join(", ")}*`
+          : "",
+        escapeMarkdown(project.description || ""),
+        (project.highlights || [])
+          .map((highlight) => `- ${escapeMarkdown(highlight)}`)
+          .join("\n"),
+      ]
+        .filter(Boolean)
+        .join("\n\n"),
+    )
+    .join("\n\n");
+
+  const experienceMarkdown = (cvData.experience || [])
+    .map((job) =>
+      [
+        `### ${escapeMarkdown(job.role)}${
+          job.company ? ` — ${escapeMarkdown(job.company)}` : ""
+        }`,
+        italic(
+          [formatDateRange(job.startDate, job.endDate), job.location]
+            .filter(Boolean)
+            .map(escapeMarkdown)
+            .join(" · "),
+        ),
+        escapeMarkdown(job.summary || ""),
+        (job.highlights || [])
+          .filter(Boolean)
+          .map((highlight) => `- ${escapeMarkdown(highlight)}`)
+          .join("\n"),
+      ]
+        .filter(Boolean)
+        .join("\n\n"),
+    )
+    .join("\n\n");
+
+  const educationMarkdown = (cvData.education || [])
+    .map((entry) =>
+      [
+        `- **${escapeMarkdown(entry.institution)}**`,
+        [entry.degree, entry.field].filter(Boolean).join(", "),
+        formatDateRange(entry.startDate, entry.endDate),
+        entry.gpa && `GPA ${entry.gpa}`,
+        entry.honors,
+      ]
+        .filter(Boolean)
+        .map((part, index) => (index === 0 ? part : escapeMarkdown(part)))
+        .join(" · "),
+    )
+    .join("\n");
+
+  const publicationsMarkdown = (cvData.publications || [])
+    .map(
+      (publication, index) =>
+        `${index + 1}. ${formatPublication(
+          publication,
+          MARKDOWN_CITATION_MARKUP,
+          personalInfo.name,
+        )}`,
+    )
+    .join("\n");
+
+  const datedMarkdown = (entries) =>
+    entries
+      .map(([title, details, date]) =>
+        [
+          `- **${escapeMarkdown(title)}**`,
+          ...[details, formatDate(date)].filter(Boolean).map(escapeMarkdown),
+        ].join(" · "),
+      )
+      .join("\n");
+
+  const contributionsMarkdown = (contributions || [])
+    .slice(0, 5)
+    .map(
+      (contribution) =>
+        `- [${escapeMarkdown(contribution.repository)}](${contribution.url}) — ${
+          contribution.pullRequestCount
+        } merged PR${contribution.pullRequestCount !== 1 ? "s" : ""}`,
+    )
+    .join("\n");
+
+  const statsMarkdown = statistics?.show
+    ? style.badges
+      ? [
+          ["Repositories", statistics.originalRepos],
+          ["Stars", statistics.totalStars],
+          ["Languages", statistics.languageCount],
+          ["Years active", `${statistics.yearsActive}+`],
+        ]
+          .map(
+            ([label, value]) =>
+              `![${label}](${badgeUrl(label, String(value), BADGE_COLOR)})`,
+          )
+          .join(" ")
+      : `${statistics.originalRepos} repositories · ${statistics.totalStars} stars · ${statistics.languageCount} languages · ${statistics.yearsActive}+ years active`
+    : "";
+
+  const activityMarkdown = shouldShowContributionGraph(cvData)
+    ? `${cvData.contributionCalendar.totalContributions} contributions in the last year`
+    : "";
+
+  const sections = {
+    summary: markdownSection("Summary", escapeMarkdown(summary || "")),
+    experience: markdownSection("Experience", experienceMarkdown),
+    skills: markdownSection("Skills", skillsMarkdown),
+    projects: markdownSection("Projects", projectsMarkdown),
+    education: markdownSection("Education", educationMarkdown),
+    publications: markdownSection("Publications", publicationsMarkdown),
+    talks: markdownSection(
+      "Talks",
+      datedMarkdown(getTalkEntries(cvData.talks)),
+    ),
+    certifications: markdownSection(
+      "Certifications",
+      datedMarkdown(getCertificationEntries(cvData.certifications)),
+    ),
+    awards: markdownSection(
+      "Awards",
+      datedMarkdown(getAwardEntries(cvData.awards)),
+    ),
+    contributions: markdownSection(
+      "Open Source Contributions",
+      contributionsMarkdown,
+    ),
+    statistics: markdownSection("GitHub Statistics", statsMarkdown),
+    contributionGraph: markdownSection(
+      "Contribution Activity",
+      activityMarkdown,
+    ),
+  };
+
+  return [
+    header.filter(Boolean).join("\n\n"),
+    joinSections(cvData, sections, getTemplate(templateId).sectionOrder),
+  ]
+    .filter(Boolean)
+    .join("\n\n")
+    .concat("\n");
+}
+
+/**
+ * Renders the CV as plain text that survives ATS parsers and web forms:
+ * upper-case headings, hyphen bullets and full URLs, no markup
+ * @param {Object} cvData - CV data
+ * @returns {string} - Plain text
+ */
+export function renderCVToPlainText(cvData) {
+  const { personalInfo, summary, skills, projects, contributions, statistics } =
+    cvData;
+
+  const header = [
+    personalInfo.name,
+    personalInfo.title || "Software Developer",
+    [
+      personalInfo.location,
+      personalInfo.email,
+      personalInfo.github,
+      personalInfo.website,
+    ]
+      .filter(Boolean)
+      .join(" | "),
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  const skillsText = getSkillEntries(skills)
+    .map(([category, names]) => `${category}: ${names.join(", ")}`)
+    .join("\n");
+
+  const projectsText = (projects || [])
+    .map((project) =>
+      [
+        project.technologies?.length
+          ? `${project.name} (${project.technologies.join(", ")})`
+          : project.name,
+        project.description,
+        ...(project.highlights || []).map((highlight) => `- ${highlight}`),
+        project.url,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    )
+    .join("\n\n");
+
+  const experienceText = (cvData.experience || [])
+    .map((job) =>
+      [
+        [job.role, job.company].filter(Boolean).join(", "),
+        [formatDateRange(job.startDate, job.endDate, " - "), job.location]
+          .filter(Boolean)
+          .join(" | "),
+        job.summary,
+        ...(job.highlights || [])
+          .filter(Boolean)
+          .map((highlight) => `- ${highlight}`),
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    )
+    .join("\n\n");
+
+  const educationText = (cvData.education || [])
+    .map((entry) =>
+      [
+        entry.institution,
+        [entry.degree, entry.field].filter(Boolean).join(", "),
+        [
+          formatDateRange(entry.startDate, entry.endDate, " - "),
+          entry.gpa && `GPA ${entry.gpa}`,
+          entry.honors,
+        ]
+          .filter(Boolean)
+          .join(" | "),
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    )
+    .join("\n\n");
+
+  const publicationsText = (cvData.publications || [])
+    .map(
+      (publication, index) =>
+        `[${index + 1}] ${formatPublication(publication, PLAIN_MARKUP)}`,
+    )
+    .join("\n");
+
+  const datedText = (entries) =>
+    entries
+      .map(([title, details, date]) =>
+        [title, details, formatDate(date)].filter(Boolean).join(" | "),
+      )
+      .join("\n");
+
+  const contributionsText = (contributions || [])
+    .slice(0, 5)
+    .map(
+      (contribution) =>
+        `- ${contribution.repository}: ${contribution.pullRequestCount} merged pull request${
+          contribution.pullRequestCount !== 1 ? "s" : ""
+        }`,
+    )
+    .join("\n");
+
+  const statsText = statistics?.show
+    ? `${statistics.originalRepos} repositories, ${statistics.totalStars} stars, ${statistics.languageCount} languages, ${statistics.yearsActive}+ years active`
+    : "";
+
+  const sections = {
+    summary: textSection("Summary", summary),
+    experience: textSection("Experience", experienceText),
+    skills: textSection("Skills", skillsText),
+    projects: textSection("Projects", projectsText),
+    education: textSection("Education", educationText),
+    publications: textSection("Publications", publicationsText),
+    talks: textSection("Talks", datedText(getTalkEntries(cvData.talks))),
+    certifications: textSection(
+      "Certifications",
+      datedText(getCertificationEntries(cvData.certifications)),
+    ),
+    awards: textSection("Awards", datedText(getAwardEntries(cvData.awards))),
+    contributions: textSection("Open Source Contributions", contributionsText),
+    statistics: textSection("GitHub Statistics", statsText),
+  };
+
+  return [header, joinSections(cvData, sections)]
+    .filter(Boolean)
+    .join("\n\n")
+    .concat("\n");
+}
+
+/**
+ * Skill categories with plain skill names, skipping empty categories
+ * @returns {Array} - [[category, [name]]]
+ */
+function getSkillEntries(skills) {
+  return Object.entries(skills || {})
+    .filter(
+      ([_, skillList]) => Array.isArray(skillList) && skillList.length > 0,
+    )
+    .map(([category, skillList]) => [
+      category,
+      skillList.map((s) => (typeof s === "string" ? s : s.name)),
+    ]);
+}
+
+/**
+ * Talks, certifications and awards as [title, details, date] rows
+ */
+function getTalkEntries(talks) {
+  return (talks || []).map((talk) => [
+    talk.title,
+    [talk.event, talk.location].filter(Boolean).join(", "),
+    talk.date,
+  ]);
+}
+
+function getCertificationEntries(certifications) {
+  return (certifications || []).map((certification) => [
+    certification.name,
+    certification.issuer,
+    certification.date,
+  ]);
+}
+
+function getAwardEntries(awards) {
+  return (awards || []).map((award) => [
+    award.title,
+    [award.issuer, award.description].filter(Boolean).join(": "),
+    award.date,
+  ]);
+}
+
+function markdownSection(title, body) {
+  return body ? `## ${title}\n\n${body}` : "";
+}
+
+function italic(text) {
+  return text ? `*${text}*` : "";
+}
+
+function textSection(title, body) {
+  return body ? `${title.toUpperCase()}\n\n${body}` : "";
+}
+
+/**
+ * Builds a shields.io static badge URL
+ * @param {string} label - Left-hand text
+ * @param {string|null} message - Right-hand text, or null for a single-part badge
+ * @param {string} color - Hex color without "#"
+ * @param {string} logo - Simple Icons slug
+ * @returns {string} - Badge image URL
+ */
+function badgeUrl(label, message, color, logo) {
+  // shields.io treats "-" and "_" as separators, doubled they are literals
+  const encode = (text) =>
+    encodeURIComponent(text.replace(/-/g, "--").replace(/_/g, "__"));
+  const path = [encode(label), message !== null ? encode(message) : null, color]
+    .filter(Boolean)
+    .join("-");
+
+  return `https://img.shields.io/badge/${path}?style=flat-square${
+    logo ? `&logo=${logo}&logoColor=white` : ""
+  }`;
+}
+
+/**
+ * Converts a skill name to a Simple Icons slug (e.g. "C++" -> "cplusplus")
+ */
+function toLogoSlug(name) {
+  return name
+    .toLowerCase()
+    .replace(/\+/g, "plus")
+    .replace(/#/g, "sharp")
+    .replace(/\./g, "dot")
+    .replace(/[^a-z0-9]/g, "");
+}
+
+const MARKDOWN_CITATION_MARKUP = {
+  escape: escapeMarkdown,
+  italic: (text) => `*${text}*`,
+  bold: (text) => `**${text}**`,
+  quote: (text) => `"${text}"`,
+  link: (url, text) => `[${text}](${url})`,
+  dash: "–",
+};
+
+/**
+ * Escapes characters Markdown would treat as formatting
+ */
+function escapeMarkdown(text) {
+  if (!text) return "";
+  return String(text).replace(/([\\`*_[\]<>|])/g, "\\$1");
+}
@@ -3,11 +3,37 @@
  * Traditional academic style with structured sections
  */
 
+import {
+  contributionGraphPreamble,
+  generateContributionGraphLatex,
+  shouldShowContributionGraph,
+} from "./contributionGraph.js";
+import { formatDate, formatDateRange } from "./dateRange.js";
+import { joinSections } from "./layout.js";
+import { formatPublication, latexCitationMarkup } from "./publications.js";
+
+// Academic CVs lead with education and publications
+const SECTION_ORDER = [
+  "summary",
+  "education",
+  "publications",
+  "talks",
+  "experience",
+  "awards",
+  "certifications",
+  "skills",
+  "projects",
+  "contributions",
+  "statistics",
+  "contributionGraph",
+];
+
 export const academicTemplate = {
   id: "academic",
   name: "Academic",
   description: "Traditional academic CV format with detailed sections",
   preview: "🎓",
+  sectionOrder: SECTION_ORDER,
 
   /**
    * Generates LaTeX code for the academic CV template
@@ -15,7 +41,20 @@ export const academicTemplate = {
    * @returns {string} - LaTeX code
    */
   generate(cvData) {
-    const { personalInfo, summary, skills, projects, statistics } = cvData;
+    const {
+      personalInfo,
+      summary,
+      skills,
+      projects,
+      contributions,
+      statistics,
+      experience,
+      education,
+      certifications,
+      publications,
+      talks,
+      awards,
+    } = cvData;
 
     // Escape LaTeX special characters
     const escape = (text) => {
@@ -33,15 +72,106 @@ export const academicTemplate = {
         .replace(/\^/g, "\\textasciicircum{}");
     };
 
-    // Format date
-    const formatDate = (dateStr) => {
-      if (!dateStr) return "";
-      const date = new Date(dateStr);
-      return date.toLocaleDateString("en-US", {
-        year: "numeric",
-        month: "short",
-      });
-    };
+    // Generate education, which leads an academic CV
+    const educationLatex = (education || [])
+      .map((entry) => {
+        const degree = [entry.degree, entry.field].filter(Boolean).join(" in ");
+        const details = [
+          entry.gpa ? `GPA: ${escape(entry.gpa)}` : "",
+          escape(entry.honors),
+        ].filter(Boolean);
+
+        return `\\textbf{${escape(degree || entry.institution)}}${
+          degree ? `, ${escape(entry.institution)}` : ""
+        } \\hfill ${formatDateRange(entry.startDate, entry.endDate, " -- ")}${
+          details.length ? `\\\\\n\\textit{${details.join("; ")}}` : ""
+        }`;
+      })
+      .join("\n\n");
+
+    // Generate professional experience with bullet points
+    const experienceLatex = (experience || [])
+      .map((job) => {
+        const highlights = (job.highlights || [])
+          .filter(Boolean)
+          .map((h) => `\\item ${escape(h)}`)
+          .join("\n");
+
+        const employer = [job.company, job.location]
+          .filter(Boolean)
+          .map(escape)
+          .join(", ");
+
+        return `\\textbf{${escape(job.role)}}${employer ? `, ${employer}` : ""} \\hfill ${formatDateRange(job.startDate, job.endDate, " -- ")}${
+          job.summary ? `\\\\\n${escape(job.summary)}` : ""
+        }${
+          highlights
+            ? `
+\\begin{itemize}[leftmargin=*, nosep]
+${highlights}
+\\end{itemize}`
+            : ""
+        }`;
+      })
+      .join("\n\n");
+
+    // Generate publications as a numbered bibliography in biblatex's
+    // standard style, highlighting the CV owner among the authors
+    const publicationsLatex = (publications || [])
+      .map(
+        (publication) =>
+          `\\item ${formatPublication(
+            publication,
+            latexCitationMarkup(escape),
+            personalInfo.name
+          )}`
+      )
+      .join("\n");
+
+    // Generate invited and conference talks
+    const talksLatex = (talks || [])
+      .map((talk) => {
+        const venue = [talk.event, talk.location]
+          .filter(Boolean)
+          .map(escape)
+          .join(", ");
+        const title = talk.url
+          ? `\\href{${talk.url}}{${escape(talk.title)}}`
+          : escape(talk.title);
+
+        return `\\item \`\`${title}''${venue ? `. ${venue}` : ""}${
+          talk.date ? `, ${formatDate(talk.date)}` : ""
+        }.`;
+      })
+      .join("\n");
+
+    // Generate honors and certifications as dated entries
+    const awardsLatex = (awards || [])
+      .map(
+        (award) =>
+          `\\textbf{${escape(award.title)}}${
+            award.issuer ? `, ${escape(award.issuer)}` : ""
+          } \\hfill ${formatDate(award.date)}${
+            award.description ? `\\\\\n${escape(award.description)}` : ""
+          }`
+      )
+      .join("\n\n");
+
+    const certificationsLatex = (certifications || [])
+      .map((certification) => {
+        const name = certification.url
+          ? `\\href{${certification.url}}{${escape(certification.name)}}`
+          : escape(certification.name);
+
+        return `\\textbf{${name}}${
+          certification.issuer ? `, ${escape(certification.issuer)}` : ""
+        }${
+          certification.credentialId
+            ? ` (Credential ID ${escape(certification.credentialId)})`
+            : ""
+        } \\hfill ${formatDate(certification.date)}`;
+      })
+      .join("\n\n");
 
     // Generate skills by category - handle both strings and objects
     const skillsLatex = Object.entries(skills || {})
@@ -87,6 +217,93 @@ ${escape(project.description || "")}${
       })
       .join("\n\n");
 
+    // Generate open source contributions with their merged pull requests
+    const contributionsLatex = (contributions || [])
+      .slice(0, 8)
+      .map((contribution) => {
+        const count = contribution.pullRequestCount;
+        const titles = contribution.pullRequests
+          .slice(0, 3)
+          .map((pr) => `\\item ${escape(pr.title)}`)
+          .join("\n");
+
+        return `\\item \\textbf{\\href{${contribution.url}}{${escape(
+          contribution.repository
+        )}}} (${count} merged PR${count !== 1 ? "s" : ""})
+\\begin{itemize}[leftmargin=*, nosep]
+${titles}
+\\end{itemize}`;
+      })
+      .join("\n\n");
+
+    const showContributionGraph = shouldShowContributionGraph(cvData);
+
+    // Sections in the CV's layout order
+    const sectionsLatex = {
+      summary: `\\section*{Research Interests \\& Summary}
+${escape(summary)}
+`,
+      education: educationLatex
+        ? `\\section*{Education}\n${educationLatex}\n`
+        : "",
+      publications: publicationsLatex
+        ? `\\section*{Publications}
+\\begin{enumerate}[leftmargin=*, label={[\\arabic*]}, itemsep=0.3em]
+${publicationsLatex}
+\\end{enumerate}
+`
+        : "",
+      talks: talksLatex
+        ? `\\section*{Conference Talks}
+\\begin{itemize}[leftmargin=*, itemsep=0.2em]
+${talksLatex}
+\\end{itemize}
+`
+        : "",
+      experience: experienceLatex
+        ? `\\section*{Professional Experience}\n${experienceLatex}\n`
+        : "",
+      awards: awardsLatex
+        ? `\\section*{Honors \\& Awards}\n${awardsLatex}\n`
+        : "",
+      certifications: certificationsLatex
+        ? `\\section*{Certifications}\n${certificationsLatex}\n`
+        : "",
+      skills: `\\section*{Technical Expertise}
+${skillsLatex}
+`,
+      projects: projectsLatex
+        ? `\\section*{Selected Projects \\& Contributions}
+\\begin{enumerate}[leftmargin=*, label={[\\arabic*]}]
+${projectsLatex}
+\\end{enumerate}
+`
+        : "",
+      contributions: contributionsLatex
+        ? `\\section*{Open Source Contributions}
+\\begin{itemize}[leftmargin=*]
+${contributionsLatex}
+\\end{itemize}
+`
+        : "",
+      statistics: statistics?.show
+        ? `\\section*{Open Source Metrics}
+\\begin{tabular}{ll}
+\\textbf{Public Repositories:} & ${statistics.originalRepos} \\\\
+\\textbf{Total Stars Received:} & ${statistics.totalStars} \\\\
+\\textbf{Repository Forks:} & ${statistics.totalForks} \\\\
+\\textbf{Programming Languages:} & ${statistics.languageCount} \\\\
+\\textbf{Years Active:} & ${statistics.yearsActive} \\\\
+\\end{tabular}
+`
+        : "",
+      contributionGraph: showContributionGraph
+        ? `\\section*{Contribution Activity}
+${generateContributionGraphLatex(cvData.contributionCalendar)}
+`
+        : "",
+    };
+
     return `\\documentclass[11pt,a4paper]{article}
 
 % Packages
@@ -97,7 +314,13 @@ ${escape(project.description || "")}${
 \\usepackage{hyperref}
 \\usepackage{enumitem}
 \\usepackage{titlesec}
-
+${
+  showContributionGraph
+    ? `\\usepackage{tikz}
+${contributionGraphPreamble()}
+`
+    : ""
+}
 % Section formatting
 \\titleformat{\\section}{\\large\\bfseries}{}{0em}{}[\\vspace{-0.5em}\\rule{\\textwidth}{0.5pt}]
 \\titleformat{\\subsection}{\\normalsize\\bfseries}{}{0em}{}
@@ -149,29 +372,7 @@ ${
 \\end{tabular}
 \\end{center}
 
-\\section*{Research Interests \\& Summary}
-${escape(summary)}
-
-\\section*{Technical Expertise}
-${skillsLatex}
-
-\\section*{Selected Projects \\& Contributions}
-\\begin{enumerate}[leftmargin=*, label={[\\arabic*]}]
-${projectsLatex}
-\\end{enumerate}
-
-${
-  statistics?.show
-    ? `\\section*{Open Source Metrics}
-\\begin{tabular}{ll}
-\\textbf{Public Repositories:} & ${statistics.originalRepos} \\\\
-\\textbf{Total Stars Received:} & ${statistics.totalStars} \\\\
-\\textbf{Repository Forks:} & ${statistics.totalForks} \\\\
-\\textbf{Programming Languages:} & ${statistics.languageCount} \\\\
-\\textbf{Years Active:} & ${statistics.yearsActive} \\\\
-\\end{tabular}`
-    : ""
-}
+${joinSections(cvData, sectionsLatex, SECTION_ORDER)}
 
 \\end{document}`;
   },
@@ -0,0 +1,71 @@
+/**
+ * Contribution Graph
+ * Shared TikZ rendering of the GitHub contribution calendar for all templates
+ */
+
+import { isSectionVisible } from "./layout.js";
+
+/**
+ * GitHub heatmap colors by contribution level (hex, without "#")
+ */
+export const CONTRIBUTION_LEVEL_COLORS = {
+  NONE: "EBEDF0",
+  FIRST_QUARTILE: "9BE9A8",
+  SECOND_QUARTILE: "40C463",
+  THIRD_QUARTILE: "30A14E",
+  FOURTH_QUARTILE: "216E39",
+};
+
+/**
+ * Checks whether the CV should render a contribution graph
+ * @param {Object} cvData - CV data
+ * @returns {boolean} - True if enabled, not hidden in the layout and calendar
+ * data is present
+ */
+export function shouldShowContributionGraph(cvData) {
+  return Boolean(
+    cvData.settings?.showContributionGraph &&
+    cvData.contributionCalendar?.weeks?.length &&
+    isSectionVisible(cvData, "contributionGraph"),
+  );
+}
+
+/**
+ * Generates color definitions for the contribution graph (preamble)
+ * @returns {string} - LaTeX color definitions
+ */
+export function contributionGraphPreamble() {
+  return Object.entries(CONTRIBUTION_LEVEL_COLORS)
+    .map(
+      ([level, hex]) =>
+        `\\definecolor{contrib${level.replace(/_/g, "")}}{HTML}{${hex}}`,
+    )
+    .join("\n");
+}
+
+/**
+ * Generates a TikZ heatmap of the contribution calendar
+ * Requires tikz and the colors from contributionGraphPreamble()
+ * @param {Object} calendar - { totalContributions, weeks: [[{ date, count, level }]] }
+ * @returns {string} - LaTeX code
+ */
+export function generateContributionGraphLatex(calendar) {
+  const cells = calendar.weeks
+    .flatMap((week, x) =>
+      week.map((day) => {
+        // Sunday-first rows, matching GitHub's layout
+        const y = new Date(`${day.date}T00:00:00Z`).getUTCDay();
+        const color = `contrib${(day.level || "NONE").replace(/_/g, "")}`;
+        return `\\fill[${color}] (${x},-${y}) rectangle ++(0.8,-0.8);`;
+      }),
+    )
+    .join("\n");
+
+  return `\\noindent\\resizebox{\\linewidth}{!}{%
+\\begin{tikzpicture}[x=0.3cm,y=0.3cm]
+${cells}
+\\end{tikzpicture}%
+}
+
+{\\small ${calendar.totalContributions} contributions in the last year}`;
+}
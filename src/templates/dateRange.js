@@ -0,0 +1,51 @@
+/**
+ * Date Range Helpers
+ * Shared date formatting for experience, education and project entries
+ */
+
+const MONTHS = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+/**
+ * Formats an ISO date ("2021", "2021-03", "2021-03-14" or a timestamp) as
+ * "Mar 2021"; anything else (e.g. "Summer 2019") is returned unchanged
+ * @param {string} date - Date string
+ * @returns {string} - Formatted date
+ */
+export function formatDate(date) {
+  if (!date) return "";
+
+  // Parsed by hand so a "YYYY-MM" value never shifts month with the timezone
+  const match = String(date).match(/^(\d{4})(?:-(\d{2}))?/);
+  if (!match) return String(date);
+
+  const [, year, month] = match;
+  return month ? `${MONTHS[parseInt(month) - 1]} ${year}` : year;
+}
+
+/**
+ * Formats a start/end pair, treating a missing end date as ongoing
+ * @param {string} startDate - Start date
+ * @param {string} endDate - End date, empty while ongoing
+ * @param {string} separator - Text between the dates ("--" in LaTeX)
+ * @returns {string} - e.g. "Mar 2021 – Present"
+ */
+export function formatDateRange(startDate, endDate, separator = " – ") {
+  const start = formatDate(startDate);
+  const end = endDate ? formatDate(endDate) : "Present";
+
+  if (!start) return endDate ? end : "";
+  return start === end ? start : `${start}${separator}${end}`;
+}
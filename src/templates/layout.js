@@ -0,0 +1,107 @@
+/**
+ * CV Layout
+ * Section order and visibility, stored per CV as
+ * cvData.layout = { sections: [{ id, visible }] }
+ *
+ * Without a saved layout each template keeps its own default order, so the
+ * layout only changes output once the user reorders or hides a section.
+ */
+
+/**
+ * Sections that can be reordered or hidden, with their editor labels
+ */
+export const LAYOUT_SECTIONS = {
+  summary: "Summary",
+  experience: "Experience",
+  education: "Education",
+  skills: "Skills",
+  projects: "Projects",
+  publications: "Publications",
+  talks: "Talks",
+  certifications: "Certifications",
+  awards: "Awards",
+  contributions: "Open Source Contributions",
+  statistics: "GitHub Statistics",
+  contributionGraph: "Contribution Graph",
+};
+
+/**
+ * Section order used when neither the CV nor the template defines one
+ */
+export const DEFAULT_SECTION_ORDER = [
+  "summary",
+  "experience",
+  "skills",
+  "projects",
+  "education",
+  "publications",
+  "talks",
+  "certifications",
+  "awards",
+  "contributions",
+  "statistics",
+  "contributionGraph",
+];
+
+/**
+ * Returns the full layout, including hidden sections
+ * Sections missing from a saved layout (e.g. added in a later version) are
+ * appended as visible.
+ * @param {Object} cvData - CV data
+ * @param {Array} defaultOrder - Template's default section order
+ * @returns {Array} - [{ id, visible }] in display order
+ */
+export function getLayout(cvData, defaultOrder = DEFAULT_SECTION_ORDER) {
+  const saved = (cvData.layout?.sections || []).filter(
+    (section) => section.id in LAYOUT_SECTIONS,
+  );
+  const savedIds = new Set(saved.map((section) => section.id));
+  const missing = [...defaultOrder, ...Object.keys(LAYOUT_SECTIONS)]
+    .filter((id, index, ids) => !savedIds.has(id) && ids.indexOf(id) === index)
+    .map((id) => ({ id, visible: true }));
+
+  return [...saved, ...missing];
+}
+
+/**
+ * Returns the ids of the visible sections in display order
+ * @param {Object} cvData - CV data
+ * @param {Array} defaultOrder - Template's default section order
+ * @returns {Array<string>} - Section ids
+ */
+export function getSectionOrder(cvData, defaultOrder = DEFAULT_SECTION_ORDER) {
+  return getLayout(cvData, defaultOrder)
+    .filter((section) => section.visible)
+    .map((section) => section.id);
+}
+
+/**
+ * Checks whether a section is visible in the CV's layout
+ * @param {Object} cvData - CV data
+ * @param {string} id - Section id
+ * @returns {boolean} - False only if the user hid the section
+ */
+export function isSectionVisible(cvData, id) {
+  const section = cvData.layout?.sections?.find((entry) => entry.id === id);
+  return section ? section.visible : true;
+}
+
+/**
+ * Joins rendered sections in layout order, skipping empty ones
+ * @param {Object} cvData - CV data
+ * @param {Object} rendered - Rendered output keyed by section id
+ * @param {Array} defaultOrder - Template's default section order
+ * @param {string} separator - Text between sections
+ * @returns {string} - Sections in order
+ */
+export function joinSections(
+  cvData,
+  rendered,
+  defaultOrder = DEFAULT_SECTION_ORDER,
+  separator = "\n\n",
+) {
+  return getSectionOrder(cvData, defaultOrder)
+    .map((id) => rendered[id])
+    .filter(Boolean)
+    .join(separator);
+}
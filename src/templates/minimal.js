@@ -3,11 +3,21 @@
  * Simple, elegant design with focus on content
  */
 
+import {
+  contributionGraphPreamble,
+  generateContributionGraphLatex,
+  shouldShowContributionGraph,
+} from "./contributionGraph.js";
+import { formatDate, formatDateRange } from "./dateRange.js";
+import { DEFAULT_SECTION_ORDER, joinSections } from "./layout.js";
+import { formatPublication, latexCitationMarkup } from "./publications.js";
+
 export const minimalTemplate = {
   id: "minimal",
   name: "Minimal",
   description: "Clean and simple design focusing on content",
   preview: "📄",
+  sectionOrder: DEFAULT_SECTION_ORDER,
 
   /**
    * Generates LaTeX code for the minimal CV template
@@ -15,7 +25,20 @@ export const minimalTemplate = {
    * @returns {string} - LaTeX code
    */
   generate(cvData) {
-    const { personalInfo, summary, skills, projects, statistics } = cvData;
+    const {
+      personalInfo,
+      summary,
+      skills,
+      projects,
+      contributions,
+      statistics,
+      experience,
+      education,
+      certifications,
+      publications,
+      talks,
+      awards,
+    } = cvData;
 
     // Escape LaTeX special characters
     const escape = (text) => {
@@ -42,6 +65,86 @@ export const minimalTemplate = {
       })
       .join(" · ");
 
+    // Generate experience as role, company and dates with plain bullets
+    const experienceLatex = (experience || [])
+      .map((job) => {
+        const highlights = (job.highlights || [])
+          .filter(Boolean)
+          .map((h) => `\\item ${escape(h)}`)
+          .join("\n");
+
+        return `\\textbf{${escape(job.role)}}${
+          job.company ? `, ${escape(job.company)}` : ""
+        } \\hfill \\textit{${formatDateRange(job.startDate, job.endDate, " -- ")}}
+${job.summary ? `\n${escape(job.summary)}\n` : ""}${
+          highlights
+            ? `\\begin{itemize}
+${highlights}
+\\end{itemize}`
+            : ""
+        }
+`;
+      })
+      .join("\\vspace{0.5em}\n\n");
+
+    // Generate education as one line per degree
+    const educationLatex = (education || [])
+      .map((entry) => {
+        const degree = [entry.degree, entry.field].filter(Boolean).join(" in ");
+        const details = [
+          entry.gpa ? `GPA ${escape(entry.gpa)}` : "",
+          escape(entry.honors),
+        ].filter(Boolean);
+
+        return `\\textbf{${escape(entry.institution)}}${
+          degree ? `, ${escape(degree)}` : ""
+        }${details.length ? ` (${details.join(", ")})` : ""} \\hfill \\textit{${formatDateRange(
+          entry.startDate,
+          entry.endDate,
+          " -- "
+        )}}`;
+      })
+      .join("\\\\\n");
+
+    // Generate publications as one citation per paragraph
+    const publicationsLatex = (publications || [])
+      .map((publication) =>
+        formatPublication(
+          publication,
+          latexCitationMarkup(escape),
+          personalInfo.name
+        )
+      )
+      .join("\n\n");
+
+    // Generate talks, certifications and awards as one line each
+    const talksLatex = (talks || [])
+      .map(
+        (talk) =>
+          `\\textbf{${escape(talk.title)}}${
+            talk.event ? `, ${escape(talk.event)}` : ""
+          } \\hfill \\textit{${formatDate(talk.date)}}`
+      )
+      .join("\\\\\n");
+
+    const certificationsLatex = (certifications || [])
+      .map(
+        (certification) =>
+          `\\textbf{${escape(certification.name)}}${
+            certification.issuer ? `, ${escape(certification.issuer)}` : ""
+          } \\hfill \\textit{${formatDate(certification.date)}}`
+      )
+      .join("\\\\\n");
+
+    const awardsLatex = (awards || [])
+      .map(
+        (award) =>
+          `\\textbf{${escape(award.title)}}${
+            award.issuer ? `, ${escape(award.issuer)}` : ""
+          } \\hfill \\textit{${formatDate(award.date)}}`
+      )
+      .join("\\\\\n");
+
     // Generate projects section
     const projectsLatex = (projects || [])
       .slice(0, 5)
@@ -62,6 +165,57 @@ ${escape(project.description || "")}${repoLink}
       })
       .join("\\vspace{0.5em}\n\n");
 
+    // Generate open source contributions as one line per repository
+    const contributionsLatex = (contributions || [])
+      .slice(0, 5)
+      .map((contribution) => {
+        const count = contribution.pullRequestCount;
+        return `\\href{${contribution.url}}{${escape(
+          contribution.repository
+        )}} \\hfill \\textit{${count} merged PR${count !== 1 ? "s" : ""}}`;
+      })
+      .join("\\\\\n");
+
+    const showContributionGraph = shouldShowContributionGraph(cvData);
+
+    // Sections in the CV's layout order, each below a thin rule; empty
+    // sections are left out
+    const block = (title, body) =>
+      body
+        ? `\\sectionline
+
+% ${title}
+\\textbf{${title}}
+
+${body}
+`
+        : "";
+
+    const sectionsLatex = {
+      summary: block("About", escape(summary)),
+      experience: block("Experience", experienceLatex),
+      skills: block("Skills", allSkills),
+      projects: block("Projects", projectsLatex),
+      education: block("Education", educationLatex),
+      publications: block("Publications", publicationsLatex),
+      talks: block("Talks", talksLatex),
+      certifications: block("Certifications", certificationsLatex),
+      awards: block("Awards", awardsLatex),
+      contributions: block("Open Source", contributionsLatex),
+      statistics: block(
+        "GitHub",
+        statistics?.show
+          ? `${statistics.originalRepos} repositories · ${statistics.totalStars} stars · ${statistics.languageCount} languages`
+          : ""
+      ),
+      contributionGraph: block(
+        "Activity",
+        showContributionGraph
+          ? generateContributionGraphLatex(cvData.contributionCalendar)
+          : ""
+      ),
+    };
+
     return `\\documentclass[11pt,a4paper]{article}
 
 % Packages
@@ -71,7 +225,13 @@ ${escape(project.description || "")}${repoLink}
 \\usepackage[margin=1.25in]{geometry}
 \\usepackage{hyperref}
 \\usepackage{parskip}
-
+${
+  showContributionGraph
+    ? `\\usepackage{tikz}
+${contributionGraphPreamble()}
+`
+    : ""
+}
 % Hyperref setup
 \\hypersetup{
     colorlinks=true,
@@ -114,37 +274,7 @@ ${[
   .join(" | ")}
 \\end{center}
 
-\\sectionline
-
-% Summary
-\\textbf{About}
-
-${escape(summary)}
-
-\\sectionline
-
-% Skills
-\\textbf{Skills}
-
-${allSkills}
-
-\\sectionline
-
-% Projects
-\\textbf{Projects}
-
-${projectsLatex}
-
-${
-  statistics?.show
-    ? `\\sectionline
-
-\\textbf{GitHub}
-
-${statistics.originalRepos} repositories · ${statistics.totalStars} stars · ${statistics.languageCount} languages
-`
-    : ""
-}
+${joinSections(cvData, sectionsLatex, DEFAULT_SECTION_ORDER)}
 
 \\end{document}`;
   },
@@ -7,11 +7,21 @@
  * - Quantifiable achievements emphasized
  */
 
+import {
+  contributionGraphPreamble,
+  generateContributionGraphLatex,
+  shouldShowContributionGraph,
+} from "./contributionGraph.js";
+import { formatDate, formatDateRange } from "./dateRange.js";
+import { DEFAULT_SECTION_ORDER, joinSections } from "./layout.js";
+import { formatPublication, latexCitationMarkup } from "./publications.js";
+
 export const modernTemplate = {
   id: "modern",
   name: "Modern Professional",
   description: "ATS-friendly design with modern typography and clear structure",
   preview: "🎨",
+  sectionOrder: DEFAULT_SECTION_ORDER,
 
   /**
    * Generates LaTeX code for the modern CV template
@@ -19,7 +29,20 @@ export const modernTemplate = {
    * @returns {string} - LaTeX code
    */
   generate(cvData) {
-    const { personalInfo, summary, skills, projects, statistics } = cvData;
+    const {
+      personalInfo,
+      summary,
+      skills,
+      projects,
+      contributions,
+      statistics,
+      experience,
+      education,
+      certifications,
+      publications,
+      talks,
+      awards,
+    } = cvData;
 
     // Escape LaTeX special characters
     const escape = (text) => {
@@ -53,6 +76,126 @@ export const modernTemplate = {
       })
       .join("\n\n");
 
+    // Generate work experience entries
+    const experienceLatex = (experience || [])
+      .map((job) => {
+        const company = job.url
+          ? `\\href{${job.url}}{${escape(job.company)}}`
+          : escape(job.company);
+        const employer = [company, escape(job.location)]
+          .filter(Boolean)
+          .join(", ");
+        const highlights = (job.highlights || [])
+          .filter(Boolean)
+          .map((h) => `\\item ${escape(h)}`)
+          .join("\n");
+
+        const heading = [
+          `\\textbf{${escape(job.role)}} \\hfill {\\small ${formatDateRange(
+            job.startDate,
+            job.endDate,
+            " -- ",
+          )}}`,
+          employer ? `\\textit{${employer}}` : "",
+        ]
+          .filter(Boolean)
+          .join("\\\\\n");
+
+        return `${heading}
+${job.summary ? `\n${escape(job.summary)}\n` : ""}
+${
+  highlights
+    ? `\\begin{itemize}[leftmargin=1.2em,itemsep=2pt,topsep=4pt]
+${highlights}
+\\end{itemize}`
+    : ""
+}`;
+      })
+      .join("\n\n\\vspace{0.3em}\n");
+
+    // Generate education entries
+    const educationLatex = (education || [])
+      .map((entry) => {
+        const degree = [entry.degree, entry.field].filter(Boolean).join(" in ");
+        const details = [
+          degree ? `\\textit{${escape(entry.institution)}}` : "",
+          entry.gpa ? `GPA: ${escape(entry.gpa)}` : "",
+          escape(entry.honors),
+        ].filter(Boolean);
+
+        return [
+          `\\textbf{${escape(degree || entry.institution)}} \\hfill {\\small ${formatDateRange(
+            entry.startDate,
+            entry.endDate,
+            " -- ",
+          )}}`,
+          details.join(" \\textbullet\\ "),
+        ]
+          .filter(Boolean)
+          .join("\\\\\n");
+      })
+      .join("\n\n\\vspace{0.3em}\n");
+
+    // Generate publications as citations
+    const publicationsLatex = (publications || []).length
+      ? `\\begin{itemize}[leftmargin=1.2em,itemsep=2pt,topsep=4pt]
+${publications
+  .map(
+    (publication) =>
+      `\\item ${formatPublication(
+        publication,
+        latexCitationMarkup(escape),
+        personalInfo.name,
+      )}`,
+  )
+  .join("\n")}
+\\end{itemize}`
+      : "";
+
+    // Generate talks, certifications and awards as one-line entries
+    const talksLatex = (talks || [])
+      .map((talk) => {
+        const title = `\`\`${escape(talk.title)}''`;
+        const where = [talk.event, talk.location]
+          .filter(Boolean)
+          .map(escape)
+          .join(", ");
+
+        return `\\textbf{${talk.url ? `\\href{${talk.url}}{${title}}` : title}}${
+          where ? `, ${where}` : ""
+        } \\hfill {\\small ${formatDate(talk.date)}}`;
+      })
+      .join("\n\n");
+
+    const certificationsLatex = (certifications || [])
+      .map((certification) => {
+        const name = certification.url
+          ? `\\href{${certification.url}}{${escape(certification.name)}}`
+          : escape(certification.name);
+
+        return `\\textbf{${name}}${
+          certification.issuer ? `, ${escape(certification.issuer)}` : ""
+        }${
+          certification.credentialId
+            ? ` {\\small (ID: ${escape(certification.credentialId)})}`
+            : ""
+        } \\hfill {\\small ${formatDate(certification.date)}}`;
+      })
+      .join("\n\n");
+
+    const awardsLatex = (awards || [])
+      .map((award) =>
+        [
+          `\\textbf{${escape(award.title)}}${
+            award.issuer ? `, ${escape(award.issuer)}` : ""
+          } \\hfill {\\small ${formatDate(award.date)}}`,
+          escape(award.description),
+        ]
+          .filter(Boolean)
+          .join("\\\\\n"),
+      )
+      .join("\n\n");
+
     // Generate projects section with impact focus
     const projectsLatex = (projects || [])
       .slice(0, 5)
@@ -84,6 +227,30 @@ ${highlights}
       })
       .join("\n\n\\vspace{0.3em}\n");
 
+    // Generate open source contributions section
+    const contributionsLatex = (contributions || []).length
+      ? `\\section{Open Source Contributions}
+${contributions
+  .slice(0, 5)
+  .map((contribution) => {
+    const count = contribution.pullRequestCount;
+    const titles = contribution.pullRequests
+      .slice(0, 3)
+      .map((pr) => `\\item ${escape(pr.title)}`)
+      .join("\n");
+
+    return `\\textbf{\\href{${contribution.url}}{${escape(
+      contribution.repository,
+    )}}} \\hfill {\\small ${count} merged PR${count !== 1 ? "s" : ""}}
+
+\\begin{itemize}[leftmargin=1.2em,itemsep=2pt,topsep=4pt]
+${titles}
+\\end{itemize}`;
+  })
+  .join("\n\n\\vspace{0.3em}\n")}
+`
+      : "";
+
     // Generate compact GitHub stats
     const statsLatex = statistics?.show
       ? `\\section{GitHub Activity}
@@ -91,6 +258,71 @@ ${highlights}
 `
       : "";
 
+    // Generate contribution heatmap
+    const showContributionGraph = shouldShowContributionGraph(cvData);
+    const contributionGraphLatex = showContributionGraph
+      ? `\\section{Contribution Activity}
+${generateContributionGraphLatex(cvData.contributionCalendar)}
+`
+      : "";
+
+    // Sections in the CV's layout order, each under a comment banner
+    const banner = (title, latex) =>
+      latex
+        ? `% ========================
+% ${title}
+% ========================
+${latex}`
+        : "";
+
+    const sectionsLatex = {
+      summary: banner(
+        "PROFESSIONAL SUMMARY",
+        `\\section{Professional Summary}\n${escape(summary)}\n`,
+      ),
+      experience: banner(
+        "PROFESSIONAL EXPERIENCE",
+        experienceLatex
+          ? `\\section{Professional Experience}\n${experienceLatex}\n`
+          : "",
+      ),
+      skills: banner(
+        "TECHNICAL SKILLS",
+        `\\section{Technical Skills}\n${skillsLatex}\n`,
+      ),
+      projects: banner(
+        "PROJECTS & EXPERIENCE",
+        `\\section{Key Projects \\& Contributions}\n${projectsLatex}\n`,
+      ),
+      education: banner(
+        "EDUCATION",
+        educationLatex ? `\\section{Education}\n${educationLatex}\n` : "",
+      ),
+      publications: banner(
+        "PUBLICATIONS",
+        publicationsLatex
+          ? `\\section{Publications}\n${publicationsLatex}\n`
+          : "",
+      ),
+      talks: banner(
+        "TALKS",
+        talksLatex ? `\\section{Talks}\n${talksLatex}\n` : "",
+      ),
+      certifications: banner(
+        "CERTIFICATIONS",
+        certificationsLatex
+          ? `\\section{Certifications}\n${certificationsLatex}\n`
+          : "",
+      ),
+      awards: banner(
+        "AWARDS",
+        awardsLatex ? `\\section{Awards}\n${awardsLatex}\n` : "",
+      ),
+      contributions: banner("OPEN SOURCE CONTRIBUTIONS", contributionsLatex),
+      statistics: banner("GITHUB STATISTICS", statsLatex),
+      contributionGraph: banner("CONTRIBUTION GRAPH", contributionGraphLatex),
+    };
+
     return `\\documentclass[10pt,a4paper,sans]{article}
 
 % Packages for modern, ATS-friendly CV
@@ -104,12 +336,12 @@ ${highlights}
 \\usepackage{xcolor}
 \\usepackage{titlesec}
 \\usepackage{parskip}
-
+${showContributionGraph ? "\\usepackage{tikz}\n" : ""}
 % Professional color scheme (subtle, ATS-safe)
 \\definecolor{primary}{RGB}{0, 51, 102}
 \\definecolor{accent}{RGB}{70, 130, 180}
 \\definecolor{text}{RGB}{51, 51, 51}
-
+${showContributionGraph ? `${contributionGraphPreamble()}\n` : ""}
 % Hyperref setup (ATS-friendly)
 \\hypersetup{
     colorlinks=true,
@@ -156,28 +388,7 @@ ${personalInfo.location ? `${escape(personalInfo.location)} \\textbullet\\ ` : "
 
 \\vspace{0.5em}
 
-% ========================
-% PROFESSIONAL SUMMARY
-% ========================
-\\section{Professional Summary}
-${escape(summary)}
-
-% ========================
-% TECHNICAL SKILLS
-% ========================
-\\section{Technical Skills}
-${skillsLatex}
-
-% ========================
-% PROJECTS & EXPERIENCE
-% ========================
-\\section{Key Projects \\& Contributions}
-${projectsLatex}
-
-% ========================
-% GITHUB STATISTICS (Optional)
-% ========================
-${statsLatex}
+${joinSections(cvData, sectionsLatex, DEFAULT_SECTION_ORDER)}
 
 \\end{document}`;
   },
@@ -0,0 +1,143 @@
+/**
+ * Publication Formatting
+ * Formats publications as citations in the style of biblatex's standard
+ * bibliography style, for every output format (LaTeX, HTML, Markdown, text).
+ * The citation is built by hand so templates compile in a single pdflatex
+ * run, without biber.
+ */
+
+/**
+ * Publication types offered in the editor, keyed by BibTeX entry type
+ */
+export const PUBLICATION_TYPES = {
+  article: "Journal article",
+  inproceedings: "Conference paper",
+  book: "Book",
+  phdthesis: "PhD thesis",
+  mastersthesis: "Master's thesis",
+  misc: "Other",
+};
+
+/**
+ * Markup for plain text citations; other formats pass their own
+ */
+export const PLAIN_MARKUP = {
+  escape: (text) => (text ? String(text) : ""),
+  italic: (text) => text,
+  bold: (text) => text,
+  quote: (text) => `"${text}"`,
+  link: (url, text) => text,
+  dash: "–",
+};
+
+/**
+ * Formats a publication as a citation, e.g.
+ * Jane Doe and John Smith. "Title". In: Journal 12.3 (2021), pp. 1–10.
+ * @param {Object} publication - Publication entry
+ * @param {Object} markup - Escaping and emphasis functions for the format
+ * @param {string} ownName - Author name to highlight in bold (the CV owner)
+ * @returns {string} - Formatted citation
+ */
+export function formatPublication(
+  publication,
+  markup = PLAIN_MARKUP,
+  ownName = "",
+) {
+  const { escape, italic, quote, link, dash } = markup;
+  const type = publication.type || "misc";
+  const title = escape(publication.title?.trim());
+  const venue = escape(publication.venue?.trim());
+  const year = escape(publication.year);
+  const pages = publication.pages
+    ? `pp. ${escape(String(publication.pages).replace(/\s*(-+|–)\s*/g, dash))}`
+    : "";
+
+  const parts = [formatAuthors(publication.authors, markup, ownName)];
+
+  switch (type) {
+    case "article": {
+      const issue = [publication.volume, publication.number]
+        .filter(Boolean)
+        .map(escape)
+        .join(".");
+      const journal = [
+        venue ? italic(venue) : "",
+        issue,
+        year ? `(${year})` : "",
+      ]
+        .filter(Boolean)
+        .join(" ");
+
+      parts.push(
+        quote(title),
+        journal || pages
+          ? `In: ${[journal, pages].filter(Boolean).join(", ")}`
+          : "",
+      );
+      break;
+    }
+    case "inproceedings":
+      parts.push(
+        quote(title),
+        venue ? `In: ${italic(venue)}` : "",
+        [year, pages].filter(Boolean).join(", "),
+      );
+      break;
+    case "phdthesis":
+    case "mastersthesis":
+      parts.push(
+        italic(title),
+        type === "phdthesis" ? "PhD thesis" : "Master's thesis",
+        [venue, year].filter(Boolean).join(", "),
+      );
+      break;
+    case "book":
+      parts.push(italic(title), [venue, year].filter(Boolean).join(", "));
+      break;
+    default:
+      parts.push(italic(title), venue, year);
+  }
+
+  if (publication.doi) {
+    const doi = publication.doi.replace(/^https?:\/\/(dx\.)?doi\.org\//, "");
+    parts.push(`doi: ${link(`https://doi.org/${doi}`, escape(doi))}`);
+  } else if (publication.url) {
+    parts.push(`url: ${link(publication.url, escape(publication.url))}`);
+  }
+
+  return `${parts.filter(Boolean).join(". ")}.`;
+}
+
+/**
+ * Joins author names biblatex-style: "A and B", "A, B, and C"
+ * "others" (BibTeX's "and others") becomes "et al."
+ */
+function formatAuthors(authors, markup, ownName) {
+  const names = (authors || []).map((name) => name.trim()).filter(Boolean);
+  const etAl = names[names.length - 1]?.toLowerCase() === "others";
+  const listed = (etAl ? names.slice(0, -1) : names).map((name) =>
+    ownName && name.toLowerCase() === ownName.trim().toLowerCase()
+      ? markup.bold(markup.escape(name))
+      : markup.escape(name),
+  );
+
+  if (etAl) return `${listed.join(", ")} et al`;
+  if (listed.length <= 2) return listed.join(" and ");
+  return `${listed.slice(0, -1).join(", ")}, and ${listed[listed.length - 1]}`;
+}
+
+/**
+ * LaTeX markup for citations, using the template's own escape function
+ * @param {Function} escape - Escapes LaTeX special characters
+ * @returns {Object} - Markup for formatPublication
+ */
+export function latexCitationMarkup(escape) {
+  return {
+    escape,
+    italic: (text) => `\\textit{${text}}`,
+    bold: (text) => `\\textbf{${text}}`,
+    quote: (text) => `\`\`${text}''`,
+    link: (url, text) => `\\href{${url}}{${text}}`,
+    dash: "--",
+  };
+}
@@ -3,11 +3,40 @@
  * Developer-oriented design with code styling and metrics
  */
 
+import {
+  contributionGraphPreamble,
+  generateContributionGraphLatex,
+  shouldShowContributionGraph,
+} from "./contributionGraph.js";
+import { formatDate, formatDateRange } from "./dateRange.js";
+import { isSectionVisible, joinSections } from "./layout.js";
+import { formatPublication, latexCitationMarkup } from "./publications.js";
+
+// Sidebar sections (skills, education, certifications, awards) and main
+// column sections are each ordered by the layout
+const SECTION_ORDER = [
+  "statistics",
+  "skills",
+  "education",
+  "certifications",
+  "awards",
+  "summary",
+  "experience",
+  "projects",
+  "contributions",
+  "publications",
+  "talks",
+  "contributionGraph",
+];
+
+const COLUMN_SEPARATOR = "\n\\vspace{1em}\n\n";
+
 export const techFocusedTemplate = {
   id: "tech-focused",
   name: "Tech Focused",
   description: "Developer-centric design with metrics and technical details",
   preview: "💻",
+  sectionOrder: SECTION_ORDER,
 
   /**
    * Generates LaTeX code for the tech-focused CV template
@@ -15,7 +44,20 @@ export const techFocusedTemplate = {
    * @returns {string} - LaTeX code
    */
   generate(cvData) {
-    const { personalInfo, summary, skills, projects, statistics } = cvData;
+    const {
+      personalInfo,
+      summary,
+      skills,
+      projects,
+      contributions,
+      statistics,
+      experience,
+      education,
+      certifications,
+      publications,
+      talks,
+      awards,
+    } = cvData;
 
     // Escape LaTeX special characters
     const escape = (text) => {
@@ -104,6 +146,160 @@ ${techs}${repoLink}
       })
       .join("\\vspace{0.5em}\n\n");
 
+    // Generate open source contributions as project-style entries
+    const contributionsLatex = (contributions || [])
+      .slice(0, 4)
+      .map((contribution) => {
+        const count = contribution.pullRequestCount;
+        const titles = contribution.pullRequests
+          .slice(0, 2)
+          .map((pr) => escape(pr.title))
+          .join(" · ");
+
+        return `\\projectentry{\\href{${contribution.url}}{${escape(
+          contribution.repository
+        )}}}{${count} merged PR${count !== 1 ? "s" : ""}}{${titles}}
+`;
+      })
+      .join("\\vspace{0.5em}\n\n");
+
+    // Generate experience as project-style entries with bullet points
+    const experienceLatex = (experience || [])
+      .map((job) => {
+        const highlights = (job.highlights || [])
+          .filter(Boolean)
+          .map((h) => `\\item ${escape(h)}`)
+          .join("\n");
+
+        return `\\projectentry{${escape(job.role)}${
+          job.company ? ` @ ${escape(job.company)}` : ""
+        }}{${formatDateRange(job.startDate, job.endDate, " -- ")}}{${escape(
+          job.summary || ""
+        )}}
+${
+  highlights
+    ? `\\begin{itemize}[leftmargin=1em,nosep]\\small
+${highlights}
+\\end{itemize}`
+    : ""
+}
+`;
+      })
+      .join("\\vspace{0.5em}\n\n");
+
+    // Generate compact education entries for the sidebar
+    const educationLatex = (education || [])
+      .map((entry) => {
+        const degree = [entry.degree, entry.field].filter(Boolean).join(", ");
+        const dates = formatDateRange(entry.startDate, entry.endDate, " -- ");
+        const details = [
+          entry.gpa ? `GPA ${escape(entry.gpa)}` : "",
+          escape(entry.honors),
+        ].filter(Boolean);
+
+        return [
+          `\\textbf{\\color{dark}${escape(entry.institution)}}`,
+          degree ? `{\\small ${escape(degree)}}` : "",
+          dates ? `{\\small\\color{secondary}${dates}}` : "",
+          details.length ? `{\\small ${details.join(" · ")}}` : "",
+        ]
+          .filter(Boolean)
+          .join("\\\\\n");
+      })
+      .join("\\\\[0.5em]\n");
+
+    // Generate compact sidebar entries for certifications and awards
+    const sidebarEntry = (title, subtitle, date) =>
+      [
+        `\\textbf{\\color{dark}${title}}`,
+        subtitle ? `{\\small ${subtitle}}` : "",
+        date ? `{\\small\\color{secondary}${date}}` : "",
+      ]
+        .filter(Boolean)
+        .join("\\\\\n");
+
+    const certificationsLatex = (certifications || [])
+      .map((certification) =>
+        sidebarEntry(
+          certification.url
+            ? `\\href{${certification.url}}{${escape(certification.name)}}`
+            : escape(certification.name),
+          escape(certification.issuer),
+          formatDate(certification.date)
+        )
+      )
+      .join("\\\\[0.5em]\n");
+
+    const awardsLatex = (awards || [])
+      .map((award) =>
+        sidebarEntry(
+          escape(award.title),
+          escape(award.issuer),
+          formatDate(award.date)
+        )
+      )
+      .join("\\\\[0.5em]\n");
+
+    // Generate publications and talks for the main column
+    const publicationsLatex = (publications || []).length
+      ? `\\begin{itemize}[leftmargin=1em,nosep]\\small
+${publications
+  .map(
+    (publication) =>
+      `\\item ${formatPublication(
+        publication,
+        latexCitationMarkup(escape),
+        personalInfo.name
+      )}`
+  )
+  .join("\n")}
+\\end{itemize}`
+      : "";
+
+    const talksLatex = (talks || [])
+      .map(
+        (talk) =>
+          `\\projectentry{${
+            talk.url
+              ? `\\href{${talk.url}}{${escape(talk.title)}}`
+              : escape(talk.title)
+          }}{${formatDate(talk.date)}}{${[talk.event, talk.location]
+            .filter(Boolean)
+            .map(escape)
+            .join(", ")}}`
+      )
+      .join("\\vspace{0.5em}\n\n");
+
+    const showContributionGraph = shouldShowContributionGraph(cvData);
+    const showStatistics =
+      statistics?.show && isSectionVisible(cvData, "statistics");
+
+    // Sections in the CV's layout order, split across the two columns; the
+    // metrics bar and contribution graph keep their places above and below
+    const column = (title, body) =>
+      body ? `\\section*{\\color{primary}${title}}\n${body}\n` : "";
+
+    const sidebarLatex = {
+      skills: `${column(
+        "Skills",
+        `\\begin{tabular}{@{}lr@{}}
+${skillBars}
+\\end{tabular}`
+      )}${COLUMN_SEPARATOR}${column("Tech Stack", techStackLatex)}`,
+      education: column("Education", educationLatex),
+      certifications: column("Certifications", certificationsLatex),
+      awards: column("Awards", awardsLatex),
+    };
+
+    const mainLatex = {
+      summary: column("About", escape(summary)),
+      experience: column("Experience", experienceLatex),
+      projects: column("Featured Projects", projectsLatex),
+      contributions: column("Open Source", contributionsLatex),
+      publications: column("Publications", publicationsLatex),
+      talks: column("Talks", talksLatex),
+    };
+
     return `\\documentclass[10pt,a4paper]{article}
 
 % Packages
@@ -117,6 +313,7 @@ ${techs}${repoLink}
 \\usepackage{tabularx}
 \\usepackage{fontawesome5}
 \\usepackage{enumitem}
+\\usepackage{paracol}
 
 % Colors
 \\definecolor{primary}{HTML}{0366D6}
@@ -125,7 +322,7 @@ ${techs}${repoLink}
 \\definecolor{dark}{HTML}{24292E}
 \\definecolor{light}{HTML}{F6F8FA}
 \\definecolor{border}{HTML}{E1E4E8}
-
+${showContributionGraph ? `${contributionGraphPreamble()}\n` : ""}
 % Hyperref setup
 \\hypersetup{
     colorlinks=true,
@@ -161,6 +358,10 @@ ${techs}${repoLink}
 % Remove page numbers
 \\pagenumbering{gobble}
 
+% Sidebar and main column, both free to break across pages
+\\setlength{\\columnsep}{0.05\\textwidth}
+\\columnratio{0.35}
+
 \\begin{document}
 
 % Header
@@ -203,7 +404,7 @@ ${
 
 % Metrics bar
 ${
-  statistics?.show
+  showStatistics
     ? `\\begin{center}
 \\metric{${statistics.originalRepos}}{Repositories}
 \\metric{${statistics.totalStars}}{Stars}
@@ -216,30 +417,23 @@ ${
 }
 
 % Two column layout
-\\begin{minipage}[t]{0.35\\textwidth}
-\\section*{\\color{primary}Skills}
-\\begin{tabular}{@{}lr@{}}
-${skillBars}
-\\end{tabular}
-
-\\vspace{1em}
+\\begin{paracol}{2}
+${joinSections(cvData, sidebarLatex, SECTION_ORDER, COLUMN_SEPARATOR)}
 
-\\section*{\\color{primary}Tech Stack}
-${techStackLatex}
+\\switchcolumn
 
-\\end{minipage}%
-\\hfill%
-\\begin{minipage}[t]{0.60\\textwidth}
+${joinSections(cvData, mainLatex, SECTION_ORDER, COLUMN_SEPARATOR)}
 
-\\section*{\\color{primary}About}
-${escape(summary)}
+\\end{paracol}
 
-\\vspace{1em}
-
-\\section*{\\color{primary}Featured Projects}
-${projectsLatex}
+${
+  showContributionGraph
+    ? `\\vspace{1em}
 
-\\end{minipage}
+\\section*{\\color{primary}Contribution Activity}
+${generateContributionGraphLatex(cvData.contributionCalendar)}`
+    : ""
+}
 
 \\end{document}`;
   },